@@ -0,0 +1,174 @@
+// File: bench/trail.js - Trail/segment placement benchmark (see bench/trail.html)
+// Times Snake.update() for big snakes against the old array-based trail code, which is
+// kept below as a reference. Runs in the browser or straight from Node:
+//   node -e "import('./bench/trail.js').then(m => m.runTrailBenchmark()).then(console.table)"
+import { CONFIG } from '../src/config.js';
+import { Snake } from '../src/snake.js';
+import { Vector2D } from '../src/utils.js';
+
+const FRAME_BUDGET_MS = 1000 / 60;
+const STEP = 1 / 60;
+
+// A long wiggly path, head first, sampled the way a moving snake samples its trail
+function makePath(pointCount, spacing = 1.4) {
+  const points = [];
+  let x = 0;
+  let y = 0;
+  for (let i = 0; i < pointCount; i++) {
+    const angle = Math.sin(i / 120) * 1.5;
+    x -= Math.cos(angle) * spacing;
+    y -= Math.sin(angle) * spacing;
+    points.push(new Vector2D(x, y));
+  }
+  return points;
+}
+
+// Steering input for frame i - a gentle S-curve
+function steer(i) {
+  return Vector2D.fromAngle(Math.PI + Math.sin(i / 45));
+}
+
+function percentile(sorted, p) {
+  return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))];
+}
+
+function summarize(times) {
+  const sorted = [...times].sort((a, b) => a - b);
+  const total = times.reduce((sum, time) => sum + time, 0);
+  return { avg: total / times.length, p95: percentile(sorted, 0.95) };
+}
+
+// Console output from Snake (growth, speed, trail warnings) would swamp the timings
+function quietly(fn) {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return fn();
+  } finally {
+    console.log = log;
+  }
+}
+
+// Current code: a real Snake on a pre-filled ring buffer trail
+function timeSnakeUpdate(length, frames, path) {
+  return quietly(() => {
+    const snake = new Snake(path[0].x, path[0].y, Math.PI);
+    snake.grow(length - snake.length);
+    snake.trail.setPath(path);
+    snake.updateSegmentsAlongTrail();
+
+    const times = [];
+    for (let i = 0; i < frames; i++) {
+      const start = performance.now();
+      snake.update(STEP, steer(i), false);
+      times.push(performance.now() - start);
+    }
+    return summarize(times);
+  });
+}
+
+// ---- Reference: the old trail code (unshift + filter, linear lookups, O(n) distances) ----
+
+function legacySegmentDistance(length, segmentIndex) {
+  const baseGap = CONFIG.PHYSICS.SEGMENT_GAP;
+  let cumulativeDistance = 0;
+  for (let i = 1; i <= segmentIndex; i++) {
+    let segmentGap = baseGap;
+    if (length > 500) {
+      segmentGap = baseGap * Math.min(3.0, 1.0 + Math.log10(length / 100));
+    } else if (length > 100) {
+      segmentGap = baseGap * (1.0 + (length - 100) / 400);
+    }
+    if (i > length * 0.7) segmentGap *= 1.2;
+    cumulativeDistance += segmentGap;
+  }
+  return cumulativeDistance;
+}
+
+function legacyPositionAt(trail, targetDistance) {
+  const actual = trail[0].arcLength - targetDistance;
+  if (actual >= trail[0].arcLength) return trail[0].position;
+  const last = trail[trail.length - 1];
+  if (actual <= last.arcLength) return last.position;
+
+  for (let i = 0; i < trail.length - 1; i++) {
+    const current = trail[i];
+    const next = trail[i + 1];
+    if (actual <= current.arcLength && actual >= next.arcLength) {
+      const t = (actual - next.arcLength) / (current.arcLength - next.arcLength);
+      return new Vector2D(
+        next.position.x + (current.position.x - next.position.x) * t,
+        next.position.y + (current.position.y - next.position.y) * t
+      );
+    }
+  }
+  return last.position;
+}
+
+function timeLegacyTrail(length, frames, path, maxTrailLength) {
+  // Same path, stored the old way: an array of { position, arcLength }, newest first
+  let trail = [];
+  let arcLength = 0;
+  for (let i = path.length - 1; i >= 0; i--) {
+    if (i < path.length - 1) arcLength += path[i].distanceTo(path[i + 1]);
+    trail[i] = { position: path[i], arcLength };
+  }
+
+  const segmentCount = Math.floor(length);
+  const maxDistance = legacySegmentDistance(length, segmentCount - 1) + 300;
+  let head = path[0];
+  let angle = Math.PI;
+
+  const times = [];
+  for (let i = 0; i < frames; i++) {
+    const start = performance.now();
+
+    // The trail half of the old Snake.update(): move, unshift, filter, place every segment
+    angle += (Math.atan2(steer(i).y, steer(i).x) - angle) * 0.1;
+    head = head.add(Vector2D.fromAngle(angle, 1.4));
+    const newArc = trail[0].arcLength + trail[0].position.distanceTo(head);
+    trail.unshift({ position: head, arcLength: newArc });
+    trail = trail.filter(point => newArc - point.arcLength <= maxDistance);
+    if (trail.length > maxTrailLength) trail = trail.slice(0, maxTrailLength);
+
+    for (let s = 0; s < segmentCount; s++) {
+      legacyPositionAt(trail, legacySegmentDistance(length, s));
+    }
+
+    times.push(performance.now() - start);
+  }
+  return summarize(times);
+}
+
+// Returns one row per length: average and 95th percentile ms per update, old vs new
+export async function runTrailBenchmark(options = {}) {
+  const lengths = options.lengths || [100, 500, 1000, 1500, 2000];
+  const frames = options.frames || 300;
+  const legacyFrames = options.legacyFrames || 20; // The old code is slow - keep this small
+  const onProgress = options.onProgress || (() => {});
+  const maxTrailLength = 5000;
+  const path = makePath(maxTrailLength);
+
+  const rows = [];
+  for (const length of lengths) {
+    onProgress(`Length ${length}...`);
+    // Let the page repaint between runs
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    const current = timeSnakeUpdate(length, frames, path);
+    const legacy = timeLegacyTrail(length, legacyFrames, path, maxTrailLength);
+
+    rows.push({
+      length,
+      legacyAvgMs: +legacy.avg.toFixed(3),
+      legacyP95Ms: +legacy.p95.toFixed(3),
+      avgMs: +current.avg.toFixed(3),
+      p95Ms: +current.p95.toFixed(3),
+      speedup: +(legacy.avg / current.avg).toFixed(1),
+      frameBudgetPct: +((current.p95 / FRAME_BUDGET_MS) * 100).toFixed(1)
+    });
+  }
+
+  onProgress('Done');
+  return rows;
+}
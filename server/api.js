@@ -0,0 +1,28 @@
+// File: server/api.js - JSON request/response helpers shared by the /api/* services
+const MAX_BODY_BYTES = 16 * 1024;
+
+export function sendJson(response, status, body) {
+  response.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS'
+  });
+  response.end(body === null ? '' : JSON.stringify(body));
+}
+
+export function readBody(request, maxBytes = MAX_BODY_BYTES) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    request.setEncoding('utf8');
+    request.on('data', chunk => {
+      body += chunk;
+      if (body.length > maxBytes) {
+        reject(new Error('Request too large'));
+        request.destroy();
+      }
+    });
+    request.on('end', () => resolve(body));
+    request.on('error', reject);
+  });
+}
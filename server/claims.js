@@ -0,0 +1,289 @@
+// File: server/claims.js - Claim service: signs reward payouts as the treasury and never pays an entry twice
+// The browser's reward ledger (src/rewards.js) builds the claim transaction; this service checks it
+// only moves the claimed amount from the treasury to the claiming player, then co-signs it. Every
+// ledger entry id it signs for is recorded with its claim, and an entry that was already paid - or
+// whose claim could still land - is refused. The treasury key lives here and nowhere else.
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import { CONFIG } from '../src/config.js';
+import { encodeBase58, decodeBase58, toBaseUnits } from '../src/solana.js';
+import { sendJson, readBody } from './api.js';
+
+const MAX_BODY_BYTES = 64 * 1024;  // Room for CONFIG.REWARDS.MAX_CLAIM_ENTRIES entries
+const MAX_ID_LENGTH = 128;
+
+const TOKEN_PROGRAMS = [
+  'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA', // Token
+  'TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb'  // Token-2022
+];
+const ASSOCIATED_TOKEN_PROGRAM = 'ATokenGPvbdGVxr1b2hvZbsiqW5xWH25efTNsLJA8knL';
+const TRANSFER_CHECKED = 12;       // Token instruction: [12, amount u64 LE, decimals u8]
+const CREATE_IDEMPOTENT = 1;       // Associated token instruction: [1]
+
+export const CLAIM_STATE = {
+  SIGNED: 'signed', // Co-signed - may land until its blockhash expires
+  PAID: 'paid'      // Landed. Its entries can never be claimed again
+};
+
+// Ledger amounts are tokens - same rounding as src/rewards.js, so both sides agree on the total
+const roundTokens = (amount) => Math.round(amount * 1e6) / 1e6;
+
+// A Solana keypair file (solana-keygen): JSON array of 64 bytes, seed then public key
+export function loadTreasuryKey(file) {
+  const bytes = Uint8Array.from(JSON.parse(fs.readFileSync(file, 'utf8')));
+  if (bytes.length !== 64) throw new Error(`${file} is not a Solana keypair file`);
+
+  const privateKey = crypto.createPrivateKey({
+    key: {
+      kty: 'OKP',
+      crv: 'Ed25519',
+      d: Buffer.from(bytes.subarray(0, 32)).toString('base64url'),
+      x: Buffer.from(bytes.subarray(32)).toString('base64url')
+    },
+    format: 'jwk'
+  });
+  return { publicKey: encodeBase58(bytes.subarray(32)), privateKey };
+}
+
+// Legacy transaction message -> { signers, blockhash, instructions: [{ programId, accounts, data }] }
+export function parseTransactionMessage(bytes) {
+  let offset = 0;
+  const readBytes = (count) => {
+    if (offset + count > bytes.length) throw new Error('Truncated transaction message');
+    offset += count;
+    return bytes.subarray(offset - count, offset);
+  };
+  const readByte = () => readBytes(1)[0];
+  // compact-u16: 7 bits per byte, high bit set while more follow
+  const readLength = () => {
+    let value = 0;
+    for (let shift = 0; shift < 21; shift += 7) {
+      const byte = readByte();
+      value |= (byte & 0x7f) << shift;
+      if (!(byte & 0x80)) return value;
+    }
+    throw new Error('Bad length in transaction message');
+  };
+
+  const requiredSignatures = readByte();
+  if (requiredSignatures & 0x80) throw new Error('Only legacy transactions can be claimed');
+  readBytes(2); // Read-only account counts
+
+  const accountKeys = Array.from({ length: readLength() }, () => encodeBase58(readBytes(32)));
+  const account = (index) => {
+    if (index >= accountKeys.length) throw new Error('Bad account index in transaction message');
+    return accountKeys[index];
+  };
+  const blockhash = encodeBase58(readBytes(32));
+  const instructions = Array.from({ length: readLength() }, () => ({
+    programId: account(readByte()),
+    accounts: Array.from(readBytes(readLength()), account),
+    data: readBytes(readLength())
+  }));
+  if (offset !== bytes.length) throw new Error('Trailing bytes after transaction message');
+
+  return { signers: accountKeys.slice(0, requiredSignatures), blockhash, instructions };
+}
+
+// Is this exactly a claim payout of `amount` tokens from `treasury` to `account`? Returns the
+// problem, or null. The treasury pays the fee so its signature is the transaction id
+export function checkClaimMessage(message, account, amount, treasury) {
+  if (message.signers.length !== 2 || message.signers[0] !== treasury || message.signers[1] !== account) {
+    return 'The claim must be signed by the treasury (fee payer) and the claiming player only';
+  }
+
+  const created = [];
+  const transfers = [];
+  for (const { programId, accounts, data } of message.instructions) {
+    if (programId === ASSOCIATED_TOKEN_PROGRAM && data.length === 1 && data[0] === CREATE_IDEMPOTENT) {
+      created.push(accounts);
+    } else if (TOKEN_PROGRAMS.includes(programId) && data.length === 10 && data[0] === TRANSFER_CHECKED) {
+      transfers.push({ programId, accounts, data });
+    } else {
+      return `Unexpected instruction for program ${programId}`;
+    }
+  }
+  if (transfers.length !== 1) return 'The claim must be a single token transfer';
+
+  // The destination has to be the player's own token account, created (idempotently) by the player
+  if (created.some(([payer]) => payer !== account)) return 'Only the player may pay for their token account';
+  const [{ programId, accounts, data }] = transfers;
+  const [, mint, destination, authority] = accounts;
+  const tokenAccount = created.find(([, address, owner, createdMint, , program]) =>
+    address === destination && owner === account && createdMint === mint && program === programId);
+  if (accounts.length !== 4 || authority !== treasury) return 'The transfer must come from the treasury';
+  if (mint !== CONFIG.TOKEN_MINT) return 'The transfer is not of the game token';
+  if (!tokenAccount) return 'The transfer must go to the claiming player';
+
+  const units = new DataView(data.buffer, data.byteOffset + 1, 8).getBigUint64(0, true);
+  const expected = toBaseUnits(amount, data[9]);
+  if (units !== expected) return `The transfer is for ${units} base units, the claim is for ${expected}`;
+  return null;
+}
+
+// One JSON-RPC call to the Solana node
+async function rpcRequest(url, method, params) {
+  let body;
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ jsonrpc: '2.0', id: 1, method, params })
+    });
+    body = await response.json();
+  } catch (error) {
+    throw new Error(`Could not reach ${url} to check claims: ${error.message}`);
+  }
+  if (body.error) throw new Error(`${method} failed: ${body.error.message}`);
+  return body.result;
+}
+
+export class ClaimService {
+  // file: JSON file the claims are kept in (null = memory only), treasury: loadTreasuryKey() result
+  // (null = claims disabled), rpcUrl: node to check claims against, rpc: (method, params) for tests
+  constructor(options = {}) {
+    this.file = options.file || null;
+    this.treasury = options.treasury || null;
+    this.rpcUrl = options.rpcUrl || CONFIG.SOLANA_RPC;
+    this.rpc = options.rpc || ((method, params) => rpcRequest(this.rpcUrl, method, params));
+    this.now = options.now || Date.now;
+
+    this.claims = new Map();  // claim id -> { account, amount, entries, signature, blockhash, state, at }
+    this.entries = new Map(); // 'account:entry id' -> claim id, for every signed or paid claim
+    this.load();
+  }
+
+  load() {
+    if (!this.file || !fs.existsSync(this.file)) return;
+    try {
+      const data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      this.claims = new Map(Object.entries(data.claims || {}));
+      for (const [claimId, claim] of this.claims) {
+        for (const entryId of claim.entries) this.entries.set(`${claim.account}:${entryId}`, claimId);
+      }
+      console.log(`🏦 Claims loaded from ${this.file}`);
+    } catch (error) {
+      // Starting empty would forget what was paid - better to refuse to run
+      throw new Error(`Claims file ${this.file} is unreadable: ${error.message}`);
+    }
+  }
+
+  save() {
+    if (!this.file) return;
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    fs.writeFileSync(`${this.file}.tmp`, JSON.stringify({ claims: Object.fromEntries(this.claims) }));
+    fs.renameSync(`${this.file}.tmp`, this.file);
+  }
+
+  // Checks a claim and co-signs its transaction. Resolves with the treasury signature, or throws why not
+  async authorize(request) {
+    if (!this.treasury) throw new Error('Claims are not enabled on this server');
+    if (!request || typeof request !== 'object') throw new Error('Expected { account, claimId, entries, message }');
+
+    const { account, claimId, entries, message } = request;
+    let accountBytes;
+    try {
+      accountBytes = decodeBase58(String(account));
+    } catch (error) {
+      accountBytes = null;
+    }
+    if (!accountBytes || accountBytes.length !== 32) throw new Error('Bad account');
+    if (typeof claimId !== 'string' || !claimId || claimId.length > MAX_ID_LENGTH) throw new Error('Bad claim id');
+    if (!Array.isArray(entries) || entries.length === 0 || entries.length > CONFIG.REWARDS.MAX_CLAIM_ENTRIES) {
+      throw new Error(`A claim needs 1 to ${CONFIG.REWARDS.MAX_CLAIM_ENTRIES} entries`);
+    }
+    for (const entry of entries) {
+      if (typeof entry?.id !== 'string' || !entry.id || entry.id.length > MAX_ID_LENGTH || !(entry.amount > 0)) {
+        throw new Error('Bad entry');
+      }
+    }
+    const entryIds = entries.map(entry => entry.id);
+    if (new Set(entryIds).size !== entryIds.length) throw new Error('Duplicate entry');
+    if (typeof message !== 'string') throw new Error('Missing transaction message');
+
+    const amount = roundTokens(entries.reduce((sum, entry) => sum + entry.amount, 0));
+    if (amount < CONFIG.REWARDS.MIN_CLAIM_TOKENS) {
+      throw new Error(`Claims start at ${CONFIG.REWARDS.MIN_CLAIM_TOKENS} tokens`);
+    }
+
+    const messageBytes = Uint8Array.from(Buffer.from(message, 'base64'));
+    const parsed = parseTransactionMessage(messageBytes);
+    const problem = checkClaimMessage(parsed, account, amount, this.treasury.publicKey);
+    if (problem) throw new Error(problem);
+
+    // Earlier claims that might still land block this one. Everything after this await runs
+    // without yielding, so two requests at once can't both get through
+    await this.settleAccount(account);
+    for (const claim of this.claims.values()) {
+      if (claim.account === account && claim.state === CLAIM_STATE.SIGNED) {
+        throw new Error('Your previous claim is still waiting for confirmation - try again in a minute');
+      }
+    }
+    if (this.claims.has(claimId)) throw new Error(`Claim ${claimId} was already paid`);
+    for (const entryId of entryIds) {
+      if (this.entries.has(`${account}:${entryId}`)) throw new Error(`Reward ${entryId} was already paid`);
+    }
+
+    const signature = encodeBase58(crypto.sign(null, messageBytes, this.treasury.privateKey));
+    this.claims.set(claimId, {
+      account,
+      amount,
+      entries: entryIds,
+      signature,
+      blockhash: parsed.blockhash,
+      state: CLAIM_STATE.SIGNED,
+      at: this.now()
+    });
+    for (const entryId of entryIds) this.entries.set(`${account}:${entryId}`, claimId);
+    this.save();
+
+    console.log(`🏦 Signed claim ${claimId}: ${amount} tokens to ${account.slice(0, 8)}`);
+    return signature;
+  }
+
+  async settleAccount(account) {
+    for (const [claimId, claim] of this.claims) {
+      if (claim.account === account && claim.state === CLAIM_STATE.SIGNED) {
+        await this.settleClaim(claimId);
+      }
+    }
+  }
+
+  // Bring a signed claim in line with the chain: 'paid', 'released' or 'pending'
+  async settleClaim(claimId) {
+    const claim = this.claims.get(claimId);
+
+    // Blockhash first: once it has expired the transaction can't land any more, so a status
+    // read after that is final
+    const { value: blockhashValid } = await this.rpc('isBlockhashValid', [claim.blockhash, { commitment: 'processed' }]);
+    const { value: [status] } = await this.rpc('getSignatureStatuses', [[claim.signature], { searchTransactionHistory: true }]);
+
+    if (status && !status.err && status.confirmationStatus !== 'processed') {
+      claim.state = CLAIM_STATE.PAID;
+      this.save();
+      console.log(`🏦 Claim ${claimId} paid`);
+      return 'paid';
+    }
+    if ((status && status.err) || (!status && !blockhashValid)) {
+      this.claims.delete(claimId);
+      for (const entryId of claim.entries) this.entries.delete(`${claim.account}:${entryId}`);
+      this.save();
+      console.log(`🏦 Claim ${claimId} never landed - its rewards are claimable again`);
+      return 'released';
+    }
+    return 'pending';
+  }
+
+  // Handles POST /api/claims. Returns false for anything else so the caller can serve it
+  handleRequest(request, response) {
+    const url = new URL(request.url, 'http://localhost');
+    if (url.pathname !== '/api/claims' || request.method !== 'POST') return false;
+
+    readBody(request, MAX_BODY_BYTES)
+      .then(body => this.authorize(JSON.parse(body)))
+      .then(signature => sendJson(response, 200, { signature }))
+      .catch(error => sendJson(response, this.treasury ? 400 : 503, { error: error.message }));
+    return true;
+  }
+}
@@ -0,0 +1,228 @@
+// File: server/game-server.js - Authoritative world: runs the shared World headlessly
+import { CONFIG } from '../src/config.js';
+import { World } from '../src/world.js';
+import { hasSkin, getDefaultSkinId } from '../src/skins.js';
+import { Vector2D } from '../src/utils.js';
+import { MESSAGE, encodeMessage, decodeMessage, serializeSnake, serializePellet } from '../src/protocol.js';
+import { createLogger } from '../src/logger.js';
+
+const log = createLogger('net');
+
+export class GameServer {
+  constructor(options = {}) {
+    this.tickRate = options.tickRate || CONFIG.NETWORK.TICK_RATE;
+    this.snapshotRate = options.snapshotRate || CONFIG.NETWORK.SNAPSHOT_RATE;
+    this.maxPlayers = options.maxPlayers || CONFIG.NETWORK.MAX_PLAYERS;
+
+    // World state - the same simulation core the browser runs for single player
+    this.world = new World({ seed: options.seed, botCount: options.botCount });
+    this.world.spawnBots([]);
+    this.world.events.on('kill', (kill) => this.notifyDeath(kill));
+
+    this.worldWidth = this.world.width;
+    this.worldHeight = this.world.height;
+    this.seed = this.world.seed;
+
+    this.players = new Map(); // id -> player record (connection, input queue, acks)
+    this.sentPelletIds = new Set(); // Pellets in the last snapshot - the next one sends the difference
+    this.nextPlayerId = 1;
+    this.timer = null;
+  }
+
+  start() {
+    const tickInterval = 1000 / this.tickRate;
+    this.timer = setInterval(() => this.step(), tickInterval);
+    log.info(`🌐 Game server ticking at ${this.tickRate}Hz, snapshots at ${this.snapshotRate}Hz (seed ${this.seed})`);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    for (const player of this.players.values()) {
+      player.connection.close(1001, 'Server shutting down');
+    }
+  }
+
+  // connection: anything with send(text), close() and 'message'/'close' events
+  addConnection(connection) {
+    if (this.players.size >= this.maxPlayers) {
+      connection.send(encodeMessage(MESSAGE.ERROR, { message: 'Server is full' }));
+      connection.close(1013, 'Server is full');
+      return null;
+    }
+
+    const player = {
+      id: `p${this.nextPlayerId++}`,
+      connection,
+      name: null,
+      skin: null,
+      snake: null,         // Owned by this.world once spawned
+      inputQueue: [],      // One queued input is consumed per tick
+      lastInputSeq: 0,     // Acked back to the client for reconciliation
+      needsAllPellets: true // Its first snapshot carries every pellet, later ones only changes
+    };
+    this.players.set(player.id, player);
+
+    connection.on('message', (data) => this.handleMessage(player, data));
+    connection.on('close', () => this.removePlayer(player));
+    return player;
+  }
+
+  removePlayer(player) {
+    if (!this.players.has(player.id)) return;
+    this.players.delete(player.id);
+    this.world.removePlayer(player.id);
+    log.info(`🌐 ${player.name || player.id} left (${this.players.size} players)`);
+  }
+
+  handleMessage(player, data) {
+    const message = decodeMessage(data);
+    if (!message) return;
+
+    switch (message.type) {
+      case MESSAGE.JOIN:
+        if (player.name) return; // Already joined
+        player.name = this.sanitizeName(message.name) || `Player ${player.id}`;
+        player.skin = hasSkin(message.skin) ? message.skin : getDefaultSkinId();
+        player.connection.send(encodeMessage(MESSAGE.WELCOME, {
+          id: player.id,
+          world: { width: this.worldWidth, height: this.worldHeight, boundary: this.world.boundaryMode },
+          tickRate: this.tickRate,
+          snapshotRate: this.snapshotRate
+        }));
+        this.spawnPlayer(player);
+        log.info(`🌐 ${player.name} joined (${this.players.size} players)`);
+        break;
+
+      case MESSAGE.INPUT:
+        this.applyInput(player, message);
+        break;
+
+      case MESSAGE.RESPAWN:
+        if (player.name && (!player.snake || !player.snake.isAlive)) {
+          this.spawnPlayer(player);
+        }
+        break;
+    }
+  }
+
+  sanitizeName(name) {
+    if (typeof name !== 'string') return '';
+    return name.trim().slice(0, CONFIG.NETWORK.MAX_NAME_LENGTH);
+  }
+
+  // Never trust the client - only a sequence number, a direction and a boost flag get through
+  applyInput(player, message) {
+    const seq = Number(message.seq);
+    if (!Number.isInteger(seq) || seq <= player.lastInputSeq) return;
+
+    const dir = message.dir || {};
+    const x = Number(dir.x);
+    const y = Number(dir.y);
+
+    // A bad direction keeps the snake's current heading
+    let direction = null;
+    if (Number.isFinite(x) && Number.isFinite(y)) {
+      const candidate = new Vector2D(x, y);
+      if (candidate.magnitude() > 0) {
+        direction = candidate.normalize();
+      }
+    }
+
+    player.inputQueue.push({ seq, direction, boost: message.boost === true });
+
+    // A client running fast would otherwise build up latency - drop the oldest
+    while (player.inputQueue.length > CONFIG.NETWORK.MAX_INPUT_QUEUE) {
+      player.inputQueue.shift();
+    }
+  }
+
+  spawnPlayer(player) {
+    player.snake = this.world.respawnPlayer(player.id, { name: player.name, skin: player.skin });
+    player.inputQueue = [];
+  }
+
+  get tick() {
+    return this.world.tick;
+  }
+
+  step() {
+    const deltaTime = 1 / this.tickRate;
+
+    // Consume one input per player per tick - the World repeats the last one if the client fell behind
+    const inputs = {};
+    for (const player of this.players.values()) {
+      if (!player.snake || !player.snake.isAlive) continue;
+
+      const next = player.inputQueue.shift();
+      if (next) {
+        inputs[player.id] = next;
+        player.lastInputSeq = next.seq;
+      }
+    }
+
+    this.world.step(inputs, deltaTime);
+
+    if (this.tick % Math.max(1, Math.round(this.tickRate / this.snapshotRate)) === 0) {
+      this.broadcastSnapshot();
+    }
+  }
+
+  notifyDeath(kill) {
+    const player = this.players.get(kill.victim.id);
+    if (!player || player.snake !== kill.victim) return;
+
+    player.connection.send(encodeMessage(MESSAGE.DEATH, {
+      killer: kill.killer ? kill.killer.name : null,
+      cause: kill.cause,
+      length: kill.droppedLength,
+      value: kill.victim.value
+    }));
+  }
+
+  broadcastSnapshot() {
+    const snakes = [];
+    const acks = {};
+    for (const player of this.players.values()) {
+      if (player.snake && player.snake.isAlive) {
+        snakes.push(serializeSnake(player.id, player.snake));
+      }
+      acks[player.id] = player.lastInputSeq;
+    }
+    for (const bot of this.world.botManager.bots) {
+      if (bot.snake.isAlive) {
+        snakes.push(serializeSnake(bot.id, bot.snake));
+      }
+    }
+
+    // Pellets go out as changes since the last snapshot - boosting drops a steady trail of them,
+    // so sending the full list every time would grow with every boost. Players who just joined
+    // get the full list once
+    const current = new Map();
+    for (const pellet of this.world.pelletManager.pellets) {
+      if (!pellet.isCollected) current.set(pellet.id, pellet);
+    }
+    const pelletsAdded = [];
+    for (const [id, pellet] of current) {
+      if (!this.sentPelletIds.has(id)) pelletsAdded.push(serializePellet(pellet));
+    }
+    const pelletsRemoved = [];
+    for (const id of this.sentPelletIds) {
+      if (!current.has(id)) pelletsRemoved.push(id);
+    }
+    this.sentPelletIds = new Set(current.keys());
+
+    const data = encodeMessage(MESSAGE.SNAPSHOT, { tick: this.tick, acks, snakes, pelletsAdded, pelletsRemoved });
+    let fullData = null;
+    for (const player of this.players.values()) {
+      if (!player.name) continue;
+      if (player.needsAllPellets) {
+        fullData = fullData || encodeMessage(MESSAGE.SNAPSHOT, { tick: this.tick, acks, snakes, pellets: [...current.values()].map(serializePellet) });
+        player.needsAllPellets = false;
+        player.connection.send(fullData);
+      } else {
+        player.connection.send(data);
+      }
+    }
+  }
+}
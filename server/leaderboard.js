@@ -0,0 +1,196 @@
+// File: server/leaderboard.js - Leaderboard service: signed game results -> daily, weekly and all-time boards
+// Each board keeps every player's best score. Results must carry a valid Ed25519 signature from the
+// player key they name and pass the same plausibility rules as the client (src/leaderboard.js).
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import { CONFIG } from '../src/config.js';
+import { decodeBase58 } from '../src/solana.js';
+import {
+  LEADERBOARD_PERIODS,
+  LEADERBOARD_METRICS,
+  encodeResultMessage,
+  checkResultPlausibility
+} from '../src/leaderboard.js';
+import { sendJson, readBody } from './api.js';
+
+const MAX_FUTURE_MS = 60000;       // Allowed clock skew between player and server
+const DAILY_BOARDS_KEPT = 7;
+const WEEKLY_BOARDS_KEPT = 8;
+
+// 'daily:2026-10-19', 'weekly:2026-W43' (ISO week) or 'alltime' - always UTC
+export function getPeriodKey(period, time) {
+  const date = new Date(time);
+  if (period === 'daily') return `daily:${date.toISOString().slice(0, 10)}`;
+  if (period === 'weekly') {
+    // The ISO week belongs to the year of its Thursday
+    const thursday = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+    thursday.setUTCDate(thursday.getUTCDate() + 3 - (thursday.getUTCDay() + 6) % 7);
+    const firstThursday = new Date(Date.UTC(thursday.getUTCFullYear(), 0, 4));
+    const week = 1 + Math.round((thursday - firstThursday) / 86400000 / 7 - 3 / 7 + ((firstThursday.getUTCDay() + 6) % 7) / 7);
+    return `weekly:${thursday.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+  }
+  return 'alltime';
+}
+
+function verifySignature(result, signature) {
+  let publicKey;
+  let signatureBytes;
+  try {
+    publicKey = decodeBase58(result.player);
+    signatureBytes = decodeBase58(signature);
+  } catch (error) {
+    return false;
+  }
+  if (publicKey.length !== 32 || signatureBytes.length !== 64) return false;
+
+  const key = crypto.createPublicKey({
+    key: { kty: 'OKP', crv: 'Ed25519', x: Buffer.from(publicKey).toString('base64url') },
+    format: 'jwk'
+  });
+  return crypto.verify(null, encodeResultMessage(result), key, signatureBytes);
+}
+
+export class LeaderboardService {
+  // file: JSON file the boards are kept in (null = memory only), now: clock for tests
+  constructor(options = {}) {
+    this.file = options.file || null;
+    this.now = options.now || Date.now;
+
+    this.boards = {};       // periodKey -> { player -> { name, length, value, at } }
+    this.seen = new Map();  // result id -> time received, so one result can't be submitted twice
+    this.load();
+  }
+
+  load() {
+    if (!this.file || !fs.existsSync(this.file)) return;
+    try {
+      const data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      this.boards = data.boards || {};
+      this.seen = new Map(Object.entries(data.seen || {}));
+      console.log(`🏆 Leaderboard loaded from ${this.file}`);
+    } catch (error) {
+      console.error(`🏆 Leaderboard file ${this.file} is unreadable - starting empty`, error);
+    }
+  }
+
+  save() {
+    if (!this.file) return;
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const data = { boards: this.boards, seen: Object.fromEntries(this.seen) };
+    fs.writeFileSync(`${this.file}.tmp`, JSON.stringify(data));
+    fs.renameSync(`${this.file}.tmp`, this.file);
+  }
+
+  // Checks and records one result. Returns the player's rank on each board, or throws why not
+  submit(result, signature) {
+    if (!result || typeof result !== 'object' || typeof signature !== 'string') {
+      throw new Error('Expected { result, signature }');
+    }
+
+    const problem = checkResultPlausibility(result);
+    if (problem) throw new Error(problem);
+    if (!verifySignature(result, signature)) throw new Error('Bad signature');
+
+    const now = this.now();
+    if (result.endedAt > now + MAX_FUTURE_MS) throw new Error('Result is from the future');
+    if (result.endedAt < now - CONFIG.LEADERBOARD.MAX_RESULT_AGE_MS) throw new Error('Result is too old');
+
+    this.prune(now);
+    if (this.seen.has(result.id)) throw new Error('Result already submitted');
+    this.seen.set(result.id, now);
+
+    // Boards go by when the server received the result, so nobody can backdate into yesterday's
+    for (const period of LEADERBOARD_PERIODS) {
+      const board = this.boards[getPeriodKey(period, now)] ||= {};
+      const best = board[result.player] || { name: result.name, length: 0, value: 0, at: now };
+      const improved = result.maxLength > best.length || result.valueEarned > best.value;
+      board[result.player] = {
+        name: result.name || best.name,
+        length: Math.max(best.length, result.maxLength),
+        value: Math.max(best.value, result.valueEarned),
+        at: improved ? now : best.at // Ties go to whoever got there first
+      };
+    }
+    this.save();
+
+    console.log(`🏆 Result from ${result.name || result.player.slice(0, 8)}: length ${result.maxLength}, value ${result.valueEarned}`);
+
+    const ranks = {};
+    for (const period of LEADERBOARD_PERIODS) {
+      ranks[period] = {};
+      for (const metric of LEADERBOARD_METRICS) {
+        ranks[period][metric] = this.getBoard(period, metric, { limit: 0, player: result.player }).player;
+      }
+    }
+    return ranks;
+  }
+
+  // Drop ids too old to be accepted again and boards of periods long gone
+  prune(now) {
+    for (const [id, at] of this.seen) {
+      if (at < now - CONFIG.LEADERBOARD.MAX_RESULT_AGE_MS - MAX_FUTURE_MS) this.seen.delete(id);
+    }
+
+    const keep = new Set(['alltime']);
+    for (let day = 0; day < DAILY_BOARDS_KEPT; day++) keep.add(getPeriodKey('daily', now - day * 86400000));
+    for (let week = 0; week < WEEKLY_BOARDS_KEPT; week++) keep.add(getPeriodKey('weekly', now - week * 7 * 86400000));
+    for (const key of Object.keys(this.boards)) {
+      if (!keep.has(key)) delete this.boards[key];
+    }
+  }
+
+  // Top `limit` entries of the current period, plus `player`'s own rank wherever it is
+  getBoard(period, metric, options = {}) {
+    if (!LEADERBOARD_PERIODS.includes(period)) throw new Error(`Unknown period "${period}"`);
+    if (!LEADERBOARD_METRICS.includes(metric)) throw new Error(`Unknown metric "${metric}"`);
+
+    const limit = options.limit ?? CONFIG.LEADERBOARD.BOARD_SIZE;
+    const periodKey = getPeriodKey(period, this.now());
+    const ranked = Object.entries(this.boards[periodKey] || {})
+      .filter(([, best]) => best[metric] > 0)
+      .sort(([, a], [, b]) => b[metric] - a[metric] || a.at - b.at)
+      .map(([player, best], index) => ({ rank: index + 1, player, name: best.name, score: best[metric], at: best.at }));
+
+    const own = options.player ? ranked.find(entry => entry.player === options.player) : null;
+    return {
+      period,
+      metric,
+      periodKey,
+      entries: ranked.slice(0, limit),
+      player: own ? { rank: own.rank, score: own.score } : null
+    };
+  }
+
+  // Handles /api/* requests. Returns false for anything else so the caller can serve it
+  handleRequest(request, response) {
+    const url = new URL(request.url, 'http://localhost');
+    if (!url.pathname.startsWith('/api/')) return false;
+
+    const send = (status, body) => sendJson(response, status, body);
+
+    if (request.method === 'OPTIONS') {
+      send(204, null);
+    } else if (url.pathname === '/api/leaderboard' && request.method === 'GET') {
+      try {
+        const limit = Math.min(Math.max(Number(url.searchParams.get('limit')) || CONFIG.LEADERBOARD.BOARD_SIZE, 1), 100);
+        send(200, this.getBoard(url.searchParams.get('period') || 'daily', url.searchParams.get('metric') || 'length', {
+          limit,
+          player: url.searchParams.get('player')
+        }));
+      } catch (error) {
+        send(400, { error: error.message });
+      }
+    } else if (url.pathname === '/api/results' && request.method === 'POST') {
+      readBody(request)
+        .then(body => {
+          const { result, signature } = JSON.parse(body);
+          send(200, { ranks: this.submit(result, signature) });
+        })
+        .catch(error => send(400, { error: error.message }));
+    } else {
+      send(404, { error: 'Not found' });
+    }
+    return true;
+  }
+}
@@ -0,0 +1,138 @@
+// File: server/server.js - Multiplayer entry point
+// Serves the game client over HTTP and the authoritative world over WebSocket on one port.
+//
+//   node server/server.js [port] [leaderboard-file]
+//
+// The leaderboard service answers /api/* on the same port. Without a leaderboard file its
+// boards only live as long as the process.
+//
+// Reward claims ('rpc' buy-in mode) are co-signed by the claim service at /api/claims. It is off
+// unless the treasury keypair file is given, and remembers what it paid in a claims file:
+//   SOLSNAKE_TREASURY_KEY=treasury.json SOLSNAKE_CLAIMS_FILE=data/claims.json node server/server.js
+// SOLSNAKE_RPC_URL overrides CONFIG.SOLANA_RPC for checking whether claims landed.
+//
+// Game rules come from src/config.js, optionally changed by a preset (src/config-loader.js):
+//   SOLSNAKE_PRESET=hardcore SOLSNAKE_CONFIG=my-rules.json node server/server.js
+// Open the client with the same ?preset= so its prediction matches the server.
+//
+// Needs Node 20.19+ / 22+ (ES modules are detected from the shared src/ files).
+import http from 'node:http';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { CONFIG } from '../src/config.js';
+import { checkConfig, applyConfigPreset, applyConfigOverrides } from '../src/config-loader.js';
+import { acceptUpgrade } from './websocket.js';
+import { GameServer } from './game-server.js';
+import { LeaderboardService } from './leaderboard.js';
+import { ClaimService, loadTreasuryKey } from './claims.js';
+
+const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.png': 'image/png',
+  '.svg': 'image/svg+xml'
+};
+
+// Only what the browser client needs is served - the repo itself (.git, server/, notes) stays private
+const PUBLIC_FILES = ['index.html'];
+const PUBLIC_DIRS = ['src', 'bench'];
+
+function isPublic(filePath) {
+  const relative = path.relative(ROOT_DIR, filePath);
+  if (relative.startsWith('..') || path.isAbsolute(relative)) return false;
+  const [top] = relative.split(path.sep);
+  return PUBLIC_FILES.includes(relative) || (PUBLIC_DIRS.includes(top) && relative !== top);
+}
+
+// Static files for the browser client
+function serveStatic(request, response) {
+  let urlPath;
+  try {
+    urlPath = decodeURIComponent(new URL(request.url, 'http://localhost').pathname);
+  } catch {
+    // Malformed escapes (e.g. /%E0%A4%A) - a bad request, not a reason to take the server down
+    response.writeHead(400);
+    response.end('Bad request');
+    return;
+  }
+  const filePath = path.join(ROOT_DIR, urlPath === '/' ? 'index.html' : urlPath);
+
+  if (!isPublic(filePath)) {
+    response.writeHead(403);
+    response.end('Forbidden');
+    return;
+  }
+
+  fs.readFile(filePath, (error, data) => {
+    if (error) {
+      response.writeHead(404);
+      response.end('Not found');
+      return;
+    }
+    const type = CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream';
+    response.writeHead(200, { 'Content-Type': type });
+    response.end(data);
+  });
+}
+
+// The treasury key is only ever read here. Paid claims must survive a restart, so a key
+// without a claims file is refused
+function createClaimService() {
+  if (!process.env.SOLSNAKE_TREASURY_KEY) return new ClaimService();
+  if (!process.env.SOLSNAKE_CLAIMS_FILE) {
+    throw new Error('SOLSNAKE_TREASURY_KEY needs SOLSNAKE_CLAIMS_FILE to record paid claims');
+  }
+
+  const treasury = loadTreasuryKey(path.resolve(process.env.SOLSNAKE_TREASURY_KEY));
+  if (treasury.publicKey !== CONFIG.TREASURY_ADDRESS) {
+    console.warn(`⚠️ Treasury key ${treasury.publicKey} is not CONFIG.TREASURY_ADDRESS - clients will build claims it refuses`);
+  }
+  console.log(`🏦 Claims enabled for treasury ${treasury.publicKey}`);
+  return new ClaimService({
+    treasury,
+    file: path.resolve(process.env.SOLSNAKE_CLAIMS_FILE),
+    rpcUrl: process.env.SOLSNAKE_RPC_URL || CONFIG.SOLANA_RPC
+  });
+}
+
+checkConfig();
+if (process.env.SOLSNAKE_PRESET) {
+  applyConfigPreset(process.env.SOLSNAKE_PRESET);
+}
+if (process.env.SOLSNAKE_CONFIG) {
+  const file = path.resolve(process.env.SOLSNAKE_CONFIG);
+  applyConfigOverrides(JSON.parse(fs.readFileSync(file, 'utf8')), file);
+}
+
+const port = Number(process.argv[2]) || CONFIG.NETWORK.PORT;
+const gameServer = new GameServer();
+const leaderboard = new LeaderboardService({ file: process.argv[3] ? path.resolve(process.argv[3]) : null });
+const claims = createClaimService();
+const httpServer = http.createServer((request, response) => {
+  if (!claims.handleRequest(request, response) && !leaderboard.handleRequest(request, response)) {
+    serveStatic(request, response);
+  }
+});
+
+httpServer.on('upgrade', (request, socket) => {
+  const connection = acceptUpgrade(request, socket);
+  if (connection) {
+    gameServer.addConnection(connection);
+  }
+});
+
+httpServer.listen(port, () => {
+  console.log(`🌐 SolSnake server on http://localhost:${port} (ws://localhost:${port})`);
+  gameServer.start();
+});
+
+process.on('SIGINT', () => {
+  gameServer.stop();
+  httpServer.close();
+  process.exit(0);
+});
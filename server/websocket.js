@@ -0,0 +1,184 @@
+// File: server/websocket.js - Minimal RFC 6455 WebSocket server connection (no dependencies)
+// Supports what the game needs: text frames, fragmentation, ping/pong and close.
+import crypto from 'node:crypto';
+import { EventEmitter } from 'node:events';
+
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_PAYLOAD_BYTES = 64 * 1024; // Client messages are tiny - anything bigger is abuse
+
+const OPCODE = {
+  CONTINUATION: 0x0,
+  TEXT: 0x1,
+  BINARY: 0x2,
+  CLOSE: 0x8,
+  PING: 0x9,
+  PONG: 0xa
+};
+
+// Complete the HTTP upgrade handshake. Returns a WebSocketConnection or null if rejected
+export function acceptUpgrade(request, socket) {
+  const key = request.headers['sec-websocket-key'];
+  const upgrade = (request.headers.upgrade || '').toLowerCase();
+
+  if (upgrade !== 'websocket' || !key) {
+    socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+    return null;
+  }
+
+  const accept = crypto.createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+  socket.write(
+    'HTTP/1.1 101 Switching Protocols\r\n' +
+    'Upgrade: websocket\r\n' +
+    'Connection: Upgrade\r\n' +
+    `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+  );
+
+  return new WebSocketConnection(socket);
+}
+
+// Events: 'message' (string), 'close'
+export class WebSocketConnection extends EventEmitter {
+  constructor(socket) {
+    super();
+    this.socket = socket;
+    this.buffer = Buffer.alloc(0);
+    this.fragments = [];
+    this.fragmentBytes = 0; // Capped like a single frame - fragments must not grow without limit
+    this.isOpen = true;
+
+    socket.setNoDelay(true);
+    socket.on('data', (chunk) => this.onData(chunk));
+    socket.on('close', () => this.onClose());
+    socket.on('error', () => this.onClose());
+  }
+
+  onData(chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+
+    // A single chunk can hold several frames (or only part of one)
+    let frame;
+    while (this.isOpen && (frame = this.readFrame()) !== null) {
+      if (frame.error) {
+        this.close(frame.error, frame.reason);
+        return;
+      }
+      this.handleFrame(frame);
+    }
+  }
+
+  // Returns a frame, null when more bytes are needed, or { error, reason } to close with
+  readFrame() {
+    const buffer = this.buffer;
+    if (buffer.length < 2) return null;
+
+    const fin = (buffer[0] & 0x80) !== 0;
+    const opcode = buffer[0] & 0x0f;
+    const masked = (buffer[1] & 0x80) !== 0;
+    let length = buffer[1] & 0x7f;
+    let offset = 2;
+
+    if (length === 126) {
+      if (buffer.length < 4) return null;
+      length = buffer.readUInt16BE(2);
+      offset = 4;
+    } else if (length === 127) {
+      if (buffer.length < 10) return null;
+      length = Number(buffer.readBigUInt64BE(2));
+      offset = 10;
+    }
+
+    // RFC 6455 5.1: clients must mask every frame
+    if (!masked) return { error: 1002, reason: 'Unmasked client frame' };
+    if (length > MAX_PAYLOAD_BYTES) return { error: 1009, reason: 'Message too big' };
+
+    const maskLength = 4;
+    if (buffer.length < offset + maskLength + length) return null;
+
+    const payload = Buffer.from(buffer.subarray(offset + maskLength, offset + maskLength + length));
+    const mask = buffer.subarray(offset, offset + 4);
+    for (let i = 0; i < payload.length; i++) {
+      payload[i] ^= mask[i % 4];
+    }
+
+    this.buffer = buffer.subarray(offset + maskLength + length);
+    return { fin, opcode, payload };
+  }
+
+  handleFrame({ fin, opcode, payload }) {
+    switch (opcode) {
+      case OPCODE.TEXT:
+      case OPCODE.BINARY:
+      case OPCODE.CONTINUATION:
+        this.fragmentBytes += payload.length;
+        if (this.fragmentBytes > MAX_PAYLOAD_BYTES) {
+          this.fragments = [];
+          this.close(1009, 'Message too big');
+          return;
+        }
+        this.fragments.push(payload);
+        if (fin) {
+          const message = Buffer.concat(this.fragments);
+          this.fragments = [];
+          this.fragmentBytes = 0;
+          this.emit('message', message.toString('utf8'));
+        }
+        break;
+      case OPCODE.PING:
+        this.sendFrame(OPCODE.PONG, payload);
+        break;
+      case OPCODE.PONG:
+        break;
+      case OPCODE.CLOSE:
+        this.close();
+        break;
+      default:
+        this.close(1002, 'Unsupported opcode');
+    }
+  }
+
+  send(text) {
+    if (!this.isOpen) return;
+    this.sendFrame(OPCODE.TEXT, Buffer.from(text, 'utf8'));
+  }
+
+  // Server frames are never masked
+  sendFrame(opcode, payload) {
+    const length = payload.length;
+    let header;
+
+    if (length < 126) {
+      header = Buffer.alloc(2);
+      header[1] = length;
+    } else if (length < 65536) {
+      header = Buffer.alloc(4);
+      header[1] = 126;
+      header.writeUInt16BE(length, 2);
+    } else {
+      header = Buffer.alloc(10);
+      header[1] = 127;
+      header.writeBigUInt64BE(BigInt(length), 2);
+    }
+    header[0] = 0x80 | opcode;
+
+    this.socket.write(Buffer.concat([header, payload]));
+  }
+
+  close(code = 1000, reason = '') {
+    if (!this.isOpen) return;
+
+    const reasonBytes = Buffer.from(reason, 'utf8');
+    const payload = Buffer.alloc(2 + reasonBytes.length);
+    payload.writeUInt16BE(code, 0);
+    reasonBytes.copy(payload, 2);
+
+    this.sendFrame(OPCODE.CLOSE, payload);
+    this.socket.end();
+    this.onClose();
+  }
+
+  onClose() {
+    if (!this.isOpen) return;
+    this.isOpen = false;
+    this.emit('close');
+  }
+}
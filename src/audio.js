@@ -0,0 +1,303 @@
+// File: src/audio.js - Sound effects and music, synthesised with Web Audio (no asset files)
+// The Game never calls in here - it emits events on Game.events ('pickup', 'boost', 'lowLength',
+// 'kill', 'death', 'start', 'stop') and AudioEngine.attach() turns them into sound.
+// Settings (on/off and volume for effects and music) are kept in localStorage.
+import { CONFIG } from './config.js';
+import { getStorage } from './utils.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('game');
+
+const SETTINGS_VERSION = 1;
+
+// Semitones above the music's root note, one bar each
+const MUSIC_BASS = [0, 0, -4, -2];
+const MUSIC_ARPEGGIO = [0, 3, 7, 12, 7, 3, 0, 3];
+
+const noteFrequency = (root, semitones) => root * Math.pow(2, semitones / 12);
+
+export class AudioEngine {
+  constructor(options = CONFIG.AUDIO, storage = getStorage()) {
+    this.options = options;
+    this.storage = storage;
+    this.settings = this.load();
+
+    // Created on the first user gesture (browsers block audio before one) - see unlock()
+    this.context = null;
+    this.sfxGain = null;
+    this.musicGain = null;
+
+    this.boostLoop = null;      // { oscillator, filter, gain } while the player boosts
+    this.musicTimer = null;
+    this.musicNextTime = 0;     // AudioContext time of the next music step
+    this.musicStep = 0;
+    this.musicWanted = false;   // A game is running - play music whenever it's enabled
+    this.lastPickupTime = -Infinity;
+
+    this.detach = null;
+  }
+
+  load() {
+    const defaults = {
+      version: SETTINGS_VERSION,
+      sfxEnabled: true,
+      musicEnabled: true,
+      sfxVolume: this.options.SFX_VOLUME,
+      musicVolume: this.options.MUSIC_VOLUME
+    };
+
+    try {
+      const saved = JSON.parse(this.storage.getItem(this.options.STORAGE_KEY) || 'null');
+      if (!saved || saved.version !== SETTINGS_VERSION) return defaults;
+      return {
+        version: SETTINGS_VERSION,
+        sfxEnabled: saved.sfxEnabled !== false,
+        musicEnabled: saved.musicEnabled !== false,
+        sfxVolume: Number.isFinite(saved.sfxVolume) ? Math.min(1, Math.max(0, saved.sfxVolume)) : defaults.sfxVolume,
+        musicVolume: Number.isFinite(saved.musicVolume) ? Math.min(1, Math.max(0, saved.musicVolume)) : defaults.musicVolume
+      };
+    } catch (error) {
+      log.error('🔊 Audio settings are corrupt - using defaults', error);
+      return defaults;
+    }
+  }
+
+  save() {
+    this.storage.setItem(this.options.STORAGE_KEY, JSON.stringify(this.settings));
+  }
+
+  // Call from a click/keypress handler. Returns false where Web Audio isn't available
+  unlock() {
+    if (!this.context) {
+      const AudioContextClass = globalThis.AudioContext || globalThis.webkitAudioContext;
+      if (!AudioContextClass) return false;
+
+      this.context = new AudioContextClass();
+      this.sfxGain = this.context.createGain();
+      this.musicGain = this.context.createGain();
+      this.sfxGain.connect(this.context.destination);
+      this.musicGain.connect(this.context.destination);
+      this.applyVolumes();
+      log.debug('🔊 Audio ready');
+    }
+
+    if (this.context.state === 'suspended') this.context.resume();
+    if (this.musicWanted) this.startMusic();
+    return true;
+  }
+
+  applyVolumes() {
+    if (!this.context) return;
+    const { sfxEnabled, sfxVolume, musicEnabled, musicVolume } = this.settings;
+    this.sfxGain.gain.setValueAtTime(sfxEnabled ? sfxVolume : 0, this.context.currentTime);
+    this.musicGain.gain.setValueAtTime(musicEnabled ? musicVolume : 0, this.context.currentTime);
+  }
+
+  setSfxEnabled(enabled) {
+    this.settings.sfxEnabled = enabled;
+    if (!enabled) this.stopBoostLoop();
+    this.applyVolumes();
+    this.save();
+  }
+
+  setMusicEnabled(enabled) {
+    this.settings.musicEnabled = enabled;
+    if (enabled && this.musicWanted) {
+      this.startMusic();
+    } else {
+      this.stopMusic();
+    }
+    this.applyVolumes();
+    this.save();
+  }
+
+  // Volumes are 0..1
+  setSfxVolume(volume) {
+    this.settings.sfxVolume = Math.min(1, Math.max(0, volume));
+    this.applyVolumes();
+    this.save();
+  }
+
+  setMusicVolume(volume) {
+    this.settings.musicVolume = Math.min(1, Math.max(0, volume));
+    this.applyVolumes();
+    this.save();
+  }
+
+  // Listen to a Game's events. Only one game at a time - attaching another detaches the first
+  attach(game) {
+    if (this.detach) this.detach();
+
+    const unsubscribers = [
+      game.events.on('pickup', (event) => this.playPickup(event)),
+      game.events.on('boost', (event) => this.updateBoost(event)),
+      game.events.on('lowLength', () => this.playLowLength()),
+      game.events.on('kill', () => this.playKill()),
+      game.events.on('death', () => this.playDeath()),
+      game.events.on('start', () => {
+        this.musicWanted = true;
+        this.startMusic();
+      }),
+      game.events.on('stop', () => {
+        this.musicWanted = false;
+        this.stopMusic();
+        this.stopBoostLoop();
+      })
+    ];
+
+    this.detach = () => {
+      unsubscribers.forEach(unsubscribe => unsubscribe());
+      this.musicWanted = false;
+      this.stopMusic();
+      this.stopBoostLoop();
+      this.detach = null;
+    };
+    return this.detach;
+  }
+
+  get canPlaySfx() {
+    return this.context !== null && this.context.state === 'running' && this.settings.sfxEnabled;
+  }
+
+  // One enveloped oscillator note on the effects bus
+  tone(type, frequency, duration, options = {}) {
+    const context = this.context;
+    const start = context.currentTime + (options.delay || 0);
+    const oscillator = context.createOscillator();
+    const gain = context.createGain();
+
+    oscillator.type = type;
+    oscillator.frequency.setValueAtTime(frequency, start);
+    if (options.endFrequency) {
+      oscillator.frequency.exponentialRampToValueAtTime(options.endFrequency, start + duration);
+    }
+
+    gain.gain.setValueAtTime(0.0001, start);
+    gain.gain.exponentialRampToValueAtTime(options.volume || 0.3, start + 0.01);
+    gain.gain.exponentialRampToValueAtTime(0.0001, start + duration);
+
+    oscillator.connect(gain);
+    gain.connect(options.output || this.sfxGain);
+    oscillator.start(start);
+    oscillator.stop(start + duration + 0.05);
+  }
+
+  // { pellets, tokens } - eating a whole dead snake at once is still one blip
+  playPickup({ tokens = 0 } = {}) {
+    if (!this.canPlaySfx) return;
+    const now = this.context.currentTime;
+    if (now - this.lastPickupTime < this.options.PICKUP_MIN_INTERVAL) return;
+    this.lastPickupTime = now;
+
+    if (tokens > 0) {
+      // Coins get a two-note chime
+      this.tone('triangle', 988, 0.12, { volume: 0.25 });
+      this.tone('triangle', 1319, 0.2, { volume: 0.25, delay: 0.07 });
+    } else {
+      this.tone('sine', 660, 0.07, { volume: 0.2, endFrequency: 990 });
+    }
+  }
+
+  // { active, speed } - speed is relative to CONFIG.PHYSICS.BASE_SPEED and sets the loop's pitch
+  updateBoost({ active, speed = 1 }) {
+    if (!active || !this.canPlaySfx) {
+      this.stopBoostLoop();
+      return;
+    }
+
+    if (!this.boostLoop) {
+      this.tone('sawtooth', 180, 0.18, { volume: 0.15, endFrequency: 420 });
+      this.startBoostLoop();
+    }
+
+    const frequency = this.options.BOOST_BASE_FREQUENCY * speed;
+    this.boostLoop.oscillator.frequency.setTargetAtTime(frequency, this.context.currentTime, 0.05);
+    this.boostLoop.filter.frequency.setTargetAtTime(frequency * 6, this.context.currentTime, 0.05);
+  }
+
+  startBoostLoop() {
+    const context = this.context;
+    const oscillator = context.createOscillator();
+    const filter = context.createBiquadFilter();
+    const gain = context.createGain();
+
+    oscillator.type = 'sawtooth';
+    oscillator.frequency.value = this.options.BOOST_BASE_FREQUENCY;
+    filter.type = 'lowpass';
+    gain.gain.setValueAtTime(0.0001, context.currentTime);
+    gain.gain.exponentialRampToValueAtTime(0.08, context.currentTime + 0.1);
+
+    oscillator.connect(filter);
+    filter.connect(gain);
+    gain.connect(this.sfxGain);
+    oscillator.start();
+    this.boostLoop = { oscillator, filter, gain };
+  }
+
+  stopBoostLoop() {
+    if (!this.boostLoop) return;
+    const { oscillator, gain } = this.boostLoop;
+    const now = this.context.currentTime;
+    gain.gain.setTargetAtTime(0.0001, now, 0.05);
+    oscillator.stop(now + 0.3);
+    this.boostLoop = null;
+  }
+
+  playLowLength() {
+    if (!this.canPlaySfx) return;
+    this.tone('square', 440, 0.1, { volume: 0.12 });
+    this.tone('square', 440, 0.1, { volume: 0.12, delay: 0.15 });
+  }
+
+  playKill() {
+    if (!this.canPlaySfx) return;
+    [523, 659, 784, 1047].forEach((frequency, i) => {
+      this.tone('triangle', frequency, 0.15, { volume: 0.2, delay: i * 0.06 });
+    });
+  }
+
+  playDeath() {
+    this.stopBoostLoop();
+    if (!this.canPlaySfx) return;
+    this.tone('sawtooth', 400, 0.7, { volume: 0.3, endFrequency: 50 });
+    this.tone('square', 200, 0.5, { volume: 0.1, endFrequency: 40, delay: 0.1 });
+  }
+
+  // Music is a short bass + arpeggio loop scheduled slightly ahead of time, so timer jitter
+  // never shows up as uneven notes
+  startMusic() {
+    if (this.musicTimer || !this.context || !this.settings.musicEnabled) return;
+
+    this.musicNextTime = this.context.currentTime + 0.1;
+    this.musicStep = 0;
+    this.musicTimer = setInterval(() => this.scheduleMusic(), 100);
+    this.scheduleMusic();
+  }
+
+  stopMusic() {
+    if (!this.musicTimer) return;
+    clearInterval(this.musicTimer);
+    this.musicTimer = null;
+  }
+
+  scheduleMusic() {
+    const stepLength = 60 / this.options.MUSIC_TEMPO / 2; // Eighth notes
+    const root = this.options.MUSIC_ROOT_FREQUENCY;
+    const output = this.musicGain;
+
+    while (this.musicNextTime < this.context.currentTime + 0.3) {
+      const delay = Math.max(0, this.musicNextTime - this.context.currentTime);
+      const bar = Math.floor(this.musicStep / MUSIC_ARPEGGIO.length) % MUSIC_BASS.length;
+      const step = this.musicStep % MUSIC_ARPEGGIO.length;
+      const chord = MUSIC_BASS[bar];
+
+      if (step % 4 === 0) {
+        this.tone('triangle', noteFrequency(root / 2, chord), stepLength * 3.5, { volume: 0.5, delay, output });
+      }
+      this.tone('square', noteFrequency(root * 2, chord + MUSIC_ARPEGGIO[step]), stepLength * 0.8, { volume: 0.12, delay, output });
+
+      this.musicNextTime += stepLength;
+      this.musicStep++;
+    }
+  }
+}
@@ -0,0 +1,355 @@
+// File: src/bots.js - AI bot snakes that share the world with the player
+import { CONFIG } from './config.js';
+import { Snake } from './snake.js';
+import { Vector2D, Random } from './utils.js';
+import { WorldBoundary } from './boundary.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('game');
+
+// Difficulty presets - each bot gets one of these
+export const BOT_DIFFICULTIES = {
+  easy: {
+    reactionTime: 0.6,       // Seconds between target decisions
+    senseRadius: 250,        // How far the bot looks for pellets
+    avoidRadius: 40,         // Extra clearance kept from other bodies
+    avoidWeight: 1.5,        // How strongly avoidance overrides seeking
+    wallMargin: 150,         // Start turning away from the edge here
+    huntRadius: 0,           // Never hunts players
+    huntChance: 0,
+    leadTime: 0,
+    boostWhenChasing: false,
+    aimError: 0.6            // Radians of random steering error
+  },
+  medium: {
+    reactionTime: 0.35,
+    senseRadius: 400,
+    avoidRadius: 70,
+    avoidWeight: 2.5,
+    wallMargin: 250,
+    huntRadius: 350,
+    huntChance: 0.3,
+    leadTime: 0.5,
+    boostWhenChasing: false,
+    aimError: 0.25
+  },
+  hard: {
+    reactionTime: 0.15,
+    senseRadius: 600,
+    avoidRadius: 110,
+    avoidWeight: 4.0,
+    wallMargin: 350,
+    huntRadius: 600,
+    huntChance: 0.7,
+    leadTime: 0.9,
+    boostWhenChasing: true,
+    aimError: 0.05
+  }
+};
+
+// Colour palettes so bots are easy to tell apart from the player
+const BOT_PALETTES = [
+  { head: '#ff5577', body: { r: 255, g: 85, b: 119 } },
+  { head: '#55aaff', body: { r: 85, g: 170, b: 255 } },
+  { head: '#ffcc33', body: { r: 255, g: 204, b: 51 } },
+  { head: '#cc66ff', body: { r: 204, g: 102, b: 255 } },
+  { head: '#33ffee', body: { r: 51, g: 255, b: 238 } },
+  { head: '#ff8833', body: { r: 255, g: 136, b: 51 } }
+];
+
+// Keeps bots from burning themselves down to nothing while chasing
+const BOOST_LENGTH_RESERVE = 3;
+
+// Steering brain for a single bot snake
+export class BotController {
+  constructor(snake, difficulty = 'medium', id = null) {
+    this.id = id;                // Stable id for network snapshots
+    this.snake = snake;
+    this.difficulty = difficulty;
+    this.settings = BOT_DIFFICULTIES[difficulty] || BOT_DIFFICULTIES.medium;
+
+    // Decision state
+    this.decisionTimer = 0;
+    this.mode = 'wander';        // 'wander' | 'seek' | 'hunt'
+    this.targetPosition = null;
+    this.targetPellet = null;
+    this.targetSnake = null;
+    this.aimOffset = 0;
+  }
+
+  // Returns { direction, boost } for this frame
+  think(deltaTime, context) {
+    const snake = this.snake;
+
+    this.decisionTimer -= deltaTime;
+    if (this.decisionTimer <= 0 || this.isTargetStale()) {
+      this.chooseTarget(context);
+      this.decisionTimer = this.settings.reactionTime;
+    }
+
+    // Hunting re-aims every frame so the cut-off point tracks the prey
+    if (this.mode === 'hunt') {
+      this.targetPosition = this.getInterceptPoint(this.targetSnake);
+    }
+
+    let desired = new Vector2D(0, 0);
+    if (this.targetPosition) {
+      const toTarget = this.targetPosition.subtract(snake.position).normalize();
+      desired = Vector2D.fromAngle(toTarget.angle() + this.aimOffset);
+    }
+
+    // Avoidance is evaluated every frame - reaction time only slows target choice
+    const avoidance = this.getBodyAvoidance(context.snakes)
+      .add(this.getWallAvoidance(context.boundary));
+
+    if (avoidance.magnitude() > 0) {
+      desired = desired.add(avoidance.multiply(this.settings.avoidWeight));
+    }
+
+    // Never return a zero vector - keep going straight instead
+    if (desired.magnitude() < 0.01) {
+      desired = Vector2D.fromAngle(snake.angle);
+    }
+
+    const boost = this.mode === 'hunt' &&
+      this.settings.boostWhenChasing &&
+      snake.length > CONFIG.BOOST.MIN_LENGTH_TO_BOOST + BOOST_LENGTH_RESERVE;
+
+    return { direction: desired.normalize(), boost };
+  }
+
+  isTargetStale() {
+    if (this.mode === 'seek') {
+      return !this.targetPellet || this.targetPellet.isCollected;
+    }
+    if (this.mode === 'hunt') {
+      return !this.targetSnake || !this.targetSnake.isAlive;
+    }
+    return false;
+  }
+
+  chooseTarget(context) {
+    const settings = this.settings;
+    this.aimOffset = Random.range(-settings.aimError, settings.aimError);
+
+    // Opportunistically go after a nearby player
+    const prey = this.findPrey(context.snakes);
+    if (prey && Random.range(0, 1) < settings.huntChance) {
+      this.mode = 'hunt';
+      this.targetSnake = prey;
+      this.targetPellet = null;
+      this.targetPosition = this.getInterceptPoint(prey);
+      return;
+    }
+
+    const pellet = this.findBestPellet(context.pelletManager);
+    if (pellet) {
+      this.mode = 'seek';
+      this.targetPellet = pellet;
+      this.targetSnake = null;
+      this.targetPosition = pellet.position;
+      return;
+    }
+
+    // Nothing interesting nearby - keep the current wander point until we reach it
+    this.targetPellet = null;
+    this.targetSnake = null;
+    if (this.mode !== 'wander' || !this.targetPosition ||
+        this.snake.position.distanceTo(this.targetPosition) < 100) {
+      this.targetPosition = context.boundary.randomPoint(200);
+    }
+    this.mode = 'wander';
+  }
+
+  findPrey(snakes) {
+    if (this.settings.huntRadius <= 0) return null;
+
+    let best = null;
+    let bestDistance = this.settings.huntRadius;
+
+    for (const other of snakes) {
+      if (other === this.snake || other.isBot || !other.isAlive) continue;
+
+      const distance = this.snake.position.distanceTo(other.position);
+      if (distance < bestDistance) {
+        best = other;
+        bestDistance = distance;
+      }
+    }
+
+    return best;
+  }
+
+  // Pick the pellet with the best value-per-distance inside the sense radius
+  findBestPellet(pelletManager) {
+    let best = null;
+    let bestScore = 0;
+    const senseRadius = this.settings.senseRadius;
+
+    for (const pellet of pelletManager.queryRadius(this.snake.position, senseRadius)) {
+      const distance = this.snake.position.distanceTo(pellet.position);
+      // Token pellets are worth chasing for the coins alone
+      const score = (pellet.value + pellet.tokenValue) / Math.max(distance, 1);
+      if (score > bestScore) {
+        best = pellet;
+        bestScore = score;
+      }
+    }
+
+    return best;
+  }
+
+  // Aim at a point in front of the prey's head to cut it off
+  getInterceptPoint(target) {
+    const leadDistance = target.speed * this.settings.leadTime + target.headRadius * 2;
+    return target.position.add(Vector2D.fromAngle(target.angle, leadDistance));
+  }
+
+  // Push away from every head/body segment that is inside our clearance radius
+  getBodyAvoidance(snakes) {
+    const snake = this.snake;
+    let push = new Vector2D(0, 0);
+
+    // Look slightly ahead so we turn before touching
+    const lookAhead = snake.position.add(Vector2D.fromAngle(snake.angle, snake.headRadius * 2));
+
+    for (const other of snakes) {
+      if (other === snake || !other.isAlive) continue;
+
+      const bounds = other.getBounds();
+      const reach = this.settings.avoidRadius + snake.headRadius + other.headRadius;
+      if (lookAhead.x < bounds.minX - reach || lookAhead.x > bounds.maxX + reach ||
+          lookAhead.y < bounds.minY - reach || lookAhead.y > bounds.maxY + reach) {
+        continue;
+      }
+
+      for (let i = 0; i < other.segments.length; i++) {
+        const segmentPosition = other.segments[i].position;
+        const clearance = this.settings.avoidRadius + snake.headRadius + other.getSegmentRadius(i);
+        const away = lookAhead.subtract(segmentPosition);
+        const distance = away.magnitude();
+
+        if (distance < clearance && distance > 0) {
+          // Closer segments push harder
+          push = push.add(away.normalize().multiply(1 - distance / clearance));
+        }
+      }
+    }
+
+    return push;
+  }
+
+  getWallAvoidance(boundary) {
+    const position = this.snake.position;
+    const margin = this.settings.wallMargin;
+    let push = new Vector2D(0, 0);
+
+    if (boundary.wraps) {
+      return push; // Nothing to avoid on a torus
+    }
+
+    if (boundary.mode === 'circle') {
+      const distance = boundary.distanceToEdge(position);
+      if (distance < margin) push = boundary.inwardNormal(position).multiply(1 - distance / margin);
+    } else {
+      const { width, height } = boundary;
+      if (position.x < margin) push.x += 1 - position.x / margin;
+      if (position.x > width - margin) push.x -= 1 - (width - position.x) / margin;
+      if (position.y < margin) push.y += 1 - position.y / margin;
+      if (position.y > height - margin) push.y -= 1 - (height - position.y) / margin;
+    }
+
+    // Edges are fatal (or at best a dead end) - weigh them above everything else
+    return push.multiply(2);
+  }
+}
+
+// Spawns, updates, draws and respawns all bot snakes
+export class BotManager {
+  constructor(worldWidth, worldHeight, botCount = CONFIG.BOTS.COUNT, difficulty = CONFIG.BOTS.DIFFICULTY, boundary = new WorldBoundary(worldWidth, worldHeight)) {
+    this.worldWidth = worldWidth;
+    this.worldHeight = worldHeight;
+    this.boundary = boundary;
+    this.botCount = botCount;
+    this.difficulty = difficulty;
+
+    this.bots = [];           // Live BotControllers
+    this.respawnQueue = [];   // Seconds remaining per pending respawn
+    this.spawnCounter = 0;
+  }
+
+  // avoidPositions: player positions bots must not spawn on top of
+  spawnAll(avoidPositions = []) {
+    this.bots = [];
+    this.respawnQueue = [];
+    for (let i = 0; i < this.botCount; i++) {
+      this.spawnBot(avoidPositions);
+    }
+    log.info(`🤖 Spawned ${this.bots.length} bots (${this.difficulty})`);
+  }
+
+  spawnBot(avoidPositions = []) {
+    const position = this.findSpawnPosition(avoidPositions);
+    const snake = new Snake(position.x, position.y, Random.range(0, Math.PI * 2));
+
+    const palette = BOT_PALETTES[this.spawnCounter % BOT_PALETTES.length];
+    snake.isBot = true;
+    snake.name = Random.choice(CONFIG.BOTS.NAMES);
+    snake.color = palette.head;
+    snake.bodyColor = palette.body;
+    const id = `b${++this.spawnCounter}`;
+    snake.id = id;
+
+    const difficulty = this.difficulty === 'mixed'
+      ? Random.choice(Object.keys(BOT_DIFFICULTIES))
+      : this.difficulty;
+
+    const bot = new BotController(snake, difficulty, id);
+    this.bots.push(bot);
+    return bot;
+  }
+
+  findSpawnPosition(avoidPositions) {
+    const margin = 300;
+    const minDistance = CONFIG.BOTS.SPAWN_MIN_PLAYER_DISTANCE;
+    let position = null;
+
+    // A few tries is plenty - fall back to the last candidate
+    for (let attempt = 0; attempt < 10; attempt++) {
+      position = this.boundary.randomPoint(margin);
+      if (avoidPositions.every(avoid => position.distanceTo(avoid) >= minDistance)) break;
+    }
+
+    return position;
+  }
+
+  // context: { snakes, pelletManager, worldWidth, worldHeight, boundary, avoidPositions }
+  update(deltaTime, context) {
+    for (const bot of this.bots) {
+      if (!bot.snake.isAlive) continue;
+
+      const { direction, boost } = bot.think(deltaTime, context);
+      bot.snake.update(deltaTime, direction, boost);
+    }
+
+    // Dead bots leave the world and queue a replacement
+    const before = this.bots.length;
+    this.bots = this.bots.filter(bot => bot.snake.isAlive);
+    for (let i = this.bots.length; i < before; i++) {
+      this.respawnQueue.push(CONFIG.BOTS.RESPAWN_DELAY);
+    }
+
+    for (let i = this.respawnQueue.length - 1; i >= 0; i--) {
+      this.respawnQueue[i] -= deltaTime;
+      if (this.respawnQueue[i] <= 0) {
+        this.respawnQueue.splice(i, 1);
+        this.spawnBot(context.avoidPositions || []);
+        log.debug('🤖 Bot respawned');
+      }
+    }
+  }
+
+  getSnakes() {
+    return this.bots.map(bot => bot.snake);
+  }
+}
@@ -0,0 +1,146 @@
+// File: src/boundary.js - The edge of the world and what happens when a snake reaches it
+// Modes (CONFIG.WORLD.BOUNDARY_MODE):
+//   'death'  - rectangle, snakes die BOUNDARY_MARGIN past the edge (the original rule)
+//   'wall'   - rectangle, the head slides along the edge and bounces off it
+//   'wrap'   - torus, leaving one side comes back in on the other
+//   'circle' - round arena inscribed in the world rectangle, deadly like 'death'
+// Shared by the World, bots, pellets, the multiplayer client and the renderer.
+import { CONFIG } from './config.js';
+import { Vector2D, Random } from './utils.js';
+
+export const BOUNDARY_MODES = ['death', 'wall', 'wrap', 'circle'];
+
+export class WorldBoundary {
+  constructor(width, height, mode = CONFIG.WORLD.BOUNDARY_MODE) {
+    if (!BOUNDARY_MODES.includes(mode)) {
+      throw new Error(`Unknown boundary mode "${mode}" (expected one of ${BOUNDARY_MODES.join(', ')})`);
+    }
+
+    this.width = width;
+    this.height = height;
+    this.mode = mode;
+    this.margin = CONFIG.WORLD.BOUNDARY_MARGIN;
+
+    // Circle arena
+    this.center = new Vector2D(width / 2, height / 2);
+    this.radius = Math.min(width, height) / 2;
+  }
+
+  get isLethal() {
+    return this.mode === 'death' || this.mode === 'circle';
+  }
+
+  get wraps() {
+    return this.mode === 'wrap';
+  }
+
+  // How far inside the world a point is (negative outside). A torus has no edge
+  distanceToEdge(position) {
+    if (this.mode === 'wrap') return Infinity;
+    if (this.mode === 'circle') return this.radius - position.distanceTo(this.center);
+    return Math.min(position.x, this.width - position.x, position.y, this.height - position.y);
+  }
+
+  // Unit vector from the nearest edge back into the world
+  inwardNormal(position) {
+    if (this.mode === 'circle') {
+      const toCenter = this.center.subtract(position);
+      return toCenter.magnitude() > 0 ? toCenter.normalize() : new Vector2D(0, 0);
+    }
+
+    const distances = [
+      { distance: position.x, normal: new Vector2D(1, 0) },
+      { distance: this.width - position.x, normal: new Vector2D(-1, 0) },
+      { distance: position.y, normal: new Vector2D(0, 1) },
+      { distance: this.height - position.y, normal: new Vector2D(0, -1) }
+    ];
+    return distances.reduce((nearest, edge) => edge.distance < nearest.distance ? edge : nearest).normal;
+  }
+
+  // Random point at least `margin` inside the edge (seeded - same calls as before for rectangles)
+  randomPoint(margin) {
+    if (this.mode === 'circle') {
+      const angle = Random.range(0, Math.PI * 2);
+      const distance = Math.sqrt(Random.range(0, 1)) * Math.max(0, this.radius - margin);
+      return this.center.add(Vector2D.fromAngle(angle, distance));
+    }
+    return Random.vector(margin, this.width - margin, margin, this.height - margin);
+  }
+
+  // Bring a point that drifted off a torus back into range (no-op for the other modes)
+  normalize(position) {
+    if (this.mode !== 'wrap') return position;
+    const x = ((position.x % this.width) + this.width) % this.width;
+    const y = ((position.y % this.height) + this.height) % this.height;
+    return x === position.x && y === position.y ? position : new Vector2D(x, y);
+  }
+
+  // Shortest displacement from a to b - across the seam when that's closer
+  delta(a, b) {
+    let dx = b.x - a.x;
+    let dy = b.y - a.y;
+    if (this.mode === 'wrap') {
+      dx -= Math.round(dx / this.width) * this.width;
+      dy -= Math.round(dy / this.height) * this.height;
+    }
+    return new Vector2D(dx, dy);
+  }
+
+  distance(a, b) {
+    return this.delta(a, b).magnitude();
+  }
+
+  // Whole-world jump between two positions of the same thing (a snake that wrapped in between)
+  wrapOffset(from, to) {
+    if (this.mode !== 'wrap') return new Vector2D(0, 0);
+    return new Vector2D(
+      Math.round((to.x - from.x) / this.width) * this.width,
+      Math.round((to.y - from.y) / this.height) * this.height
+    );
+  }
+
+  // Apply the non-lethal rules after a snake moved: walls deflect, the torus wraps.
+  // Returns the shift applied to the whole snake ({ x, y }) when it wrapped, otherwise null
+  constrain(snake) {
+    if (!snake.isAlive) return null;
+
+    if (this.mode === 'wall') {
+      this.deflect(snake);
+      return null;
+    }
+
+    if (this.mode === 'wrap') {
+      const wrapped = this.normalize(snake.position);
+      if (wrapped === snake.position) return null;
+
+      // Move the whole snake, so its trail and body stay continuous - the body hangs past
+      // the seam until it follows the head through (the renderer draws it on both sides)
+      const shift = wrapped.subtract(snake.position);
+      snake.translate(shift.x, shift.y);
+      return shift;
+    }
+
+    return null;
+  }
+
+  deflect(snake) {
+    const radius = snake.headRadius;
+    const { x, y } = snake.position;
+    const clampedX = Math.min(Math.max(x, radius), this.width - radius);
+    const clampedY = Math.min(Math.max(y, radius), this.height - radius);
+    if (clampedX === x && clampedY === y) return;
+
+    // Mirror the heading off whichever wall was hit
+    const heading = Vector2D.fromAngle(snake.angle);
+    if (clampedX !== x) heading.x = -heading.x;
+    if (clampedY !== y) heading.y = -heading.y;
+    snake.angle = heading.angle();
+    snake.moveHead(new Vector2D(clampedX, clampedY));
+  }
+
+  // Lethal modes: has the head gone far enough past the edge to die?
+  isOutside(snake) {
+    if (!this.isLethal) return false;
+    return this.distanceToEdge(snake.position) < -this.margin;
+  }
+}
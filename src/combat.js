@@ -0,0 +1,131 @@
+// File: src/combat.js - Snake-vs-snake collisions and KILL_SPLIT payouts
+import { CONFIG } from './config.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('physics');
+const economyLog = createLogger('economy');
+
+export class CombatSystem {
+  // boundary: the World's WorldBoundary (see boundary.js)
+  constructor(pelletManager, boundary) {
+    this.pelletManager = pelletManager;
+    this.boundary = boundary;
+
+    // Treasury share is only recorded here - paying it out is an on-chain concern
+    this.treasuryTotal = 0;
+  }
+
+  // Tokens at stake when a snake dies: its buy-in plus what it has earned but not banked.
+  // A player's kill shares are banked the moment the kill happens (see RewardTracker) - paying
+  // them out again here would hand the treasury's tokens to the next killer
+  getBounty(snake) {
+    const stake = snake.isBot ? CONFIG.BOTS.BOUNTY : CONFIG.BUYIN_AMOUNT_TOKENS;
+    return stake + snake.value - snake.bankedValue;
+  }
+
+  // FIXED: The boundary mode decides - walls deflect, a torus wraps, the lethal modes kill
+  // BOUNDARY_MARGIN past the edge
+  checkWorldBoundaries(snake) {
+    if (!snake.isAlive) return null;
+
+    this.boundary.constrain(snake);
+    if (this.boundary.isOutside(snake)) {
+      log.info(`${snake.name} went out of bounds!`);
+      return this.killSnake(snake, null, 'boundary');
+    }
+
+    return null;
+  }
+
+  // Find every collision this frame, then apply them all at once so the
+  // outcome doesn't depend on the order snakes are checked in
+  resolve(snakes) {
+    const deaths = new Map(); // victim -> { killer, cause }
+
+    for (const snake of snakes) {
+      if (!snake.isAlive) continue;
+
+      for (const other of snakes) {
+        if (other === snake || !other.isAlive) continue;
+
+        const hit = snake.checkCollisionWithOtherSnake(other, this.boundary);
+        if (hit === 'body') {
+          // Our head ran into their body - we die, they get the kill
+          if (!deaths.has(snake)) {
+            deaths.set(snake, { killer: other, cause: 'body' });
+          }
+        } else if (hit === 'head') {
+          this.resolveHeadOn(snake, other, deaths);
+        }
+      }
+    }
+
+    const kills = [];
+    for (const [victim, { killer, cause }] of deaths) {
+      // A killer that died in the same frame can't collect
+      const survivingKiller = killer && !deaths.has(killer) ? killer : null;
+      kills.push(this.killSnake(victim, survivingKiller, cause));
+    }
+
+    return kills;
+  }
+
+  resolveHeadOn(a, b, deaths) {
+    const lengthDiff = a.length - b.length;
+
+    if (CONFIG.COMBAT.HEAD_ON_RULE === 'both_die' ||
+        Math.abs(lengthDiff) < CONFIG.COMBAT.HEAD_ON_TIE_MARGIN) {
+      if (!deaths.has(a)) deaths.set(a, { killer: null, cause: 'head_on' });
+      if (!deaths.has(b)) deaths.set(b, { killer: null, cause: 'head_on' });
+      return;
+    }
+
+    // Longer snake survives and gets the kill
+    const [winner, loser] = lengthDiff > 0 ? [a, b] : [b, a];
+    if (!deaths.has(loser)) {
+      deaths.set(loser, { killer: winner, cause: 'head_on' });
+    }
+  }
+
+  // Kill a snake and pay out its bounty. killer may be null (walls, ties)
+  killSnake(victim, killer = null, cause = 'unknown') {
+    const bounty = this.getBounty(victim);
+    const split = CONFIG.KILL_SPLIT;
+
+    const killerShare = killer ? bounty * split.KILLER_PERCENT : 0;
+    const treasuryShare = bounty * split.TREASURY_PERCENT;
+    // Without a killer its share goes back into the world with the dropped share
+    const droppedShare = bounty - killerShare - treasuryShare;
+
+    const positions = victim.getAllPositions();
+    victim.die();
+
+    if (killer) {
+      killer.kills++;
+      if (killerShare > 0) {
+        killer.addValue(killerShare, `kill:${victim.name}`);
+        // Players bank kill shares straight away (RewardTracker) - bots keep theirs at stake
+        if (!killer.isBot) killer.bankedValue += killerShare;
+      }
+    }
+
+    this.treasuryTotal += treasuryShare;
+
+    // Victim's body becomes food, carrying the dropped token share
+    this.pelletManager.spawnPelletsAlongPath(positions, victim.length, droppedShare);
+
+    const kill = {
+      victim,
+      killer,
+      cause,
+      bounty,
+      killerShare,
+      treasuryShare,
+      droppedShare,
+      droppedLength: victim.length
+    };
+
+    economyLog.info(`⚔️ ${killer ? killer.name : 'Nobody'} killed ${victim.name} (${cause}) | bounty ${bounty.toFixed(2)} -> killer ${killerShare.toFixed(2)}, treasury ${treasuryShare.toFixed(2)}, dropped ${droppedShare.toFixed(2)}`);
+    return kill;
+  }
+}
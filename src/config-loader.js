@@ -0,0 +1,497 @@
+// File: src/config-loader.js - Presets, runtime overrides and validation for CONFIG
+// CONFIG (config.js) stays the one object every module reads. This module checks it against
+// CONFIG_SCHEMA and changes it in place before a game starts, from the page's query string:
+//   ?preset=hardcore               - a named preset from CONFIG_PRESETS
+//   ?config=presets/my-rules.json  - a preset file: { "PHYSICS": { "BASE_SPEED": 150 }, ... }
+//   ?PHYSICS.BASE_SPEED=150        - single values (read as JSON, otherwise as text)
+//   ?log=debug:physics,net         - shorthand for DEBUG.LOG_LEVEL (and DEBUG.LOG_CATEGORIES)
+// Applied in that order. A change that breaks the schema is refused as a whole.
+import { CONFIG } from './config.js';
+import { BOUNDARY_MODES } from './boundary.js';
+import { BOT_DIFFICULTIES } from './bots.js';
+import { LOG_LEVELS, LOG_CATEGORIES, createLogger } from './logger.js';
+
+const log = createLogger('game');
+
+const number = (min = -Infinity, max = Infinity) => ({ type: 'number', min, max });
+const integer = (min = -Infinity, max = Infinity) => ({ type: 'integer', min, max });
+const boolean = () => ({ type: 'boolean' });
+const string = () => ({ type: 'string' });
+const oneOf = (...values) => ({ type: 'enum', values });
+const list = (item, minLength = 0) => ({ type: 'list', item, minLength });
+const nullable = (rule) => ({ ...rule, nullable: true });
+const fraction = () => number(0, 1);
+
+const MINIMAP_POSITIONS = ['top-left', 'top-right', 'bottom-left', 'bottom-right'];
+
+// Every key some module reads. CONFIG keys missing here are reported as unused
+export const CONFIG_SCHEMA = {
+  SOLANA_RPC: string(),
+  TOKEN_MINT: string(),
+  TREASURY_ADDRESS: string(),
+  BUYIN_AMOUNT_TOKENS: number(0),
+
+  BUYIN: {
+    MODE: oneOf('rpc', 'mock', 'off'),
+    COMMITMENT: oneOf('processed', 'confirmed', 'finalized'),
+    CONFIRM_TIMEOUT_MS: integer(1),
+    MOCK_BALANCE_TOKENS: number(0),
+    MOCK_LATENCY_MS: integer(0),
+    WEB3_URL: string(),
+    SPL_TOKEN_URL: string()
+  },
+
+  REWARDS: {
+    MIN_CLAIM_TOKENS: number(0),
+    STORAGE_KEY: string(),
+    MOCK_TREASURY_TOKENS: number(0),
+    MAX_CLAIM_ENTRIES: integer(1),
+    CLAIM_URL: nullable(string())
+  },
+
+  KILL_SPLIT: {
+    KILLER_PERCENT: fraction(),
+    TREASURY_PERCENT: fraction(),
+    DROPPED_PERCENT: fraction()
+  },
+
+  TOKEN_PELLETS: {
+    COLOR: string(),
+    GROWTH_VALUE: number(0),
+    MIN_TOKENS: number(0),
+    MAX_PER_DROP: integer(1),
+    SCATTER_RADIUS: number(0),
+    PICKUP_NOTICE_SECONDS: number(0)
+  },
+
+  COMBAT: {
+    HEAD_ON_RULE: oneOf('longer_survives', 'both_die'),
+    HEAD_ON_TIE_MARGIN: number(0)
+  },
+
+  PHYSICS: {
+    BASE_SPEED: number(1),
+    BOOST_SPEED_MULTIPLIER: number(1),
+    TURN_RATE: number(0.1),
+    SEGMENT_GAP: number(1),
+    MAGNET_RADIUS: number(0),
+    INITIAL_LENGTH: integer(1),
+    TRAIL_SAMPLE_RATE: number(0.1, 2)
+  },
+
+  SNAKE: {
+    MIN_SPEED: number(1),
+    MIN_SPEED_LENGTH: number(1),
+    MIN_TURN_MULTIPLIER: number(0.01, 1),
+    HEAD_RADIUS: number(1),
+    BODY_RADIUS: number(1),
+    MAX_SIZE_MULTIPLIER: number(1),
+    MAX_SIZE_LENGTH: number(1),
+    MIN_TAPER: number(0.1, 1),
+    TAPER_PER_SEGMENT: fraction(),
+    MAX_SPACING_MULTIPLIER: number(1),
+    TAIL_SPACING_MULTIPLIER: number(1),
+    MAX_TRAIL_POINTS: integer(256),
+    DECAY_MIN_LENGTH: number(0),
+    DECAY_RATES: list(list(number(0), 2))
+  },
+
+  BOOST: {
+    LENGTH_COST_PER_SECOND: number(0),
+    MIN_LENGTH_TO_BOOST: number(0),
+    LOW_LENGTH_WARNING: number(0),
+    DROP_RATIO: fraction(),
+    DROP_PELLET_VALUE: number(0.01),
+    DROP_SCATTER: number(0),
+    DROP_LIFETIME: number(1),
+    DROP_COLOR: string()
+  },
+
+  SIMULATION: {
+    TICK_RATE: integer(10, 240),
+    MAX_STEPS_PER_FRAME: integer(1),
+    SEED: nullable(integer(0, 0xffffffff))
+  },
+
+  CAMERA: {
+    BASE_ZOOM: number(0.05, 5),
+    MAX_ZOOM_OUT: number(0.05, 5),
+    ZOOM_CAP_LENGTH: number(1),
+    BOOST_ZOOM_FACTOR: number(0.1, 5),
+    SMOOTH_FACTOR: number(0.01, 1),
+    FREE_MIN_ZOOM: number(0.01, 5),
+    FREE_MAX_ZOOM: number(0.01, 10)
+  },
+
+  INPUT: {
+    MOUSE_DEADZONE: number(0),
+    TOUCH_SENSITIVITY: number(0.1, 10),
+    JOYSTICK_SIZE: number(0.25, 4),
+    JOYSTICK_DEADZONE: number(0, 0.9),
+    BINDINGS_STORAGE_KEY: string(),
+    GAMEPAD_DEADZONE: number(0, 0.9),
+    GAMEPAD_TRIGGER_THRESHOLD: fraction()
+  },
+
+  UI: {
+    SKINS: list(string(), 1)
+  },
+
+  AUDIO: {
+    STORAGE_KEY: string(),
+    SFX_VOLUME: fraction(),
+    MUSIC_VOLUME: fraction(),
+    MUSIC_TEMPO: number(30, 300),
+    MUSIC_ROOT_FREQUENCY: number(20, 2000),
+    BOOST_BASE_FREQUENCY: number(20, 2000),
+    PICKUP_MIN_INTERVAL: number(0)
+  },
+
+  MINIMAP: {
+    ENABLED: boolean(),
+    SIZE: number(50),
+    POSITION: oneOf(...MINIMAP_POSITIONS),
+    MARGIN: number(0),
+    DENSITY_CELLS: integer(1, 200),
+    DENSITY_REFRESH_SECONDS: number(0),
+    TOGGLE_KEY: string(),
+    TOUCH_POSITION: oneOf(...MINIMAP_POSITIONS)
+  },
+
+  WORLD: {
+    WIDTH: number(500),
+    HEIGHT: number(500),
+    PELLET_COUNT: integer(0),
+    SPATIAL_CELL_SIZE: number(16),
+    MAX_PELLET_RADIUS: number(0),
+    GRID_SIZE: number(10),
+    BOUNDARY_MODE: oneOf(...BOUNDARY_MODES),
+    BOUNDARY_MARGIN: number(0),
+    BORDER_WARNING_DISTANCE: number(0)
+  },
+
+  BOTS: {
+    COUNT: integer(0, 100),
+    DIFFICULTY: oneOf(...Object.keys(BOT_DIFFICULTIES), 'mixed'),
+    RESPAWN_DELAY: number(0),
+    SPAWN_MIN_PLAYER_DISTANCE: number(0),
+    BOUNTY: number(0),
+    NAMES: list(string(), 1)
+  },
+
+  NETWORK: {
+    SERVER_URL: string(),
+    PORT: integer(1, 65535),
+    TICK_RATE: integer(1, 240),
+    SNAPSHOT_RATE: integer(1, 240),
+    MAX_PLAYERS: integer(1),
+    MAX_NAME_LENGTH: integer(1),
+    INTERPOLATION_DELAY: number(0, 2),
+    SNAPSHOT_BUFFER_SIZE: integer(2),
+    MAX_INPUT_QUEUE: integer(1),
+    PREDICTION_SNAP_DISTANCE: number(0)
+  },
+
+  LEADERBOARD: {
+    URL: nullable(string()),
+    BOARD_SIZE: integer(1, 100),
+    MAX_GROWTH_PER_SECOND: number(0),
+    MAX_VALUE_PER_SECOND: number(0),
+    MAX_KILLS_PER_MINUTE: number(0),
+    MAX_SURVIVAL_SECONDS: number(1),
+    MAX_RESULT_AGE_MS: integer(1)
+  },
+
+  DEBUG: {
+    ENABLE_DEBUG_KEYS: boolean(),
+    LENGTH_BOOST_AMOUNT: number(0),
+    BIG_LENGTH_BOOST: number(0),
+    LENGTH_REMOVE_AMOUNT: number(0),
+    LOG_LEVEL: oneOf(...LOG_LEVELS, 'off'),
+    LOG_CATEGORIES: list(oneOf(...LOG_CATEGORIES)),
+    LOG_TO_CONSOLE: boolean(),
+    LOG_BUFFER_SIZE: integer(10, 100000)
+  }
+};
+
+// Rules between keys - each returns a problem, or null
+const CROSS_CHECKS = [
+  (config) => Math.abs(config.KILL_SPLIT.KILLER_PERCENT + config.KILL_SPLIT.TREASURY_PERCENT + config.KILL_SPLIT.DROPPED_PERCENT - 1) > 1e-6
+    ? 'KILL_SPLIT percents must add up to 1' : null,
+  (config) => config.SNAKE.MIN_SPEED > config.PHYSICS.BASE_SPEED
+    ? 'SNAKE.MIN_SPEED must not be above PHYSICS.BASE_SPEED' : null,
+  (config) => config.SNAKE.MIN_SPEED_LENGTH <= config.PHYSICS.INITIAL_LENGTH
+    ? 'SNAKE.MIN_SPEED_LENGTH must be above PHYSICS.INITIAL_LENGTH' : null,
+  (config) => config.SNAKE.MAX_SIZE_LENGTH <= config.PHYSICS.INITIAL_LENGTH
+    ? 'SNAKE.MAX_SIZE_LENGTH must be above PHYSICS.INITIAL_LENGTH' : null,
+  (config) => config.CAMERA.ZOOM_CAP_LENGTH <= config.PHYSICS.INITIAL_LENGTH
+    ? 'CAMERA.ZOOM_CAP_LENGTH must be above PHYSICS.INITIAL_LENGTH' : null,
+  (config) => config.CAMERA.MAX_ZOOM_OUT > config.CAMERA.BASE_ZOOM
+    ? 'CAMERA.MAX_ZOOM_OUT must not be above CAMERA.BASE_ZOOM' : null,
+  (config) => config.CAMERA.FREE_MIN_ZOOM > config.CAMERA.FREE_MAX_ZOOM
+    ? 'CAMERA.FREE_MIN_ZOOM must not be above CAMERA.FREE_MAX_ZOOM' : null,
+  (config) => config.SNAKE.DECAY_RATES.some(([length], i, rates) => i > 0 && length >= rates[i - 1][0])
+    ? 'SNAKE.DECAY_RATES must be sorted longest first' : null
+];
+
+// Built-in presets, applied on top of the defaults in config.js
+export const CONFIG_PRESETS = {
+  // Forgiving: walls instead of death, cheap boost, more food and gentle bots
+  casual: {
+    PHYSICS: { TURN_RATE: 5.0, MAGNET_RADIUS: 40 },
+    BOOST: { LENGTH_COST_PER_SECOND: 0.4 },
+    WORLD: { BOUNDARY_MODE: 'wall', PELLET_COUNT: 160 },
+    BOTS: { COUNT: 5, DIFFICULTY: 'easy' }
+  },
+
+  // Fast, expensive boost, head-ons kill both and a round arena full of hard bots
+  hardcore: {
+    PHYSICS: { BASE_SPEED: 140.0, BOOST_SPEED_MULTIPLIER: 2.0, TURN_RATE: 3.2, MAGNET_RADIUS: 15 },
+    SNAKE: { MIN_SPEED: 100 },
+    BOOST: { LENGTH_COST_PER_SECOND: 1.2 },
+    COMBAT: { HEAD_ON_RULE: 'both_die' },
+    WORLD: { BOUNDARY_MODE: 'circle', PELLET_COUNT: 70 },
+    BOTS: { COUNT: 12, DIFFICULTY: 'hard' }
+  },
+
+  // Real buy-ins against devnet, a fixed seed and few bots for reproducible test runs
+  'devnet-test': {
+    SOLANA_RPC: 'https://api.devnet.solana.com',
+    BUYIN: { MODE: 'rpc', COMMITMENT: 'confirmed' },
+    SIMULATION: { SEED: 12345 },
+    BOTS: { COUNT: 2 },
+    DEBUG: { ENABLE_DEBUG_KEYS: true }
+  }
+};
+
+// Deep copy of the untouched defaults - getConfigChanges() compares against it
+const DEFAULT_CONFIG = structuredClone(CONFIG);
+
+const isRule = (entry) => typeof entry.type === 'string';
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+function checkValue(rule, value, path) {
+  if (value === null && rule.nullable) return null;
+
+  switch (rule.type) {
+    case 'number':
+    case 'integer':
+      if (typeof value !== 'number' || !Number.isFinite(value)) return `${path} must be a number`;
+      if (rule.type === 'integer' && !Number.isInteger(value)) return `${path} must be a whole number`;
+      if (value < rule.min || value > rule.max) {
+        const range = rule.max === Infinity ? `at least ${rule.min}` : `${rule.min}-${rule.max}`;
+        return `${path} must be ${range} (got ${value})`;
+      }
+      return null;
+    case 'boolean':
+      return typeof value === 'boolean' ? null : `${path} must be true or false`;
+    case 'string':
+      return typeof value === 'string' ? null : `${path} must be text`;
+    case 'enum':
+      return rule.values.includes(value) ? null : `${path} must be one of ${rule.values.join(', ')} (got ${JSON.stringify(value)})`;
+    case 'list':
+      if (!Array.isArray(value)) return `${path} must be a list`;
+      if (value.length < rule.minLength) return `${path} needs at least ${rule.minLength} entries`;
+      for (let i = 0; i < value.length; i++) {
+        const problem = checkValue(rule.item, value[i], `${path}[${i}]`);
+        if (problem) return problem;
+      }
+      return null;
+    default:
+      throw new Error(`Unknown schema type "${rule.type}" at ${path}`);
+  }
+}
+
+// { errors, unused } - errors break the game, unused keys are set but nothing reads them
+export function validateConfig(config = CONFIG, schema = CONFIG_SCHEMA) {
+  const errors = [];
+  const unused = [];
+
+  for (const [key, entry] of Object.entries(schema)) {
+    if (!(key in config)) {
+      errors.push(`${key} is missing`);
+    } else if (isRule(entry)) {
+      const problem = checkValue(entry, config[key], key);
+      if (problem) errors.push(problem);
+    } else if (!isPlainObject(config[key])) {
+      errors.push(`${key} must be a section`);
+    } else {
+      for (const [name, rule] of Object.entries(entry)) {
+        const path = `${key}.${name}`;
+        const problem = name in config[key] ? checkValue(rule, config[key][name], path) : `${path} is missing`;
+        if (problem) errors.push(problem);
+      }
+      for (const name of Object.keys(config[key])) {
+        if (!(name in entry)) unused.push(`${key}.${name}`);
+      }
+    }
+  }
+  for (const key of Object.keys(config)) {
+    if (!(key in schema)) unused.push(key);
+  }
+
+  // Cross checks only make sense once every value has the right type
+  if (errors.length === 0) {
+    for (const check of CROSS_CHECKS) {
+      const problem = check(config);
+      if (problem) errors.push(problem);
+    }
+  }
+
+  return { errors, unused };
+}
+
+// { 'PHYSICS.BASE_SPEED': 150 } and { PHYSICS: { BASE_SPEED: 150 } } both work
+function flattenOverrides(overrides) {
+  const values = [];
+  for (const [key, value] of Object.entries(overrides)) {
+    if (key.includes('.')) {
+      values.push([key, value]);
+    } else if (isPlainObject(value) && !(key in CONFIG_SCHEMA && isRule(CONFIG_SCHEMA[key]))) {
+      for (const [name, inner] of Object.entries(value)) values.push([`${key}.${name}`, inner]);
+    } else {
+      values.push([key, value]);
+    }
+  }
+  return values;
+}
+
+function isKnownPath(path) {
+  const [section, name, ...rest] = path.split('.');
+  const entry = CONFIG_SCHEMA[section];
+  if (!entry || rest.length > 0) return false;
+  return name === undefined ? isRule(entry) : !isRule(entry) && name in entry;
+}
+
+// Write overrides into CONFIG. Unknown keys (typos, removed settings) are skipped and returned;
+// if the result doesn't validate CONFIG is left untouched and an Error lists every problem.
+// Returns { applied, unknown } as lists of 'SECTION.KEY' paths
+export function applyConfigOverrides(overrides, source = 'overrides') {
+  const candidate = structuredClone(CONFIG);
+  const applied = [];
+  const unknown = [];
+
+  for (const [path, value] of flattenOverrides(overrides)) {
+    if (!isKnownPath(path)) {
+      unknown.push(path);
+      continue;
+    }
+    const [section, name] = path.split('.');
+    if (name === undefined) {
+      candidate[section] = structuredClone(value);
+    } else {
+      candidate[section][name] = structuredClone(value);
+    }
+    applied.push(path);
+  }
+
+  const { errors } = validateConfig(candidate);
+  if (errors.length > 0) {
+    throw new Error(`Invalid config from ${source}:\n  ${errors.join('\n  ')}`);
+  }
+
+  // In place - modules hold on to CONFIG and its sections
+  for (const path of applied) {
+    const [section, name] = path.split('.');
+    if (name === undefined) {
+      CONFIG[section] = candidate[section];
+    } else {
+      CONFIG[section][name] = candidate[section][name];
+    }
+  }
+
+  if (unknown.length > 0) log.warn(`⚙️ Unknown config keys in ${source} ignored: ${unknown.join(', ')}`);
+  if (applied.length > 0) log.info(`⚙️ Config from ${source}: ${applied.join(', ')}`);
+  return { applied, unknown };
+}
+
+export function applyConfigPreset(name) {
+  const preset = CONFIG_PRESETS[name];
+  if (!preset) {
+    throw new Error(`Unknown config preset "${name}" (expected one of ${Object.keys(CONFIG_PRESETS).join(', ')})`);
+  }
+  return applyConfigOverrides(preset, `preset "${name}"`);
+}
+
+// Query string -> { preset, file, values }. Values are JSON where they parse ('150', 'true',
+// 'null', '[1,2]'), otherwise plain text ('?WORLD.BOUNDARY_MODE=wrap')
+export function parseConfigQuery(search) {
+  const params = new URLSearchParams(search);
+  const values = {};
+
+  for (const [key, raw] of params) {
+    if (!/^[A-Z][A-Z0-9_]*(\.[A-Z][A-Z0-9_]*)?$/.test(key)) continue; // Not ours
+    try {
+      values[key] = JSON.parse(raw);
+    } catch {
+      values[key] = raw;
+    }
+  }
+
+  // ?log=debug or ?log=debug:physics,net
+  const logging = params.get('log');
+  if (logging) {
+    const [level, categories] = logging.split(':');
+    values['DEBUG.LOG_LEVEL'] = level;
+    if (categories) values['DEBUG.LOG_CATEGORIES'] = categories.split(',');
+  }
+
+  return { preset: params.get('preset'), file: params.get('config'), values };
+}
+
+// Everything the page's URL asks for. fetchJson loads ?config= files (the browser's fetch by default)
+export async function loadConfigFromQuery(search, fetchJson = defaultFetchJson) {
+  const { preset, file, values } = parseConfigQuery(search);
+  const report = { preset, file, applied: [], unknown: [] };
+  const merge = ({ applied, unknown }) => {
+    report.applied.push(...applied);
+    report.unknown.push(...unknown);
+  };
+
+  if (preset) merge(applyConfigPreset(preset));
+  if (file) merge(applyConfigOverrides(await fetchJson(file), file));
+  if (Object.keys(values).length > 0) merge(applyConfigOverrides(values, 'the URL'));
+  return report;
+}
+
+async function defaultFetchJson(url) {
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`Could not load config file ${url} (HTTP ${response.status})`);
+  return response.json();
+}
+
+// Values that differ from config.js, as a preset ({ SECTION: { KEY: value } }) - for
+// showing what's active and saving it as a preset file
+export function getConfigChanges(config = CONFIG) {
+  const changes = {};
+  for (const [key, value] of Object.entries(config)) {
+    const defaults = DEFAULT_CONFIG[key];
+    if (isPlainObject(value) && isPlainObject(defaults)) {
+      for (const [name, inner] of Object.entries(value)) {
+        if (JSON.stringify(inner) !== JSON.stringify(defaults[name])) {
+          (changes[key] ||= {})[name] = structuredClone(inner);
+        }
+      }
+    } else if (JSON.stringify(value) !== JSON.stringify(defaults)) {
+      changes[key] = structuredClone(value);
+    }
+  }
+  return changes;
+}
+
+// config.js's value for one 'SECTION.KEY' path
+export function getConfigDefault(path) {
+  const [section, name] = path.split('.');
+  const value = name === undefined ? DEFAULT_CONFIG[section] : DEFAULT_CONFIG[section][name];
+  return structuredClone(value);
+}
+
+// Startup check of config.js itself - throws on errors, lists keys nothing reads
+export function checkConfig() {
+  const { errors, unused } = validateConfig();
+  if (errors.length > 0) {
+    throw new Error(`config.js is invalid:\n  ${errors.join('\n  ')}`);
+  }
+  if (unused.length > 0) log.warn(`⚙️ CONFIG keys nothing reads: ${unused.join(', ')}`);
+  return unused;
+}
@@ -1,4 +1,6 @@
 // File: src/config.js - Updated with length-based boost
+// NEW: Every value here is checked against CONFIG_SCHEMA (config-loader.js), which can also swap in
+// a preset or single values from the URL before a game starts - add new keys to the schema too
 export const CONFIG = {
   // Solana integration (Phase 3)
   SOLANA_RPC: "https://api.devnet.solana.com", // devnet for testing
@@ -6,6 +8,27 @@ export const CONFIG = {
   TREASURY_ADDRESS: "<TREASURY_WALLET>",
   BUYIN_AMOUNT_TOKENS: 5,
   
+  // NEW: On-chain buy-in (src/solana.js)
+  BUYIN: {
+    MODE: 'mock',                // 'rpc' = real transfer via SOLANA_RPC | 'mock' = in-memory chain | 'off' = free play
+    COMMITMENT: 'confirmed',     // How final the transfer must be before the player may spawn
+    CONFIRM_TIMEOUT_MS: 60000,   // Give up waiting for confirmation after this long
+    MOCK_BALANCE_TOKENS: 100,    // Starting token balance of the mock wallet
+    MOCK_LATENCY_MS: 800,        // Simulated send/confirm delay of the mock chain
+    WEB3_URL: 'https://esm.sh/@solana/web3.js@1.98.0',
+    SPL_TOKEN_URL: 'https://esm.sh/@solana/spl-token@0.4.9?deps=@solana/web3.js@1.98.0'
+  },
+  
+  // NEW: Reward ledger and claims (src/rewards.js) - uses the same chain and wallet as the buy-in
+  REWARDS: {
+    MIN_CLAIM_TOKENS: 1,         // Smaller balances stay in the ledger until they add up
+    STORAGE_KEY: 'solsnake.rewards', // localStorage key prefix - one ledger per wallet
+    MOCK_TREASURY_TOKENS: 1000,  // Starting balance of the mock treasury
+    MAX_CLAIM_ENTRIES: 500,      // Ledger entries paid per claim - the rest wait for the next one
+    CLAIM_URL: null              // 'rpc' mode: claim service holding the treasury key (server/claims.js) -
+                                 // null = the same server as the leaderboard
+  },
+  
   // Kill reward distribution (Phase 4) - tokens as PRIZES not fuel
   KILL_SPLIT: {
     KILLER_PERCENT: 0.50,
@@ -13,6 +36,22 @@ export const CONFIG = {
     DROPPED_PERCENT: 0.25
   },
   
+  // NEW: Token pellets - carry the dropped share of a death as Snake.value, separate from food
+  TOKEN_PELLETS: {
+    COLOR: '#ffd700',
+    GROWTH_VALUE: 0,             // Length added on pickup on top of the tokens (0 = tokens only)
+    MIN_TOKENS: 0.25,            // Smallest token pellet - smaller drops are merged into fewer pellets
+    MAX_PER_DROP: 8,             // Most token pellets one death can scatter
+    SCATTER_RADIUS: 30,          // How far from the body they land
+    PICKUP_NOTICE_SECONDS: 1.5   // How long the HUD shows a pickup
+  },
+  
+  // NEW: Snake-vs-snake collision rules
+  COMBAT: {
+    HEAD_ON_RULE: 'longer_survives', // 'longer_survives' | 'both_die'
+    HEAD_ON_TIE_MARGIN: 1.0          // Lengths this close count as a tie (both die)
+  },
+  
   // Core physics (Phase 1)
   PHYSICS: {
     BASE_SPEED: 120.0,       // Good visible speed
@@ -25,29 +64,66 @@ export const CONFIG = {
     TRAIL_SAMPLE_RATE: 0.8   // More frequent trail points for smooth curves
   },
   
+  // NEW: Snake growth curves (src/snake.js) - base values are at INITIAL_LENGTH
+  SNAKE: {
+    MIN_SPEED: 85,               // Speed slows linearly from PHYSICS.BASE_SPEED to this...
+    MIN_SPEED_LENGTH: 2000,      // ...reached at this length
+    MIN_TURN_MULTIPLIER: 0.1,    // Long snakes turn slower, but never below this share of TURN_RATE
+    HEAD_RADIUS: 12,
+    BODY_RADIUS: 10,
+    MAX_SIZE_MULTIPLIER: 6.0,    // Head/body radius scale reached at MAX_SIZE_LENGTH
+    MAX_SIZE_LENGTH: 2000,
+    MIN_TAPER: 0.7,              // Thinnest tail segment, relative to BODY_RADIUS
+    TAPER_PER_SEGMENT: 0.03,
+    MAX_SPACING_MULTIPLIER: 3.0, // Segment gap growth cap for very long snakes
+    TAIL_SPACING_MULTIPLIER: 1.2, // The last 30% of the body is spaced further apart
+    MAX_TRAIL_POINTS: 5000,      // Trail ring buffer capacity
+    DECAY_MIN_LENGTH: 50,        // Snakes longer than this slowly lose length...
+    DECAY_RATES: [[1000, 0.5], [500, 0.3], [200, 0.15], [100, 0.08], [50, 0.03]] // ...[longer than, length per second]
+  },
+  
   // NEW: Length-based boost system
   BOOST: {
     LENGTH_COST_PER_SECOND: 0.7,        // Increased by 30% (0.5 * 1.3 = 0.65, rounded up to 0.7)
     MIN_LENGTH_TO_BOOST: 5,             // Changed to 5 (starting length)
-    CAMERA_ZOOM_IN_FACTOR: 1.4,         // Camera zooms IN when boosting (less vision)
-    LENGTH_BURN_RATE: 2.0               // How fast length burns during boost (updates per second)
+    LOW_LENGTH_WARNING: 2,              // Warn when the snake is less than this above MIN_LENGTH_TO_BOOST
+    // NEW: Burned length falls out of the tail as small pellets anyone can eat
+    DROP_RATIO: 0.5,                    // Share of burned length dropped (0 = it just burns away)
+    DROP_PELLET_VALUE: 0.1,             // Length in each dropped pellet - also sets its size
+    DROP_SCATTER: 6,                    // How far from the tail they land
+    DROP_LIFETIME: 20,                  // Seconds before an uneaten pellet fades away
+    DROP_COLOR: '#ff9933'
+  },
+  
+  // NEW: Deterministic simulation - same seed + same inputs = same world
+  SIMULATION: {
+    TICK_RATE: 60,               // Fixed physics steps per second
+    MAX_STEPS_PER_FRAME: 5,      // Drop time instead of spiralling after a long stall
+    SEED: null                   // Fixed RNG seed for reproducing bugs (null = new seed each game)
   },
   
   // Camera settings (Phase 1) - UPDATED for boost zoom in
   CAMERA: {
     BASE_ZOOM: 0.6,          // Good starting zoom
-    ZOOM_PER_LENGTH: 0.01,   // Gradual zoom out as snake grows
-    MAX_ZOOM_OUT: 0.2,       // Don't zoom out too far
+    MAX_ZOOM_OUT: 0.25,      // Zoom reached at ZOOM_CAP_LENGTH - never zooms out further
+    ZOOM_CAP_LENGTH: 1500,   // Length where the zoom out stops
     BOOST_ZOOM_FACTOR: 1.4,  // BOOST ZOOMS IN (less vision, more risk)
-    SMOOTH_FACTOR: 0.15      // Smooth camera follow
+    SMOOTH_FACTOR: 0.15,     // Smooth camera follow
+    FREE_MIN_ZOOM: 0.1,      // Mouse wheel limits of the replay free camera
+    FREE_MAX_ZOOM: 2
   },
   
   // Input settings
   INPUT: {
     MOUSE_CONTROL: true,          // Enable mouse/touch control
     KEYBOARD_CONTROL: true,       // Also keep keyboard
-    MOUSE_DEADZONE: 20,          // Minimum distance from snake to register mouse input
-    TOUCH_SENSITIVITY: 1.0       // Touch sensitivity multiplier
+    MOUSE_DEADZONE: 30,          // Minimum distance from snake to register mouse input
+    TOUCH_SENSITIVITY: 1.0,      // Touch sensitivity multiplier - above 1, less thumb travel steers fully
+    JOYSTICK_SIZE: 1.0,          // NEW: Scales the virtual joystick (src/touch.js)
+    JOYSTICK_DEADZONE: 0.15,     // NEW: Joystick deflection (0..1) ignored so a resting thumb doesn't steer
+    BINDINGS_STORAGE_KEY: 'solsnake.controls', // NEW: Rebound keys (src/controls.js)
+    GAMEPAD_DEADZONE: 0.25,      // NEW: Stick deflection (0..1) ignored as drift
+    GAMEPAD_TRIGGER_THRESHOLD: 0.3 // NEW: How far an analog trigger must be pulled to count as pressed
   },
   
   // UI settings (Phase 2)
@@ -57,17 +133,87 @@ export const CONFIG = {
     SKINS: ["classic", "neon", "gold", "zebra"]
   },
   
+  // NEW: Sound effects and music (src/audio.js) - on/off and volumes are saved per browser
+  AUDIO: {
+    STORAGE_KEY: 'solsnake.audio',
+    SFX_VOLUME: 0.6,              // Defaults until the player moves the sliders (0..1)
+    MUSIC_VOLUME: 0.3,
+    MUSIC_TEMPO: 112,             // Beats per minute
+    MUSIC_ROOT_FREQUENCY: 220,    // A3 - the loop is in A minor
+    BOOST_BASE_FREQUENCY: 70,     // Boost hum at base speed - rises with speed
+    PICKUP_MIN_INTERVAL: 0.05     // Seconds - pellets eaten closer together share one sound
+  },
+  
+  // NEW: Minimap overlay (src/minimap.js)
+  MINIMAP: {
+    ENABLED: true,
+    SIZE: 200,                    // Width in pixels - the height follows the world's aspect ratio
+    POSITION: 'bottom-right',     // 'top-left' | 'top-right' | 'bottom-left' | 'bottom-right'
+    MARGIN: 20,                   // Pixels from the canvas edges
+    DENSITY_CELLS: 24,            // Pellet density grid columns
+    DENSITY_REFRESH_SECONDS: 0.25,
+    TOGGLE_KEY: 'KeyN',           // Default key - rebindable in the options menu (src/controls.js)
+    TOUCH_POSITION: 'top-right'   // NEW: Used once touch controls show - the boost button takes the bottom right
+  },
+  
   // Game world
   WORLD: {
     WIDTH: 4000,
     HEIGHT: 3000,
-    PELLET_COUNT: 100  // Reduced from 200 for less density
+    PELLET_COUNT: 100,  // Reduced from 200 for less density
+    SPATIAL_CELL_SIZE: 128,  // Spatial hash cell size for pellet lookups
+    MAX_PELLET_RADIUS: 30,   // Search padding so pulsing/large pellets are never missed
+    GRID_SIZE: 100,          // NEW: Background grid spacing
+    BOUNDARY_MODE: 'death',  // NEW: 'death' | 'wall' (deflects) | 'wrap' (torus) | 'circle' (round arena) - see boundary.js
+    BOUNDARY_MARGIN: 50,     // NEW: How far past the edge a snake dies in 'death' and 'circle'
+    BORDER_WARNING_DISTANCE: 300 // NEW: The border starts glowing when the head gets this close
+  },
+  
+  // NEW: AI bot snakes sharing the world with the player
+  BOTS: {
+    COUNT: 8,                    // How many bots are alive at once
+    DIFFICULTY: 'mixed',         // 'easy' | 'medium' | 'hard' | 'mixed' (random per bot)
+    RESPAWN_DELAY: 3.0,          // Seconds before a dead bot is replaced
+    SPAWN_MIN_PLAYER_DISTANCE: 600, // Don't spawn bots on top of the player
+    BOUNTY: 0,                   // Bots never bought in - only their earned value is at stake
+    NAMES: ['Slinky', 'Noodle', 'Viper', 'Mamba', 'Coily', 'Hisser', 'Fang', 'Zigzag', 'Boa', 'Sidewinder']
+  },
+  
+  // NEW: Multiplayer (authoritative Node server in server/)
+  NETWORK: {
+    SERVER_URL: 'ws://localhost:8080', // Default address shown in the connect screen
+    PORT: 8080,                  // Port the server listens on (HTTP + WebSocket)
+    TICK_RATE: 30,               // Server simulation steps per second
+    SNAPSHOT_RATE: 15,           // World snapshots broadcast per second
+    MAX_PLAYERS: 32,
+    MAX_NAME_LENGTH: 20,
+    INTERPOLATION_DELAY: 0.1,    // Seconds remote snakes are rendered behind the server
+    SNAPSHOT_BUFFER_SIZE: 30,    // Snapshots kept for interpolation
+    MAX_INPUT_QUEUE: 6,          // Server-side buffered inputs per player (extra are dropped)
+    PREDICTION_SNAP_DISTANCE: 150 // Prediction errors above this teleport instead of correcting
+  },
+  
+  // NEW: Leaderboard service (server/leaderboard.js, served by server/server.js)
+  LEADERBOARD: {
+    URL: null,                   // Service address - null = the server that served the page, else localhost
+    BOARD_SIZE: 10,              // Entries shown per board
+    MAX_GROWTH_PER_SECOND: 10,   // Fastest believable growth, including eating whole dead snakes
+    MAX_VALUE_PER_SECOND: 5,     // Fastest believable token value gain
+    MAX_KILLS_PER_MINUTE: 30,
+    MAX_SURVIVAL_SECONDS: 86400, // One game can't last longer than a day
+    MAX_RESULT_AGE_MS: 3600000   // Results must be submitted within an hour of the game ending
   },
   
   // DEBUG/TESTING keys
   DEBUG: {
     ENABLE_DEBUG_KEYS: true,     // Enable debug keys in development
     LENGTH_BOOST_AMOUNT: 10,     // How much length to add when pressing L key (increased from 5)
-    BIG_LENGTH_BOOST: 25         // Big length boost for testing large snakes
+    BIG_LENGTH_BOOST: 25,        // Big length boost for testing large snakes
+    LENGTH_REMOVE_AMOUNT: 3,     // NEW: How much length the K key takes away
+    // NEW: Logging (src/logger.js) - also ?log=debug or ?log=debug:physics,net
+    LOG_LEVEL: 'info',           // 'debug' | 'info' | 'warn' | 'error' | 'off'
+    LOG_CATEGORIES: ['game', 'input', 'physics', 'camera', 'economy', 'net'],
+    LOG_TO_CONSOLE: true,        // false = only keep entries for downloadLogs()
+    LOG_BUFFER_SIZE: 2000        // Entries kept in memory for bug reports
   }
 };
\ No newline at end of file
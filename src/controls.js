@@ -0,0 +1,158 @@
+// File: src/controls.js - Input action map: which keys and gamepad buttons do what
+// InputHandler (utils.js) reads held actions (steering, boost) through ControlBindings and emits
+// an 'action' event for pressed ones (restart, toggles, debug). Keys can be rebound from the
+// options menu; the bindings are saved in localStorage.
+import { CONFIG } from './config.js';
+import { getStorage } from './utils.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('input');
+
+const BINDINGS_VERSION = 1;
+const KEY_SLOTS = 2; // Primary and secondary key per action
+
+// Steering and boost are held (polled every frame), the rest fire once per press.
+// Gamepad buttons use the standard mapping (0 = A, 7 = right trigger, 9 = start, 12-15 = d-pad)
+export const INPUT_ACTIONS = [
+  { id: 'steerUp', label: 'Steer up', keys: ['KeyW', 'ArrowUp'], buttons: [12] },
+  { id: 'steerDown', label: 'Steer down', keys: ['KeyS', 'ArrowDown'], buttons: [13] },
+  { id: 'steerLeft', label: 'Steer left', keys: ['KeyA', 'ArrowLeft'], buttons: [14] },
+  { id: 'steerRight', label: 'Steer right', keys: ['KeyD', 'ArrowRight'], buttons: [15] },
+  { id: 'boost', label: 'Boost', keys: ['Space'], buttons: [7, 0] },
+  { id: 'restart', label: 'Restart', keys: ['KeyR'], buttons: [9] },
+  { id: 'toggleMinimap', label: 'Minimap', keys: [CONFIG.MINIMAP.TOGGLE_KEY], buttons: [8] },
+  { id: 'toggleInfo', label: 'Debug info', keys: ['KeyI'], buttons: [] },
+  { id: 'toggleTrail', label: 'Trail debug', keys: ['KeyT'], buttons: [] },
+  { id: 'toggleMouseDebug', label: 'Mouse debug', keys: ['KeyM'], buttons: [] },
+  { id: 'saveReplay', label: 'Save replay', keys: ['KeyV'], buttons: [] },
+  { id: 'debugAddLength', label: 'Add length (debug)', keys: ['KeyL'], buttons: [] },
+  { id: 'debugBigLength', label: 'Big length (debug)', keys: ['KeyB'], buttons: [] },
+  { id: 'debugRemoveLength', label: 'Remove length (debug)', keys: ['KeyK'], buttons: [] },
+  { id: 'toggleTuning', label: 'Tuning panel (debug)', keys: ['Backquote'], buttons: [] },
+  { id: 'downloadLogs', label: 'Download logs', keys: ['F9'], buttons: [] }
+];
+
+const ACTIONS_BY_ID = new Map(INPUT_ACTIONS.map(action => [action.id, action]));
+
+const KEY_NAMES = {
+  ArrowUp: '↑',
+  ArrowDown: '↓',
+  ArrowLeft: '←',
+  ArrowRight: '→',
+  Space: 'Space',
+  Escape: 'Esc',
+  Backquote: '`'
+};
+
+// 'KeyW' -> 'W', 'Digit1' -> '1', 'ShiftLeft' -> 'Left Shift'
+export function formatKey(code) {
+  if (!code) return '-';
+  if (KEY_NAMES[code]) return KEY_NAMES[code];
+  if (code.startsWith('Key')) return code.slice(3);
+  if (code.startsWith('Digit')) return code.slice(5);
+  if (code.startsWith('Numpad')) return `Num ${code.slice(6)}`;
+  const side = code.match(/^(.+)(Left|Right)$/);
+  if (side) return `${side[2]} ${side[1]}`;
+  return code;
+}
+
+function defaultKeys() {
+  return Object.fromEntries(INPUT_ACTIONS.map(action => [action.id, action.keys.slice(0, KEY_SLOTS)]));
+}
+
+export class ControlBindings {
+  constructor(storage = getStorage()) {
+    this.storage = storage;
+    this.keys = this.load(); // action id -> [primary, secondary] key codes (null = unbound slot)
+    this.buttons = Object.fromEntries(INPUT_ACTIONS.map(action => [action.id, action.buttons.slice()]));
+  }
+
+  load() {
+    const keys = defaultKeys();
+    const raw = this.storage.getItem(CONFIG.INPUT.BINDINGS_STORAGE_KEY);
+    if (!raw) return keys;
+
+    try {
+      const saved = JSON.parse(raw);
+      if (saved.version !== BINDINGS_VERSION) return keys;
+
+      // Unknown actions are dropped, actions added since keep their defaults
+      for (const [id, codes] of Object.entries(saved.keys || {})) {
+        if (!ACTIONS_BY_ID.has(id) || !Array.isArray(codes)) continue;
+        keys[id] = codes.slice(0, KEY_SLOTS).map(code => typeof code === 'string' ? code : null);
+      }
+    } catch (error) {
+      log.error('🎮 Saved controls are corrupt - using defaults', error);
+    }
+    return keys;
+  }
+
+  save() {
+    this.storage.setItem(CONFIG.INPUT.BINDINGS_STORAGE_KEY, JSON.stringify({ version: BINDINGS_VERSION, keys: this.keys }));
+  }
+
+  getKeys(actionId) {
+    return (this.keys[actionId] || []).filter(Boolean);
+  }
+
+  getButtons(actionId) {
+    return this.buttons[actionId] || [];
+  }
+
+  // The action a key is bound to, or null
+  getActionForKey(code) {
+    for (const [id, codes] of Object.entries(this.keys)) {
+      if (codes.includes(code)) return id;
+    }
+    return null;
+  }
+
+  getActionsForButton(index) {
+    return INPUT_ACTIONS.filter(action => this.getButtons(action.id).includes(index)).map(action => action.id);
+  }
+
+  // Bind `code` to one slot of an action (null clears the slot). A key does one thing only, so
+  // it's taken off whatever had it before - returns that action's id, or null
+  rebind(actionId, slot, code) {
+    if (!ACTIONS_BY_ID.has(actionId)) throw new Error(`Unknown input action "${actionId}"`);
+    if (slot < 0 || slot >= KEY_SLOTS) throw new Error(`Key slot must be 0-${KEY_SLOTS - 1}`);
+
+    let previousOwner = null;
+    if (code) {
+      for (const [id, codes] of Object.entries(this.keys)) {
+        const index = codes.indexOf(code);
+        if (index === -1 || (id === actionId && index === slot)) continue;
+        codes[index] = null;
+        if (id !== actionId) previousOwner = id;
+      }
+    }
+
+    const codes = this.keys[actionId];
+    while (codes.length < KEY_SLOTS) codes.push(null);
+    codes[slot] = code;
+    this.save();
+
+    log.info(`🎮 ${ACTIONS_BY_ID.get(actionId).label}: ${codes.map(formatKey).join(' / ')}`);
+    return previousOwner;
+  }
+
+  resetToDefaults() {
+    this.keys = defaultKeys();
+    this.save();
+    log.info('🎮 Controls reset to defaults');
+  }
+
+  // 'W / ↑' - for menus and help text
+  describe(actionId) {
+    const keys = this.getKeys(actionId);
+    return keys.length > 0 ? keys.map(formatKey).join(' / ') : 'unbound';
+  }
+}
+
+// One set of bindings shared by every Game and the options menu
+let sharedBindings = null;
+
+export function getControlBindings() {
+  if (!sharedBindings) sharedBindings = new ControlBindings();
+  return sharedBindings;
+}
@@ -0,0 +1,35 @@
+// File: src/events.js - Tiny event emitter (works in the browser and in Node)
+
+export class EventEmitter {
+  constructor() {
+    this.listeners = new Map(); // type -> Set of handlers
+  }
+
+  // Returns an unsubscribe function
+  on(type, handler) {
+    if (!this.listeners.has(type)) {
+      this.listeners.set(type, new Set());
+    }
+    this.listeners.get(type).add(handler);
+    return () => this.off(type, handler);
+  }
+
+  off(type, handler) {
+    const handlers = this.listeners.get(type);
+    if (handlers) handlers.delete(handler);
+  }
+
+  emit(type, payload) {
+    const handlers = this.listeners.get(type);
+    if (!handlers) return;
+
+    // Copy so handlers can unsubscribe while we're iterating
+    for (const handler of [...handlers]) {
+      handler(payload);
+    }
+  }
+
+  removeAllListeners() {
+    this.listeners.clear();
+  }
+}
@@ -1,15 +1,72 @@
-// File: src/game.js - Updated with FIXED camera zoom scaling to 1500 length
+// File: src/game.js - Updated with FIXED camera zoom scaling up to CAMERA.ZOOM_CAP_LENGTH
 import { CONFIG } from './config.js';
 import { Snake } from './snake.js';
-import { PelletManager } from './pellets.js';
+import { World } from './world.js';
+import { ReplayRecorder, downloadRecording } from './replay.js';
+import { Minimap } from './minimap.js';
+import { WorldBoundary } from './boundary.js';
+import { RewardTracker } from './rewards.js';
+import { getDefaultSkinId } from './skins.js';
+import { EventEmitter } from './events.js';
+import { getControlBindings } from './controls.js';
+import { TouchControls } from './touch.js';
 import { Vector2D, InputHandler, MathUtils } from './utils.js';
+import { createLogger, downloadLogs } from './logger.js';
+
+const log = createLogger('game');
+const cameraLog = createLogger('camera');
+const economyLog = createLogger('economy');
+const netLog = createLogger('net');
+
+// Player id of the local snake inside the World
+const LOCAL_PLAYER_ID = 'local';
+
+// Replay viewer tuning
+const REPLAY_SEEK_STEP = 5;      // Seconds skipped by the arrow keys
+const FREE_CAMERA_SPEED = 900;   // World units per second at zoom 1
+
+// FIXED: Camera zoom scaling - smooth progression with no jumps, capped at CAMERA.ZOOM_CAP_LENGTH.
+// A plain function of length so the tuning panel can graph it
+export function getCameraZoomForLength(length, boosting = false) {
+  const initialLength = CONFIG.PHYSICS.INITIAL_LENGTH;
+  const { BASE_ZOOM, MAX_ZOOM_OUT, ZOOM_CAP_LENGTH } = CONFIG.CAMERA;
+  
+  const lengthForZoom = Math.min(length, ZOOM_CAP_LENGTH);
+  const lengthDiff = Math.max(0, lengthForZoom - initialLength);
+  
+  let zoomOutFactor = 0;
+  if (lengthDiff > 0) {
+    // Use a single logarithmic curve that scales smoothly from 0 to max
+    const progress = lengthDiff / (ZOOM_CAP_LENGTH - initialLength); // 0 to 1
+    
+    // Logarithmic curve: starts slow, accelerates, then slows down
+    const logProgress = Math.log(1 + progress * 19) / Math.log(20); // 0 to 1, smooth curve
+    
+    zoomOutFactor = logProgress * (BASE_ZOOM - MAX_ZOOM_OUT);
+  }
+  
+  // Set reasonable zoom limits
+  let zoom = Math.max(MAX_ZOOM_OUT, Math.min(BASE_ZOOM - zoomOutFactor, BASE_ZOOM));
+  
+  // Boost zooms IN (reduces vision, increases risk)
+  if (boosting) {
+    zoom *= CONFIG.CAMERA.BOOST_ZOOM_FACTOR;
+  }
+  return zoom;
+}
 
 export class Game {
-  constructor(canvas) {
-    console.log('🎮 Game constructor starting...');
+  // network: optional NetworkClient - when set the server owns the world and we only render it
+  // replay: optional ReplayPlayer - when set we play a recorded match back instead of simulating
+  // options: { skin } - the local player's skin id (see skins.js)
+  constructor(canvas, network = null, replay = null, options = {}) {
+    log.debug('🎮 Game constructor starting...');
     
     this.canvas = canvas;
     this.ctx = canvas.getContext('2d');
+    this.network = network;
+    this.replay = replay;
+    this.playerSkin = options.skin || getDefaultSkinId();
     
     // Camera system
     this.camera = {
@@ -21,21 +78,73 @@ export class Game {
       targetZoom: 1
     };
     
+    // NEW: Joystick and boost button - only shown once the screen is touched
+    this.touchControls = new TouchControls(canvas);
+    this.touchControls.onActivate = () => this.applyTouchLayout();
+    
     // Create input handler AFTER camera is defined
-    this.inputHandler = new InputHandler(canvas, this.camera);
+    this.inputHandler = new InputHandler(canvas, this.camera, options.bindings || getControlBindings(), this.touchControls);
     
     // Game state
     this.isRunning = false;
+    this.animationFrameId = null;
     this.lastTime = 0;
     this.gameStartTime = 0;
     this.debugFrameCount = 0;
     
+    // NEW: Fixed timestep - physics always advances in identical steps
+    this.fixedDeltaTime = 1 / CONFIG.SIMULATION.TICK_RATE;
+    this.accumulator = 0;
+    this.renderAlpha = 1;
+    this.simulationTick = 0;
+    this.seed = null;
+    this.previousCamera = { x: 0, y: 0, zoom: 1 };
+    
+    // NEW: Match recording (local games) and replay viewer state
+    this.recorder = null;
+    this.replayPaused = false;
+    this.replaySpeed = 1;
+    this.replayTickBudget = 0;
+    this.replayFollowId = null;
+    this.replayWorld = null;
+    this.freeCamera = false;
+    
+    // NEW: Rewards for the local player's wallet (see setRewardAccount)
+    this.rewardLedger = null;
+    this.rewardAccount = null;
+    this.rewardTracker = null;
+    
+    // NEW: Recent token pellet pickups for the HUD - { amount, x, y, time }
+    this.tokenPickups = [];
+    this.lastNetworkValue = 0;
+    this.lastNetworkKills = 0;
+    
+    // NEW: The current life, for stats - see trackSession()
+    this.session = null;
+    this.lastSessionSnake = null;
+    
+    // NEW: What happens to the player, for presentation (sound - see audio.js): 'pickup' ({ count, tokens }),
+    // 'boost' ({ active, speed }), 'lowLength', 'kill' ({ victim }), 'death' (record), 'start', 'stop'
+    this.events = new EventEmitter();
+    this.wasBoosting = false;
+    this.wasLengthLow = false;
+    this.lastNetworkLength = 0;
+    
+    // Callbacks
+    this.onRestartRequested = null; // Set by the UI when a restart needs more than restart() (e.g. a buy-in)
+    this.onGameFinished = null;     // (record) when a life ends - died or left alive
+    this.onDeath = null;            // (record) when the player's snake dies - the UI shows the Game Over screen
+    this.onToggleTuning = null;     // () the tuning panel key was pressed (debug keys on, local game)
+    
     // Debug options
     this.showTrail = false;
     this.showDebugInfo = true;
     this.showMouseDebug = false;
     
-    console.log('🎮 Game constructor - initializing game...');
+    // NEW: World overview in a corner of the canvas (CONFIG.MINIMAP)
+    this.minimap = new Minimap();
+    
+    log.debug('🎮 Game constructor - initializing game...');
     
     // Initialize game objects
     this.initializeGame();
@@ -43,99 +152,327 @@ export class Game {
     // Setup debug controls
     this.setupDebugControls();
     
-    console.log('🎮 Game constructor complete!');
+    log.debug('🎮 Game constructor complete!');
   }
   
   initializeGame() {
-    console.log('🎮 Initializing game...');
+    log.debug('🎮 Initializing game...');
+    
+    this.simulationTick = 0;
+    this.accumulator = 0;
     
     // Create player snake at center of world
     const startX = CONFIG.WORLD.WIDTH / 2;
     const startY = CONFIG.WORLD.HEIGHT / 2;
     
-    console.log('🐍 Creating snake at:', startX, startY);
-    this.playerSnake = new Snake(startX, startY, 0);
-    
-    console.log('🐍 Snake created with length-based boost system');
-    
-    // Create pellet manager
-    console.log('🍎 Creating pellet manager...');
-    this.pelletManager = new PelletManager(CONFIG.WORLD.WIDTH, CONFIG.WORLD.HEIGHT);
-    
     // Initialize camera
     this.camera.x = startX;
     this.camera.y = startY;
     this.camera.targetX = startX;
     this.camera.targetY = startY;
+    
+    // NEW: In multiplayer the server spawns everything - we just mirror it
+    if (this.network) {
+      this.world = null;
+      this.seed = null;
+      this.playerSnake = new Snake(startX, startY, 0);
+      this.pelletManager = this.network.pelletManager;
+      this.network.onDeath = (message) => this.finishSession(message.cause, message.killer);
+      this.updateCameraZoom();
+      this.savePreviousCamera();
+      netLog.info('🌐 Game initialized in multiplayer mode');
+      return;
+    }
+    
+    // NEW: Replays bring their own World - follow the recorded player to start with
+    if (this.replay) {
+      this.replay.seek(0);
+      this.replay.processSeek();
+      this.replayTickBudget = 0;
+      this.replayFollowId = this.replay.recording.localPlayerId;
+      this.syncReplayWorld();
+      this.updateCameraZoom();
+      this.savePreviousCamera();
+      log.info('🎬 Game initialized in replay mode - seed', this.seed, '|', this.replay.endTick, 'ticks');
+      return;
+    }
+    
+    // NEW: The World owns the simulation (and seeds the RNG) - the Game only feeds it input and draws it
+    this.world = new World();
+    this.seed = this.world.seed;
+    log.info('🎲 Simulation seed:', this.seed);
+    
+    // NEW: Token pellets picked up by the player show on the HUD
+    this.tokenPickups = [];
+    this.world.events.on('pellets', ({ snake, pellets }) => {
+      if (snake !== this.playerSnake) return;
+      let tokens = 0;
+      for (const pellet of pellets) {
+        if (pellet.tokenValue > 0) this.addTokenPickup(pellet.tokenValue, pellet.position);
+        tokens += pellet.tokenValue || 0;
+      }
+      this.events.emit('pickup', { count: pellets.length, tokens });
+    });
+    this.world.events.on('kill', (kill) => {
+      if (kill.victim === this.playerSnake) {
+        this.finishSession(kill.cause, kill.killer ? kill.killer.name : null);
+      } else if (kill.killer === this.playerSnake) {
+        this.events.emit('kill', { victim: kill.victim.name });
+      }
+    });
+    
+    // NEW: Record from the very start so the whole match can be replayed
+    if (this.recorder) this.recorder.dispose();
+    this.recorder = new ReplayRecorder(this.world, { localPlayerId: LOCAL_PLAYER_ID });
+    
+    log.debug('🐍 Creating snake at:', startX, startY);
+    this.playerSnake = this.world.addPlayer(LOCAL_PLAYER_ID, { name: 'You', skin: this.playerSkin, x: startX, y: startY, angle: 0 });
+    this.pelletManager = this.world.pelletManager;
+    this.startRewardTracking();
+    
+    // NEW: AI bots share the world with the player
+    log.debug('🤖 Creating bots...');
+    this.world.spawnBots();
+    
     this.updateCameraZoom();
+    this.savePreviousCamera();
     
-    console.log('🎮 Game initialization complete!');
+    log.debug('🎮 Game initialization complete!');
   }
   
   setupDebugControls() {
-    window.addEventListener('keydown', (e) => {
+    // NEW: Restart, toggles and debug keys come through the action map (controls.js) - rebindable,
+    // and gamepad buttons work too. The input handler's listeners go away with it in destroy()
+    this.inputHandler.events.on('action', ({ action }) => this.handleAction(action));
+    
+    // Replay viewer keys are fixed - steering and boosting mean nothing there.
+    // Kept so destroy() can remove it again
+    this.debugKeyHandler = (e) => {
+      if (!this.replay) return;
+      
       switch (e.code) {
-        case 'KeyT':
-          this.showTrail = !this.showTrail;
-          console.log('Trail debug:', this.showTrail);
-          break;
-        case 'KeyI':
-          this.showDebugInfo = !this.showDebugInfo;
+        case 'Space':
+          this.toggleReplayPause();
           break;
-        case 'KeyM':
-          this.showMouseDebug = !this.showMouseDebug;
-          console.log('Mouse debug:', this.showMouseDebug);
-          break;
-        case 'KeyR':
-          this.restart();
+        case 'ArrowLeft':
+          this.seekReplay(this.replay.tick - REPLAY_SEEK_STEP * this.replay.tickRate);
           break;
-        // NEW: Debug key to add length for testing boost system
-        case 'KeyL':
-          if (CONFIG.DEBUG.ENABLE_DEBUG_KEYS && this.playerSnake) {
-            this.playerSnake.debugAddLength();
-            console.log('🧪 DEBUG: Added length! New length:', this.playerSnake.length);
-          }
+        case 'ArrowRight':
+          this.seekReplay(this.replay.tick + REPLAY_SEEK_STEP * this.replay.tickRate);
           break;
-        // NEW: Debug key for big length boost
-        case 'KeyB':
-          if (CONFIG.DEBUG.ENABLE_DEBUG_KEYS && this.playerSnake) {
-            this.playerSnake.debugAddBigLength();
-            console.log('🧪 DEBUG: Added BIG length! New length:', this.playerSnake.length);
-          }
+        case 'KeyF':
+          this.toggleFreeCamera();
           break;
-        // NEW: Debug key to test low length warning
-        case 'KeyK':
-          if (CONFIG.DEBUG.ENABLE_DEBUG_KEYS && this.playerSnake) {
-            this.playerSnake.length = Math.max(3, this.playerSnake.length - 3);
-            console.log('🧪 DEBUG: Reduced length! New length:', this.playerSnake.length);
-          }
+        case 'Tab':
+          this.cycleReplayFollow();
           break;
       }
-    });
+    };
+    window.addEventListener('keydown', this.debugKeyHandler);
+    
+    // Mouse wheel zooms the free replay camera
+    this.wheelHandler = (e) => {
+      if (!this.replay || !this.freeCamera) return;
+      e.preventDefault();
+      const factor = e.deltaY > 0 ? 0.9 : 1.1;
+      this.camera.targetZoom = MathUtils.clamp(this.camera.targetZoom * factor, CONFIG.CAMERA.FREE_MIN_ZOOM, CONFIG.CAMERA.FREE_MAX_ZOOM);
+    };
+    this.canvas.addEventListener('wheel', this.wheelHandler, { passive: false });
+    
+    // NEW: Keep the drawing buffer the size the canvas is shown at - phones turn it portrait
+    this.resizeHandler = () => this.resizeCanvas();
+    window.addEventListener('resize', this.resizeHandler);
+    this.resizeCanvas();
+  }
+  
+  resizeCanvas() {
+    const width = Math.round(this.canvas.clientWidth || 0);
+    const height = Math.round(this.canvas.clientHeight || 0);
+    if (width === 0 || height === 0) return; // Not laid out (hidden, or no DOM)
+    if (width === this.canvas.width && height === this.canvas.height) return;
+    
+    this.canvas.width = width;
+    this.canvas.height = height;
+    log.debug(`🖥️ Canvas resized to ${width}x${height}`);
+  }
+  
+  // NEW: The tuning panel changed CONFIG - push it into what the running game worked out earlier.
+  // Rules changed mid-match also make the match's replay drift from what was played
+  applyTuning() {
+    if (!this.world) return;
+    
+    for (const snake of this.world.getAllSnakes()) {
+      snake.applyTuning();
+    }
+    this.world.boundary.margin = CONFIG.WORLD.BOUNDARY_MARGIN;
+    this.markReplayDrift('Rules changed');
+  }
+  
+  // NEW: Debug keys and the tuning panel change the match outside the recorded inputs, so the
+  // recording carries a note that it will not play back the same
+  markReplayDrift(reason) {
+    if (!this.recorder || this.recorder.drift !== null) return;
+    this.recorder.markDrift(reason);
+    log.warn(`🎛️ ${reason} during the match - its replay will not play back the same`);
+  }
+  
+  // NEW: Touch players get the on-screen controls in the bottom corners - move the minimap out
+  // of the boost button's way
+  applyTouchLayout() {
+    this.minimap.position = CONFIG.MINIMAP.TOUCH_POSITION;
+  }
+  
+  // NEW: Press actions from the keyboard or a gamepad (held ones - steering, boost - are polled)
+  handleAction(action) {
+    const debugAllowed = CONFIG.DEBUG.ENABLE_DEBUG_KEYS && this.playerSnake && !this.network && !this.replay;
+    
+    switch (action) {
+      case 'toggleMinimap':
+        this.minimap.toggle();
+        break;
+      case 'toggleTrail':
+        this.showTrail = !this.showTrail;
+        log.info('Trail debug:', this.showTrail);
+        break;
+      case 'toggleInfo':
+        this.showDebugInfo = !this.showDebugInfo;
+        break;
+      case 'toggleMouseDebug':
+        this.showMouseDebug = !this.showMouseDebug;
+        log.info('Mouse debug:', this.showMouseDebug);
+        break;
+      case 'restart':
+        if (this.replay) {
+          this.seekReplay(0);
+        } else if (this.onRestartRequested) {
+          this.onRestartRequested();
+        } else if (this.network) {
+          this.network.requestRespawn();
+        } else {
+          this.restart();
+        }
+        break;
+      // NEW: Debug key to add length for testing boost system
+      case 'debugAddLength':
+        if (debugAllowed) {
+          this.playerSnake.debugAddLength();
+          this.markReplayDrift('Debug length added');
+          log.info('🧪 DEBUG: Added length! New length:', this.playerSnake.length);
+        }
+        break;
+      // NEW: Debug key for big length boost
+      case 'debugBigLength':
+        if (debugAllowed) {
+          this.playerSnake.debugAddBigLength();
+          this.markReplayDrift('Debug length added');
+          log.info('🧪 DEBUG: Added BIG length! New length:', this.playerSnake.length);
+        }
+        break;
+      // NEW: Debug key to test low length warning
+      case 'debugRemoveLength':
+        if (debugAllowed) {
+          this.playerSnake.length = Math.max(3, this.playerSnake.length - CONFIG.DEBUG.LENGTH_REMOVE_AMOUNT);
+          this.markReplayDrift('Debug length removed');
+          log.info('🧪 DEBUG: Reduced length! New length:', this.playerSnake.length);
+        }
+        break;
+      // NEW: Live tuning panel (src/tuning.js) - local games only, like the other debug keys
+      case 'toggleTuning':
+        if (debugAllowed && this.onToggleTuning) {
+          this.onToggleTuning();
+        }
+        break;
+      // NEW: Save the match so far as a replay file
+      case 'saveReplay':
+        if (this.recorder) {
+          this.downloadReplay();
+        }
+        break;
+      // NEW: Save the log buffer (src/logger.js) to attach to a bug report
+      case 'downloadLogs':
+        downloadLogs();
+        break;
+    }
   }
   
   start() {
-    console.log('🎮 Starting game...');
+    log.info('🎮 Starting game...');
+    // FIXED: Never run two loops at once (start() after restart() used to double the speed)
+    cancelAnimationFrame(this.animationFrameId);
     this.isRunning = true;
     this.gameStartTime = performance.now();
     this.lastTime = this.gameStartTime;
+    this.events.emit('start');
     this.gameLoop();
   }
   
+  // FIXED: Accumulator loop - frame time is banked and spent in fixed physics steps,
+  // rendering blends between the last two steps so motion stays smooth at any refresh rate
   gameLoop = () => {
     if (!this.isRunning) return;
     
     const currentTime = performance.now();
-    const deltaTime = Math.min((currentTime - this.lastTime) / 1000, 1/30);
+    const frameTime = (currentTime - this.lastTime) / 1000;
     this.lastTime = currentTime;
     
-    this.update(deltaTime);
+    this.accumulator += frameTime;
+    this.inputHandler.pollGamepad();
+    
+    let steps = 0;
+    while (this.accumulator >= this.fixedDeltaTime && steps < CONFIG.SIMULATION.MAX_STEPS_PER_FRAME) {
+      this.savePreviousState();
+      this.update(this.fixedDeltaTime);
+      this.accumulator -= this.fixedDeltaTime;
+      this.simulationTick++;
+      steps++;
+    }
+    
+    // Too far behind (tab was hidden) - drop the backlog rather than fast-forwarding
+    if (steps === CONFIG.SIMULATION.MAX_STEPS_PER_FRAME) {
+      this.accumulator = 0;
+    }
+    
+    this.renderAlpha = this.accumulator / this.fixedDeltaTime;
     this.render();
     
-    requestAnimationFrame(this.gameLoop);
+    this.animationFrameId = requestAnimationFrame(this.gameLoop);
   };
   
+  savePreviousState() {
+    for (const snake of this.getAllSnakes()) {
+      snake.savePreviousState();
+    }
+    this.savePreviousCamera();
+  }
+  
+  savePreviousCamera() {
+    this.previousCamera.x = this.camera.x;
+    this.previousCamera.y = this.camera.y;
+    this.previousCamera.zoom = this.camera.zoom;
+  }
+  
+  // Camera blended between the last two fixed steps
+  getRenderCamera() {
+    const alpha = this.renderAlpha;
+    const previous = this.previousCamera;
+    return {
+      x: previous.x + (this.camera.x - previous.x) * alpha,
+      y: previous.y + (this.camera.y - previous.y) * alpha,
+      zoom: previous.zoom + (this.camera.zoom - previous.zoom) * alpha
+    };
+  }
+  
   update(deltaTime) {
+    if (this.network) {
+      this.updateNetwork(deltaTime);
+      return;
+    }
+    
+    if (this.replay) {
+      this.updateReplay(deltaTime);
+      return;
+    }
+    
     if (!this.playerSnake || !this.playerSnake.isAlive) return;
     
     this.debugFrameCount++;
@@ -147,59 +484,178 @@ export class Game {
     const movement = this.inputHandler.getMovementInput(this.playerSnake.position);
     const boost = this.inputHandler.isBoostPressed();
     
-    // Update snake with new boost system
-    this.playerSnake.update(deltaTime, movement, boost);
+    // NEW: One World step moves every snake and applies all the rules.
+    // The recorder quantizes the input so the live game matches its replay exactly
+    const inputs = this.recorder.recordStep({
+      [LOCAL_PLAYER_ID]: { direction: movement, boost }
+    });
+    this.world.step(inputs, deltaTime);
+    this.trackSession();
+    this.emitPlayerEvents();
     
-    // Check world boundaries
-    this.checkWorldBoundaries();
+    // Update camera with new camera zoom system
+    this.updateCamera(deltaTime);
     
-    // Update pellets
-    this.pelletManager.update(deltaTime);
+    // Update HUD
+    this.updateHUD();
+  }
+  
+  // NEW: Multiplayer update - predict our snake locally, interpolate everyone else
+  updateNetwork(deltaTime) {
+    this.debugFrameCount++;
     
-    // Check pellet collisions
-    const headRadius = this.playerSnake.headRadius;
-    const magnetRadius = CONFIG.PHYSICS.MAGNET_RADIUS;
-    const totalPickupRadius = headRadius + magnetRadius;
+    this.inputHandler.updateCamera(this.camera);
+    const movement = this.inputHandler.getMovementInput(this.playerSnake.position);
+    const boost = this.inputHandler.isBoostPressed();
+    this.network.update(deltaTime, movement, boost);
     
-    const collectedPellets = [];
-    for (const pellet of this.pelletManager.pellets) {
-      if (!pellet.isCollected) {
-        const distance = this.playerSnake.position.distanceTo(pellet.position);
-        if (distance <= totalPickupRadius) {
-          pellet.collect();
-          collectedPellets.push(pellet);
-          console.log(`✅ COLLECTED PELLET! Distance: ${distance.toFixed(1)}`);
-        }
-      }
+    const localSnake = this.network.getLocalSnake();
+    if (localSnake) {
+      this.playerSnake = localSnake;
     }
     
-    // Grow snake for collected pellets
-    for (const pellet of collectedPellets) {
-      this.playerSnake.grow(pellet.value);
+    // Pickups happen on the server - value gained without a kill came from token pellets
+    const { value, kills, length } = this.playerSnake;
+    const tokens = value > this.lastNetworkValue && kills === this.lastNetworkKills ? value - this.lastNetworkValue : 0;
+    if (tokens > 0) {
+      this.addTokenPickup(tokens, this.playerSnake.position);
+    }
+    if (tokens > 0 || length > this.lastNetworkLength + 0.01) {
+      this.events.emit('pickup', { count: 1, tokens });
+    }
+    if (kills > this.lastNetworkKills) {
+      this.events.emit('kill', { victim: null });
+    }
+    this.lastNetworkValue = value;
+    this.lastNetworkKills = kills;
+    this.lastNetworkLength = length;
+    if (localSnake) this.trackSession();
+    this.emitPlayerEvents();
+    
+    // Pellet pulse animation only - collection happens on the server
+    for (const pellet of this.pelletManager.pellets) {
+      pellet.update(deltaTime);
     }
     
-    // Update camera with new camera zoom system
     this.updateCamera(deltaTime);
+    this.updateHUD();
+  }
+  
+  // NEW: Replay update - advance the recording at the chosen speed (or keep seeking)
+  updateReplay(deltaTime) {
+    this.debugFrameCount++;
     
-    // Update HUD
+    if (this.replay.isSeeking) {
+      this.replay.processSeek();
+    } else if (!this.replayPaused && !this.replay.isFinished) {
+      this.replayTickBudget += deltaTime * this.replaySpeed * this.replay.tickRate;
+      while (this.replayTickBudget >= 1 && this.replay.step()) {
+        this.replayTickBudget -= 1;
+      }
+      if (this.replay.isFinished) this.replayTickBudget = 0;
+    }
+    
+    this.syncReplayWorld();
+    this.updateCamera(deltaTime);
     this.updateHUD();
   }
   
-  checkWorldBoundaries() {
-    const pos = this.playerSnake.position;
-    const margin = 50;
+  // Seeking backwards rebuilds the World, so re-point everything that reads from it
+  syncReplayWorld() {
+    const world = this.replay.world;
+    const followed = this.replay.findSnake(this.replayFollowId);
+    
+    if (world !== this.replayWorld) {
+      this.replayWorld = world;
+      this.world = world;
+      this.seed = world.seed;
+      this.pelletManager = world.pelletManager;
+      this.simulationTick = world.tick;
+      
+      // Nothing to follow at this tick - fall back to whoever is alive
+      const fallback = followed || world.getAllSnakes()[0] || null;
+      this.playerSnake = fallback || new Snake(world.width / 2, world.height / 2, 0);
+      if (!fallback) this.playerSnake.isAlive = false;
+      if (!followed && fallback) this.replayFollowId = fallback.id;
+    } else if (followed) {
+      this.playerSnake = followed;
+    }
     
-    if (pos.x < -margin || pos.x > CONFIG.WORLD.WIDTH + margin ||
-        pos.y < -margin || pos.y > CONFIG.WORLD.HEIGHT + margin) {
-      this.playerSnake.die();
-      console.log('Snake went out of bounds!');
+    this.simulationTick = world.tick;
+  }
+  
+  seekReplay(tick) {
+    if (!this.replay) return;
+    this.replay.seek(tick);
+    this.replayTickBudget = 0;
+  }
+  
+  toggleReplayPause() {
+    this.replayPaused = !this.replayPaused;
+    // Hitting play at the end starts over
+    if (!this.replayPaused && this.replay.isFinished) {
+      this.seekReplay(0);
     }
   }
   
+  setReplaySpeed(speed) {
+    this.replaySpeed = speed;
+  }
+  
+  toggleFreeCamera() {
+    this.freeCamera = !this.freeCamera;
+    cameraLog.info('🎬 Camera:', this.freeCamera ? 'free' : `following ${this.playerSnake.name}`);
+  }
+  
+  // Follow the next live snake (players first, then bots)
+  cycleReplayFollow() {
+    const snakes = this.replay.world.getAllSnakes();
+    if (snakes.length === 0) return;
+    
+    const index = snakes.indexOf(this.playerSnake);
+    const next = snakes[(index + 1) % snakes.length];
+    this.replayFollowId = next.id;
+    this.playerSnake = next;
+    this.freeCamera = false;
+    cameraLog.info('🎬 Following', next.name);
+  }
+  
+  downloadReplay() {
+    const recording = this.recorder.toJSON();
+    downloadRecording(recording, `solsnake-replay-${recording.world.seed}-${recording.endTick}.json`);
+    log.info('🎬 Replay saved:', recording.endTick, 'ticks,', recording.inputs.length, 'input changes');
+  }
+  
+  // Player first, then every live bot (or every remote snake in multiplayer)
+  getAllSnakes() {
+    if (this.replay) {
+      return this.replay.world.getAllSnakes();
+    }
+    if (this.network) {
+      const others = this.network.getSnakes().filter(snake => snake !== this.playerSnake);
+      return [this.playerSnake, ...others];
+    }
+    return [this.playerSnake, ...this.world.botManager.getSnakes()];
+  }
+  
   updateCamera(deltaTime) {
+    if (this.replay && this.freeCamera) {
+      this.updateFreeCamera(deltaTime);
+      return;
+    }
+    
     this.camera.targetX = this.playerSnake.position.x;
     this.camera.targetY = this.playerSnake.position.y;
     
+    // NEW: Wrap-around worlds - the player just jumped a whole world across the seam, jump with it
+    const jump = this.getBoundary().wrapOffset(this.camera, this.playerSnake.position);
+    if (jump.x !== 0 || jump.y !== 0) {
+      this.camera.x += jump.x;
+      this.camera.y += jump.y;
+      this.previousCamera.x += jump.x;
+      this.previousCamera.y += jump.y;
+    }
+    
     this.updateCameraZoom();
     
     const smoothFactor = CONFIG.CAMERA.SMOOTH_FACTOR;
@@ -208,52 +664,28 @@ export class Game {
     this.camera.zoom += (this.camera.targetZoom - this.camera.zoom) * smoothFactor;
   }
   
-  // FIXED: Camera zoom scaling - smooth progression with no jumps at 1000 length
+  // NEW: Replay free camera - WASD/arrows pan, mouse wheel zooms
+  updateFreeCamera(deltaTime) {
+    const pan = this.inputHandler.getKeyboardMovement();
+    const speed = FREE_CAMERA_SPEED / this.camera.zoom;
+    this.camera.targetX += pan.x * speed * deltaTime;
+    this.camera.targetY += pan.y * speed * deltaTime;
+    
+    const smoothFactor = CONFIG.CAMERA.SMOOTH_FACTOR;
+    this.camera.x += (this.camera.targetX - this.camera.x) * smoothFactor;
+    this.camera.y += (this.camera.targetY - this.camera.y) * smoothFactor;
+    this.camera.zoom += (this.camera.targetZoom - this.camera.zoom) * smoothFactor;
+  }
+  
   updateCameraZoom() {
     const currentLength = this.playerSnake.length;
-    const initialLength = CONFIG.PHYSICS.INITIAL_LENGTH;
-    
-    // Calculate zoom out factor with cap at 1500 length
-    const lengthForZoom = Math.min(currentLength, 1500); // Cap zoom calculation at 1500
-    const lengthDiff = Math.max(0, lengthForZoom - initialLength);
-    
-    // FIXED: Single smooth curve from 0 to 1500 length - no jumps!
-    let zoomOutFactor;
-    
-    if (lengthDiff === 0) {
-      zoomOutFactor = 0;
-    } else {
-      // Use a single logarithmic curve that scales smoothly from 0 to max
-      const maxLengthDiff = 1500 - initialLength; // 1495 length range
-      const progress = lengthDiff / maxLengthDiff; // 0 to 1
-      
-      // Logarithmic curve: starts slow, accelerates, then slows down
-      const logProgress = Math.log(1 + progress * 19) / Math.log(20); // 0 to 1, smooth curve
-      
-      // Maximum zoom out factor (much more conservative)
-      const maxZoomOut = 0.35; // Base zoom 0.6 - 0.35 = minimum 0.25 zoom
-      
-      zoomOutFactor = logProgress * maxZoomOut;
-    }
+    const zoom = getCameraZoomForLength(currentLength, this.playerSnake.isBoosting);
+    this.camera.targetZoom = zoom;
     
-    let baseZoom = CONFIG.CAMERA.BASE_ZOOM - zoomOutFactor;
-    
-    // Set reasonable zoom limits
-    baseZoom = Math.max(0.25, Math.min(baseZoom, CONFIG.CAMERA.BASE_ZOOM));
-    
-    // Boost zooms IN (reduces vision, increases risk)
-    if (this.playerSnake.isBoosting) {
-      baseZoom *= CONFIG.CAMERA.BOOST_ZOOM_FACTOR; // Multiply to zoom IN
-    }
-    
-    this.camera.targetZoom = baseZoom;
-    
-    // Debug logging with length cap info
-    if (currentLength % 50 === 0 || currentLength > 1500) {
-      const cappedInfo = currentLength > 1500 ? ` (CAPPED at 1500)` : '';
-      const progress = Math.min(lengthDiff / (1500 - initialLength), 1);
-      console.log(`📷 Camera zoom: ${baseZoom.toFixed(3)} | Length: ${currentLength} -> Progress: ${(progress*100).toFixed(1)}%${cappedInfo} | ZoomOut: ${zoomOutFactor.toFixed(4)}`);
-    }
+    // Debug logging with length cap info - runs every frame, so at most once a second
+    const cap = CONFIG.CAMERA.ZOOM_CAP_LENGTH;
+    const cappedInfo = currentLength > cap ? ` (CAPPED at ${cap})` : '';
+    cameraLog.every(1000, 'zoom').debug(`📷 Camera zoom: ${zoom.toFixed(3)} | Length: ${currentLength.toFixed(1)}${cappedInfo}`);
   }
   
   render() {
@@ -264,24 +696,59 @@ export class Game {
     // Save context for world rendering
     this.ctx.save();
     
-    // Apply camera transform
+    // Apply camera transform (interpolated between fixed steps)
+    const renderCamera = this.getRenderCamera();
     this.ctx.translate(this.canvas.width / 2, this.canvas.height / 2);
-    this.ctx.scale(this.camera.zoom, this.camera.zoom);
-    this.ctx.translate(-this.camera.x, -this.camera.y);
+    this.ctx.scale(renderCamera.zoom, renderCamera.zoom);
+    this.ctx.translate(-renderCamera.x, -renderCamera.y);
     
-    // Draw world grid
+    // Draw world grid (only inside the world) and its edge
+    const boundary = this.getBoundary();
+    this.ctx.save();
+    if (!boundary.wraps) {
+      this.traceWorldShape(boundary);
+      this.ctx.clip();
+    }
     this.drawGrid();
+    this.ctx.restore();
+    this.drawWorldBorder(boundary);
+    
+    // NEW: A wrap-around world is drawn once per copy that reaches the screen
+    const copies = this.getWorldCopies(boundary);
+    
+    // Draw pellets - only the ones on screen (padding covers the glow)
+    for (const copy of copies) {
+      this.ctx.save();
+      this.ctx.translate(copy.x, copy.y);
+      this.pelletManager.draw(this.ctx, this.camera, this.offsetBounds(this.getViewBounds(CONFIG.WORLD.MAX_PELLET_RADIUS * 2), copy));
+      this.ctx.restore();
+    }
     
-    // Draw pellets
-    this.pelletManager.draw(this.ctx, this.camera);
+    // Draw other snakes underneath the player
+    for (const copy of copies) {
+      this.ctx.save();
+      this.ctx.translate(copy.x, copy.y);
+      for (const snake of this.getAllSnakes()) {
+        if (snake === this.playerSnake || !this.isSnakeInCopy(snake, copy)) continue;
+        snake.draw(this.ctx, this.camera, this.renderAlpha);
+        this.drawNameTag(snake);
+      }
+      this.ctx.restore();
+    }
     
     // Draw snake trail (debug)
     if (this.showTrail) {
       this.playerSnake.drawTrail(this.ctx, this.camera);
     }
     
-    // Draw snake
-    this.playerSnake.draw(this.ctx, this.camera);
+    // Draw snake - on a torus the tail can still be on the other side of the seam
+    for (const copy of copies) {
+      if (!this.isSnakeInCopy(this.playerSnake, copy)) continue;
+      this.ctx.save();
+      this.ctx.translate(copy.x, copy.y);
+      this.playerSnake.draw(this.ctx, this.camera, this.renderAlpha);
+      this.ctx.restore();
+    }
     
     // Mouse debug indicators
     if (this.showMouseDebug) {
@@ -296,11 +763,90 @@ export class Game {
       this.ctx.stroke();
     }
     
+    // Token pickup amounts float up from where the coins were
+    this.drawTokenPickupPopups();
+    
     // Restore context
     this.ctx.restore();
     
     // Draw UI overlay
+    this.drawMinimap();
+    this.touchControls.draw(this.ctx);
     this.drawUI();
+    this.drawTokenPickupNotice();
+  }
+  
+  // NEW: Edge rules of whatever we're showing (see boundary.js) - the server's in multiplayer
+  getBoundary() {
+    const world = this.world || (this.replay && this.replay.world);
+    if (world) return world.boundary;
+    if (this.network) return this.network.boundary;
+    return new WorldBoundary(CONFIG.WORLD.WIDTH, CONFIG.WORLD.HEIGHT);
+  }
+  
+  // NEW: World size of whatever we're showing - the server's in multiplayer
+  getWorldSize() {
+    const world = this.world || (this.replay && this.replay.world);
+    if (world) return { width: world.width, height: world.height };
+    if (this.network) return { width: this.network.worldWidth, height: this.network.worldHeight };
+    return { width: CONFIG.WORLD.WIDTH, height: CONFIG.WORLD.HEIGHT };
+  }
+  
+  drawMinimap() {
+    const { width, height } = this.getWorldSize();
+    this.minimap.draw(this.ctx, this.canvas.width, this.canvas.height, {
+      worldWidth: width,
+      worldHeight: height,
+      player: this.replay && this.freeCamera ? null : this.playerSnake,
+      snakes: this.getAllSnakes(),
+      pellets: this.pelletManager.pellets,
+      boundary: this.getBoundary(),
+      view: this.getViewBounds(),
+      time: performance.now() / 1000
+    });
+  }
+  
+  // NEW: Token pellet pickup feedback
+  addTokenPickup(amount, position) {
+    this.tokenPickups.push({ amount, x: position.x, y: position.y, time: performance.now() });
+    economyLog.info(`🪙 Picked up ${amount.toFixed(2)} tokens`);
+  }
+  
+  drawTokenPickupPopups() {
+    const duration = CONFIG.TOKEN_PELLETS.PICKUP_NOTICE_SECONDS * 1000;
+    const now = performance.now();
+    this.tokenPickups = this.tokenPickups.filter(pickup => now - pickup.time < duration);
+    
+    this.ctx.font = 'bold 16px monospace';
+    this.ctx.textAlign = 'center';
+    for (const pickup of this.tokenPickups) {
+      const progress = (now - pickup.time) / duration;
+      this.ctx.fillStyle = `rgba(255, 215, 0, ${1 - progress})`;
+      this.ctx.fillText(`+${pickup.amount.toFixed(2)}`, pickup.x, pickup.y - 20 - progress * 40);
+    }
+    this.ctx.textAlign = 'left';
+  }
+  
+  // Shown even with the debug info hidden
+  drawTokenPickupNotice() {
+    if (this.tokenPickups.length === 0) return;
+    
+    const total = this.tokenPickups.reduce((sum, pickup) => sum + pickup.amount, 0);
+    this.ctx.fillStyle = 'rgba(255, 215, 0, 0.9)';
+    this.ctx.font = '16px monospace';
+    this.ctx.textAlign = 'center';
+    this.ctx.fillText(`🪙 +${total.toFixed(2)} TOKENS | Value: ${this.playerSnake.value.toFixed(2)}`, this.canvas.width / 2, 110);
+    this.ctx.textAlign = 'left';
+  }
+  
+  drawNameTag(snake) {
+    if (!snake.isAlive) return;
+    
+    this.ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+    this.ctx.font = '14px monospace';
+    this.ctx.textAlign = 'center';
+    this.ctx.fillText(snake.name, snake.position.x, snake.position.y - snake.headRadius - 12);
+    this.ctx.textAlign = 'left';
   }
   
   drawMouseDebug() {
@@ -323,28 +869,130 @@ export class Game {
       this.ctx.stroke();
     }
     
-    // Draw deadzone circle
+    // Draw deadzone circle (same radius getMouseDirection ignores)
     this.ctx.strokeStyle = 'rgba(255, 255, 0, 0.3)';
     this.ctx.lineWidth = 2;
     this.ctx.beginPath();
-    this.ctx.arc(this.playerSnake.position.x, this.playerSnake.position.y, 30, 0, Math.PI * 2);
+    this.ctx.arc(this.playerSnake.position.x, this.playerSnake.position.y, CONFIG.INPUT.MOUSE_DEADZONE, 0, Math.PI * 2);
     this.ctx.stroke();
   }
   
-  drawGrid() {
-    const gridSize = 100;
-    
+  // NEW: World-space rectangle currently on screen, optionally padded on every side
+  getViewBounds(padding = 0) {
     const viewWidth = this.canvas.width / this.camera.zoom;
     const viewHeight = this.canvas.height / this.camera.zoom;
-    const viewLeft = this.camera.x - viewWidth / 2;
-    const viewTop = this.camera.y - viewHeight / 2;
-    const viewRight = this.camera.x + viewWidth / 2;
-    const viewBottom = this.camera.y + viewHeight / 2;
+    return {
+      minX: this.camera.x - viewWidth / 2 - padding,
+      minY: this.camera.y - viewHeight / 2 - padding,
+      maxX: this.camera.x + viewWidth / 2 + padding,
+      maxY: this.camera.y + viewHeight / 2 + padding
+    };
+  }
+  
+  // NEW: Offsets ({ x, y }) to draw the world at - just the world itself unless it wraps,
+  // then every neighbouring copy that overlaps the screen
+  getWorldCopies(boundary) {
+    if (!boundary.wraps) return [{ x: 0, y: 0 }];
+    
+    const view = this.getViewBounds();
+    const copies = [];
+    for (const y of [-boundary.height, 0, boundary.height]) {
+      for (const x of [-boundary.width, 0, boundary.width]) {
+        if (x + boundary.width < view.minX || x > view.maxX) continue;
+        if (y + boundary.height < view.minY || y > view.maxY) continue;
+        copies.push({ x, y });
+      }
+    }
+    return copies;
+  }
+  
+  offsetBounds(bounds, offset) {
+    return {
+      minX: bounds.minX - offset.x,
+      minY: bounds.minY - offset.y,
+      maxX: bounds.maxX - offset.x,
+      maxY: bounds.maxY - offset.y
+    };
+  }
+  
+  // Copies other than the world itself only get the snakes that actually reach the screen
+  isSnakeInCopy(snake, copy) {
+    if (copy.x === 0 && copy.y === 0) return true;
+    
+    const padding = snake.headRadius * 2;
+    const view = this.offsetBounds(this.getViewBounds(padding), copy);
+    const inView = (position) => position.x >= view.minX && position.x <= view.maxX &&
+      position.y >= view.minY && position.y <= view.maxY;
+    return inView(snake.position) || snake.segments.some(segment => inView(segment.position));
+  }
+  
+  // Path of the world's edge - a rectangle, or a circle for round arenas
+  traceWorldShape(boundary) {
+    this.ctx.beginPath();
+    if (boundary.mode === 'circle') {
+      this.ctx.arc(boundary.center.x, boundary.center.y, boundary.radius, 0, Math.PI * 2);
+    } else {
+      this.ctx.rect(0, 0, boundary.width, boundary.height);
+    }
+  }
+  
+  // NEW: The edge of the world - shades everything outside it and glows as the player gets close
+  drawWorldBorder(boundary) {
+    const ctx = this.ctx;
+    const lineWidth = Math.max(2, 4 / this.camera.zoom);
+    
+    if (boundary.wraps) {
+      // Nothing to run into - just a faint seam so the repeat is visible
+      ctx.save();
+      ctx.strokeStyle = 'rgba(0, 255, 136, 0.25)';
+      ctx.lineWidth = lineWidth;
+      ctx.setLineDash([40, 30]);
+      for (const copy of this.getWorldCopies(boundary)) {
+        ctx.strokeRect(copy.x, copy.y, boundary.width, boundary.height);
+      }
+      ctx.restore();
+      return;
+    }
+    
+    const view = this.getViewBounds(lineWidth);
+    const player = this.playerSnake;
+    const warning = player && player.isAlive
+      ? MathUtils.clamp(1 - boundary.distanceToEdge(player.position) / CONFIG.WORLD.BORDER_WARNING_DISTANCE, 0, 1)
+      : 0;
     
-    const startX = Math.floor(viewLeft / gridSize) * gridSize;
-    const startY = Math.floor(viewTop / gridSize) * gridSize;
-    const endX = Math.ceil(viewRight / gridSize) * gridSize;
-    const endY = Math.ceil(viewBottom / gridSize) * gridSize;
+    ctx.save();
+    
+    // Darken the outside (the view rectangle minus the world)
+    ctx.beginPath();
+    ctx.rect(view.minX, view.minY, view.maxX - view.minX, view.maxY - view.minY);
+    if (boundary.mode === 'circle') {
+      ctx.arc(boundary.center.x, boundary.center.y, boundary.radius, 0, Math.PI * 2);
+    } else {
+      ctx.rect(0, 0, boundary.width, boundary.height);
+    }
+    ctx.fillStyle = boundary.isLethal ? 'rgba(120, 0, 0, 0.25)' : 'rgba(60, 60, 60, 0.5)';
+    ctx.fill('evenodd');
+    
+    // Walls are solid grey, deadly edges are red - both glow brighter the closer the player is
+    const color = boundary.isLethal ? '255, 40, 40' : '200, 200, 200';
+    this.traceWorldShape(boundary);
+    ctx.strokeStyle = `rgba(${color}, ${(0.5 + 0.5 * warning).toFixed(2)})`;
+    ctx.lineWidth = lineWidth * (1 + warning);
+    ctx.shadowColor = `rgb(${color})`;
+    ctx.shadowBlur = 40 * warning;
+    ctx.stroke();
+    
+    ctx.restore();
+  }
+  
+  drawGrid() {
+    const gridSize = CONFIG.WORLD.GRID_SIZE;
+    
+    const view = this.getViewBounds();
+    const startX = Math.floor(view.minX / gridSize) * gridSize;
+    const startY = Math.floor(view.minY / gridSize) * gridSize;
+    const endX = Math.ceil(view.maxX / gridSize) * gridSize;
+    const endY = Math.ceil(view.maxY / gridSize) * gridSize;
     
     const lineWidth = Math.max(1, 2 / this.camera.zoom);
     
@@ -373,49 +1021,43 @@ export class Game {
     this.ctx.font = '12px monospace';
     
     const mouseWorld = this.inputHandler.getWorldMousePosition();
+    const keys = (action) => this.inputHandler.bindings.describe(action);
     
     const debugInfo = [
       `FPS: ${Math.round(1000 / (performance.now() - this.lastTime))}`,
       `Snake: ${Math.round(this.playerSnake.position.x)}, ${Math.round(this.playerSnake.position.y)}`,
       `Mouse: ${Math.round(mouseWorld.x)}, ${Math.round(mouseWorld.y)}`,
-      `Length: ${this.playerSnake.length.toFixed(1)} | Value: ${Math.round(this.playerSnake.score)}`,
+      `Length: ${this.playerSnake.length.toFixed(1)} | Value: ${this.playerSnake.value.toFixed(2)} | Kills: ${this.playerSnake.kills}`,
       `Speed: ${this.playerSnake.speed.toFixed(1)} | Zoom: ${this.camera.zoom.toFixed(2)}`,
       `Boost: ${this.playerSnake.isBoosting ? 'ON' : 'OFF'} | Burned: ${this.playerSnake.lengthBurned.toFixed(1)}`,
-      `Camera: ${this.playerSnake.length > 1500 ? 'CAPPED at 1500' : 'Scaling'}`,
+      `Camera: ${this.playerSnake.length > CONFIG.CAMERA.ZOOM_CAP_LENGTH ? `CAPPED at ${CONFIG.CAMERA.ZOOM_CAP_LENGTH}` : 'Scaling'}`,
+      `Seed: ${this.seed} | Tick: ${this.simulationTick}`,
+      this.network
+        ? `Multiplayer: ${this.network.connected ? 'connected' : 'DISCONNECTED'} | ${this.getAllSnakes().length} snakes`
+        : `Bots: ${this.world.botManager.bots.length} alive | ${this.world.botManager.respawnQueue.length} respawning`,
+      this.network
+        ? `Server tick: ${this.network.lastAppliedTick}`
+        : `Treasury: ${this.world.combat.treasuryTotal.toFixed(2)}`,
+      ...this.getNetworkDebugLines(),
+      ...this.getReplayDebugLines(),
       ``,
       `Controls:`,
-      `Mouse: Always follows cursor`,
-      `WASD/Arrows: Override mouse`,
-      `Click/Space: Boost (uses length)`,
-      `L: Add length (+10) | B: Big boost (+25)`,
-      `K: Remove length (debug)`,
-      `T: Trail debug | M: Mouse debug`,
-      `I: Toggle info | R: Restart`
+      `Mouse / left stick: Steer`,
+      `${keys('steerUp')}, ${keys('steerLeft')}, ${keys('steerDown')}, ${keys('steerRight')}: Override mouse`,
+      `Click/${keys('boost')}/Trigger: Boost (uses length)`,
+      `${keys('debugAddLength')}: Add length (+${CONFIG.DEBUG.LENGTH_BOOST_AMOUNT}) | ${keys('debugBigLength')}: Big boost (+${CONFIG.DEBUG.BIG_LENGTH_BOOST})`,
+      `${keys('debugRemoveLength')}: Remove length (debug) | ${keys('toggleTuning')}: Tuning panel`,
+      `${keys('toggleTrail')}: Trail debug | ${keys('toggleMouseDebug')}: Mouse debug | ${keys('toggleMinimap')}: Minimap`,
+      this.replay
+        ? `Space: Pause | Arrows: Seek | F: Free camera | Tab: Follow next | ${keys('restart')}: Rewind`
+        : `${keys('saveReplay')}: Save replay`,
+      `${keys('toggleInfo')}: Toggle info | ${keys('restart')}: Restart`
     ];
     
     for (let i = 0; i < debugInfo.length; i++) {
       this.ctx.fillText(debugInfo[i], 10, this.canvas.height - 20 - (debugInfo.length - i - 1) * 15);
     }
     
-    if (!this.playerSnake.isAlive) {
-      this.ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
-      this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
-      
-      this.ctx.fillStyle = '#ff4444';
-      this.ctx.font = '48px monospace';
-      this.ctx.textAlign = 'center';
-      this.ctx.fillText('GAME OVER', this.canvas.width / 2, this.canvas.height / 2 - 50);
-      
-      this.ctx.fillStyle = '#ffffff';
-      this.ctx.font = '24px monospace';
-      this.ctx.fillText(`Final Length: ${this.playerSnake.length.toFixed(1)}`, this.canvas.width / 2, this.canvas.height / 2);
-      this.ctx.fillText(`Value: ${this.playerSnake.score}`, this.canvas.width / 2, this.canvas.height / 2 + 30);
-      this.ctx.fillText(`Length Burned: ${this.playerSnake.lengthBurned.toFixed(1)}`, this.canvas.width / 2, this.canvas.height / 2 + 60);
-      this.ctx.fillText('Press R to restart', this.canvas.width / 2, this.canvas.height / 2 + 100);
-      
-      this.ctx.textAlign = 'left';
-    }
-    
     // Boost system feedback
     if (this.playerSnake.isBoosting) {
       this.ctx.fillStyle = 'rgba(255, 68, 68, 0.8)';
@@ -426,7 +1068,7 @@ export class Game {
     }
     
     // Low length warning
-    if (this.playerSnake.length < CONFIG.BOOST.MIN_LENGTH_TO_BOOST + 2) {
+    if (this.isLengthLow()) {
       this.ctx.fillStyle = 'rgba(255, 255, 0, 0.8)';
       this.ctx.font = '14px monospace';
       this.ctx.textAlign = 'center';
@@ -434,8 +1076,8 @@ export class Game {
       this.ctx.textAlign = 'left';
     }
     
-    // NEW: Camera cap indicator for 1500+ length
-    if (this.playerSnake.length > 1500) {
+    // NEW: Camera cap indicator past CAMERA.ZOOM_CAP_LENGTH
+    if (this.playerSnake.length > CONFIG.CAMERA.ZOOM_CAP_LENGTH) {
       this.ctx.fillStyle = 'rgba(0, 255, 255, 0.8)';
       this.ctx.font = '14px monospace';
       this.ctx.textAlign = 'center';
@@ -444,6 +1086,59 @@ export class Game {
     }
   }
   
+  // NEW: Same threshold as the HUD warning
+  isLengthLow() {
+    return this.playerSnake.length < CONFIG.BOOST.MIN_LENGTH_TO_BOOST + CONFIG.BOOST.LOW_LENGTH_WARNING;
+  }
+  
+  // NEW: Continuous player state as events - the boost sound follows the speed every frame
+  emitPlayerEvents() {
+    const snake = this.playerSnake;
+    const boosting = snake.isAlive && snake.isBoosting;
+    if (boosting || this.wasBoosting) {
+      // Actual boosted speed relative to an unboosted new snake
+      const speed = snake.speed * CONFIG.PHYSICS.BOOST_SPEED_MULTIPLIER / CONFIG.PHYSICS.BASE_SPEED;
+      this.events.emit('boost', { active: boosting, speed });
+    }
+    this.wasBoosting = boosting;
+    
+    const lengthLow = snake.isAlive && this.isLengthLow();
+    if (lengthLow && !this.wasLengthLow) {
+      this.events.emit('lowLength', { length: snake.length });
+    }
+    this.wasLengthLow = lengthLow;
+  }
+  
+  // NEW: Prediction/interpolation health for the debug overlay
+  getNetworkDebugLines() {
+    if (!this.network) return [];
+    
+    const predictor = this.network.predictor;
+    const lines = [
+      `Snapshot buffer: ${this.network.getSnapshotBufferDepth()} ahead | Interp delay: ${(CONFIG.NETWORK.INTERPOLATION_DELAY * 1000).toFixed(0)}ms`
+    ];
+    
+    if (predictor) {
+      lines.push(`Prediction error: ${predictor.lastError.toFixed(1)}px (avg ${predictor.averageError.toFixed(1)}) | Pending inputs: ${predictor.pendingInputs.length} | Snaps: ${predictor.snapCount}`);
+    }
+    
+    return lines;
+  }
+  
+  // NEW: Playback position for the debug overlay
+  getReplayDebugLines() {
+    if (!this.replay) return [];
+    
+    const state = this.replay.isSeeking
+      ? `SEEKING ${(this.replay.getSeekProgress() * 100).toFixed(0)}%`
+      : this.replayPaused ? 'PAUSED' : `${this.replaySpeed}x`;
+    return [
+      `Replay: ${this.replay.tick}/${this.replay.endTick} ticks | ${state}`,
+      `Replay camera: ${this.freeCamera ? 'free' : `following ${this.playerSnake.name}`}`,
+      ...this.replay.warnings
+    ];
+  }
+  
   updateHUD() {
     // Update the debug HUD elements (top-left corner)
     const lengthElement = document.getElementById('length');
@@ -458,21 +1153,121 @@ export class Game {
     if (window.gameUI && typeof window.gameUI.updateGameHUD === 'function') {
       window.gameUI.updateGameHUD();
     }
+    
+    if (this.replay && window.gameUI && typeof window.gameUI.updateReplayBar === 'function') {
+      window.gameUI.updateReplayBar();
+    }
+  }
+  
+  // NEW: Stats sessions - one per life of the player's snake (local and multiplayer, not replays)
+  getSessionClock() {
+    return this.world ? this.world.time : performance.now() / 1000;
+  }
+  
+  trackSession() {
+    const snake = this.playerSnake;
+    if (!this.session) {
+      // A finished life's snake can linger until the next snapshot - wait for a new one
+      if (!snake.isAlive || snake === this.lastSessionSnake) return;
+      this.session = { snake, startTime: this.getSessionClock(), maxLength: snake.length, startBurned: snake.lengthBurned };
+    }
+    this.session.maxLength = Math.max(this.session.maxLength, snake.length);
+  }
+  
+  finishSession(cause, killer = null) {
+    const session = this.session;
+    if (!session) return;
+    this.session = null;
+    this.lastSessionSnake = session.snake;
+    
+    const snake = session.snake;
+    const record = {
+      endedAt: Date.now(),
+      mode: this.network ? 'multiplayer' : 'local',
+      cause,
+      killer,
+      length: snake.length,
+      maxLength: Math.max(session.maxLength, snake.length),
+      lengthBurned: snake.lengthBurned - session.startBurned,
+      survivalSeconds: this.getSessionClock() - session.startTime,
+      kills: snake.kills,
+      valueEarned: snake.value
+    };
+    
+    log.info(`📊 Game finished (${cause}) after ${record.survivalSeconds.toFixed(1)}s`);
+    if (this.onGameFinished) this.onGameFinished(record);
+    if (cause !== 'left') {
+      this.events.emit('death', record);
+      if (this.onDeath) this.onDeath(record);
+    }
+  }
+  
+  // NEW: Used from the next (re)start on - a skin is part of the recorded spawn
+  setPlayerSkin(skin) {
+    this.playerSkin = skin;
+  }
+  
+  // NEW: Credit this game's kills and value to a wallet's reward ledger (local games only -
+  // replays earn nothing and multiplayer rewards belong to the server)
+  setRewardAccount(ledger, account) {
+    if (this.rewardTracker && this.rewardLedger === ledger && this.rewardAccount === account) return;
+    this.rewardLedger = ledger;
+    this.rewardAccount = account;
+    this.startRewardTracking();
+  }
+  
+  startRewardTracking() {
+    // Bank whatever the previous life earned before tracking the new one
+    if (this.rewardTracker) this.rewardTracker.finish();
+    this.rewardTracker = null;
+    
+    if (this.world && this.playerSnake && this.rewardLedger && this.rewardAccount) {
+      this.rewardTracker = new RewardTracker(this.rewardLedger, this.rewardAccount, this.world, this.playerSnake);
+    }
   }
   
   restart() {
-    console.log('🎮 Restarting game...');
+    log.info('🎮 Restarting game...');
     this.isRunning = false;
+    this.finishSession('left');
+    this.inputHandler.reset();
     this.initializeGame();
     this.debugFrameCount = 0;
     this.isRunning = true;
     this.gameStartTime = performance.now();
     this.lastTime = this.gameStartTime;
-    console.log('🎮 Game restarted!');
+    log.debug('🎮 Game restarted!');
   }
   
   stop() {
     this.isRunning = false;
+    this.finishSession('left');
+    this.wasBoosting = false;
+    this.events.emit('stop');
+    if (this.rewardTracker) {
+      this.rewardTracker.finish();
+    }
+    if (this.network) {
+      this.network.disconnect();
+    }
+  }
+  
+  // NEW: Stop for good and remove every listener - the UI calls this before replacing the Game
+  destroy() {
+    this.stop();
+    cancelAnimationFrame(this.animationFrameId);
+    window.removeEventListener('keydown', this.debugKeyHandler);
+    this.canvas.removeEventListener('wheel', this.wheelHandler, { passive: false });
+    window.removeEventListener('resize', this.resizeHandler);
+    this.touchControls.destroy();
+    this.inputHandler.destroy();
+    if (this.recorder) this.recorder.dispose();
+    this.onRestartRequested = null;
+    this.onGameFinished = null;
+    this.onDeath = null;
+    this.onToggleTuning = null;
+    this.events.removeAllListeners();
+    log.debug('🎮 Game destroyed');
   }
   
   getPlayerSnake() {
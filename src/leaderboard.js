@@ -0,0 +1,160 @@
+// File: src/leaderboard.js - Leaderboard results: signing, plausibility rules and the browser client
+// A result is signed with the player's Ed25519 key and checked by the service (server/leaderboard.js)
+// with the same encodeResultMessage() and checkResultPlausibility() used here, so the client never
+// sends something the service would throw out.
+import { CONFIG } from './config.js';
+import { encodeBase58 } from './solana.js';
+import { getStorage } from './utils.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('economy');
+
+export const LEADERBOARD_PERIODS = ['daily', 'weekly', 'alltime'];
+export const LEADERBOARD_METRICS = ['length', 'value'];
+
+const RESULT_VERSION = 1;
+const PLAYER_KEY_STORAGE = 'solsnake.playerKey';
+
+// The exact bytes that get signed - a fixed field order so both sides build the same string
+export function encodeResultMessage(result) {
+  return new TextEncoder().encode(`solsnake-result:${RESULT_VERSION}:` + JSON.stringify([
+    result.id,
+    result.player,
+    result.name,
+    result.endedAt,
+    result.maxLength,
+    result.survivalSeconds,
+    result.kills,
+    result.valueEarned,
+    result.lengthBurned
+  ]));
+}
+
+const isCount = (value) => Number.isFinite(value) && value >= 0;
+
+// Returns why a result can't be real, or null if it could be
+export function checkResultPlausibility(result) {
+  const rules = CONFIG.LEADERBOARD;
+
+  if (typeof result.id !== 'string' || result.id.length === 0 || result.id.length > 64) return 'Bad result id';
+  if (typeof result.player !== 'string' || result.player.length === 0 || result.player.length > 64) return 'Bad player key';
+  if (typeof result.name !== 'string' || result.name.length > CONFIG.NETWORK.MAX_NAME_LENGTH) return 'Bad name';
+
+  const numbers = ['endedAt', 'maxLength', 'survivalSeconds', 'kills', 'valueEarned', 'lengthBurned'];
+  const bad = numbers.find(key => !isCount(result[key]));
+  if (bad) return `Bad ${bad}`;
+  if (!Number.isInteger(result.kills)) return 'Bad kills';
+
+  const seconds = result.survivalSeconds;
+  if (seconds > rules.MAX_SURVIVAL_SECONDS) {
+    return `Survival time ${seconds.toFixed(0)}s is longer than a game can last`;
+  }
+
+  const maxLength = CONFIG.PHYSICS.INITIAL_LENGTH + seconds * rules.MAX_GROWTH_PER_SECOND;
+  if (result.maxLength > maxLength) {
+    return `Length ${result.maxLength.toFixed(1)} is impossible in ${seconds.toFixed(1)}s (max ${maxLength.toFixed(1)})`;
+  }
+
+  // A kill can pay out a whole buy-in's share at once, on top of the steady rate
+  const maxValue = seconds * rules.MAX_VALUE_PER_SECOND + result.kills * CONFIG.BUYIN_AMOUNT_TOKENS;
+  if (result.valueEarned > maxValue) {
+    return `Value ${result.valueEarned.toFixed(2)} is impossible in ${seconds.toFixed(1)}s with ${result.kills} kills`;
+  }
+
+  if (result.kills > Math.ceil(seconds / 60 * rules.MAX_KILLS_PER_MINUTE)) {
+    return `${result.kills} kills is impossible in ${seconds.toFixed(1)}s`;
+  }
+
+  if (result.lengthBurned > seconds * CONFIG.BOOST.LENGTH_COST_PER_SECOND * 1.05 + 1) {
+    return `Burned length ${result.lengthBurned.toFixed(1)} is impossible in ${seconds.toFixed(1)}s`;
+  }
+
+  return null;
+}
+
+function base64UrlToBytes(text) {
+  const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+  return Uint8Array.from(atob(base64.padEnd(Math.ceil(base64.length / 4) * 4, '=')), char => char.charCodeAt(0));
+}
+
+// Ed25519 key made in (and kept by) this browser - the player's leaderboard identity
+export class PlayerKey {
+  constructor(privateKey, publicKeyBytes) {
+    this.privateKey = privateKey;
+    this.publicKey = encodeBase58(publicKeyBytes); // Same encoding as Solana addresses
+  }
+
+  static async load(storage = getStorage()) {
+    const algorithm = { name: 'Ed25519' };
+    const saved = storage.getItem(PLAYER_KEY_STORAGE);
+
+    let jwk = saved ? JSON.parse(saved) : null;
+    if (!jwk) {
+      const keyPair = await crypto.subtle.generateKey(algorithm, true, ['sign', 'verify']);
+      jwk = await crypto.subtle.exportKey('jwk', keyPair.privateKey);
+      storage.setItem(PLAYER_KEY_STORAGE, JSON.stringify(jwk));
+      log.info('🔑 Created a new player key');
+    }
+
+    const privateKey = await crypto.subtle.importKey('jwk', jwk, algorithm, false, ['sign']);
+    return new PlayerKey(privateKey, base64UrlToBytes(jwk.x));
+  }
+
+  async sign(bytes) {
+    return new Uint8Array(await crypto.subtle.sign({ name: 'Ed25519' }, this.privateKey, bytes));
+  }
+}
+
+// Same origin when the page came from the game server, otherwise a local one
+export function getLeaderboardUrl() {
+  if (CONFIG.LEADERBOARD.URL) return CONFIG.LEADERBOARD.URL;
+  if (typeof location !== 'undefined' && location.protocol.startsWith('http')) return location.origin;
+  return `http://localhost:${CONFIG.NETWORK.PORT}`;
+}
+
+export class LeaderboardClient {
+  constructor(baseUrl = getLeaderboardUrl()) {
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+  }
+
+  async request(path, options = {}) {
+    const response = await fetch(`${this.baseUrl}${path}`, options);
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(body.error || `Leaderboard error ${response.status}`);
+    }
+    return body;
+  }
+
+  // { period, metric, periodKey, entries: [{ rank, player, name, score, at }], player: { rank, score } | null }
+  fetchBoard(period = 'daily', metric = 'length', player = null, limit = CONFIG.LEADERBOARD.BOARD_SIZE) {
+    const query = new URLSearchParams({ period, metric, limit: String(limit) });
+    if (player) query.set('player', player);
+    return this.request(`/api/leaderboard?${query}`);
+  }
+
+  // record: a finished game from Game.onGameFinished. Resolves with the new ranks
+  async submit(record, name, playerKey) {
+    const result = {
+      id: `${record.endedAt.toString(36)}-${Math.random().toString(36).slice(2, 10)}`,
+      player: playerKey.publicKey,
+      name: name.slice(0, CONFIG.NETWORK.MAX_NAME_LENGTH),
+      endedAt: record.endedAt,
+      maxLength: Math.round(record.maxLength * 10) / 10,
+      survivalSeconds: Math.round(record.survivalSeconds * 10) / 10,
+      kills: record.kills,
+      valueEarned: Math.round(record.valueEarned * 1e6) / 1e6,
+      lengthBurned: Math.round(record.lengthBurned * 10) / 10
+    };
+
+    const problem = checkResultPlausibility(result);
+    if (problem) throw new Error(problem);
+
+    const signature = encodeBase58(await playerKey.sign(encodeResultMessage(result)));
+    return this.request('/api/results', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ result, signature })
+    });
+  }
+}
@@ -0,0 +1,191 @@
+// File: src/logger.js - Leveled, categorised logging with a ring buffer for bug reports
+// Each module logs through a channel: const log = createLogger('physics'); log.debug('...').
+// What gets through is set by CONFIG.DEBUG (LOG_LEVEL, LOG_CATEGORIES, LOG_TO_CONSOLE), read on
+// every call - so ?log=debug:physics,net (config-loader.js) and the tuning panel apply at once.
+// Everything that gets through is also kept in memory; downloadLogs() saves it for a bug report.
+// Code that runs every frame logs through every(ms, key), at most once per interval.
+import { CONFIG } from './config.js';
+
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+export const LOG_CATEGORIES = ['game', 'input', 'physics', 'camera', 'economy', 'net'];
+
+const LEVEL_RANK = { debug: 0, info: 1, warn: 2, error: 3, off: 4 };
+
+// console.debug is hidden by default in most browsers - debug was asked for, so show it
+const CONSOLE_METHODS = { debug: 'log', info: 'log', warn: 'warn', error: 'error' };
+
+// Ring buffer - allocated on the first entry, sized by CONFIG.DEBUG.LOG_BUFFER_SIZE
+let buffer = null;
+let bufferStart = 0;
+let bufferCount = 0;
+
+const rateLimiters = new Map(); // 'category:key' -> RateLimiter
+
+function formatArgument(argument) {
+  if (typeof argument === 'string') return argument;
+  if (argument instanceof Error) return argument.stack || `${argument.name}: ${argument.message}`;
+  if (argument === null || typeof argument !== 'object') return String(argument);
+  try {
+    return JSON.stringify(argument);
+  } catch {
+    return String(argument);
+  }
+}
+
+function record(entry) {
+  if (!buffer) buffer = new Array(CONFIG.DEBUG.LOG_BUFFER_SIZE);
+
+  const index = (bufferStart + bufferCount) % buffer.length;
+  buffer[index] = entry;
+  if (bufferCount < buffer.length) {
+    bufferCount++;
+  } else {
+    bufferStart = (bufferStart + 1) % buffer.length; // Full - the oldest entry goes
+  }
+}
+
+class LogChannel {
+  constructor(category) {
+    this.category = category;
+  }
+
+  isEnabled(level) {
+    const settings = CONFIG.DEBUG;
+    return LEVEL_RANK[level] >= LEVEL_RANK[settings.LOG_LEVEL] && settings.LOG_CATEGORIES.includes(this.category);
+  }
+
+  write(level, args) {
+    if (!this.isEnabled(level)) return;
+
+    record({
+      time: Date.now(),
+      level,
+      category: this.category,
+      message: args.map(formatArgument).join(' ')
+    });
+
+    if (CONFIG.DEBUG.LOG_TO_CONSOLE) {
+      console[CONSOLE_METHODS[level]](...args);
+    }
+  }
+
+  debug(...args) {
+    this.write('debug', args);
+  }
+
+  info(...args) {
+    this.write('info', args);
+  }
+
+  warn(...args) {
+    this.write('warn', args);
+  }
+
+  error(...args) {
+    this.write('error', args);
+  }
+
+  // Rate limit for hot paths: log.every(1000, 'boost').debug(...) lets one entry per second
+  // through for that key. The next one that gets through says how many were held back
+  every(intervalMs, key) {
+    const id = `${this.category}:${key}`;
+    let limiter = rateLimiters.get(id);
+    if (!limiter) {
+      limiter = new RateLimiter(this);
+      rateLimiters.set(id, limiter);
+    }
+    limiter.intervalMs = intervalMs;
+    return limiter;
+  }
+}
+
+// One per every() key. Only entries whose level and category are on are counted, so a
+// "(+N similar)" never includes entries that would not have been logged anyway
+class RateLimiter {
+  constructor(channel) {
+    this.channel = channel;
+    this.intervalMs = 0;
+    this.lastTime = -Infinity; // performance.now() of the last entry let through
+    this.suppressed = 0;
+  }
+
+  isEnabled(level) {
+    return this.channel.isEnabled(level);
+  }
+
+  write(level, args) {
+    if (!this.channel.isEnabled(level)) return;
+
+    const now = performance.now();
+    if (now - this.lastTime < this.intervalMs) {
+      this.suppressed++;
+      return;
+    }
+
+    this.lastTime = now;
+    if (this.suppressed > 0) {
+      args = [...args, `(+${this.suppressed} similar)`];
+      this.suppressed = 0;
+    }
+    this.channel.write(level, args);
+  }
+
+  debug(...args) {
+    this.write('debug', args);
+  }
+
+  info(...args) {
+    this.write('info', args);
+  }
+
+  warn(...args) {
+    this.write('warn', args);
+  }
+
+  error(...args) {
+    this.write('error', args);
+  }
+}
+
+export function createLogger(category) {
+  if (!LOG_CATEGORIES.includes(category)) {
+    throw new Error(`Unknown log category "${category}" (expected one of ${LOG_CATEGORIES.join(', ')})`);
+  }
+  return new LogChannel(category);
+}
+
+// Oldest first
+export function getLogEntries() {
+  const entries = [];
+  for (let i = 0; i < bufferCount; i++) {
+    entries.push(buffer[(bufferStart + i) % buffer.length]);
+  }
+  return entries;
+}
+
+export function clearLogs() {
+  buffer = null;
+  bufferStart = 0;
+  bufferCount = 0;
+}
+
+// '2026-01-13T10:00:00.000Z INFO  [physics] 🚀 Boost started! Length: 12'
+export function formatLogEntries(entries = getLogEntries()) {
+  return entries
+    .map(entry => `${new Date(entry.time).toISOString()} ${entry.level.toUpperCase().padEnd(5)} [${entry.category}] ${entry.message}`)
+    .join('\n');
+}
+
+// Save the buffer as a text file - attach it to bug reports
+export function downloadLogs(filename = `solsnake-log-${Date.now()}.txt`) {
+  const header = `SolSnake log | ${typeof navigator !== 'undefined' ? navigator.userAgent : 'unknown browser'} | level ${CONFIG.DEBUG.LOG_LEVEL}\n`;
+  const blob = new Blob([header + formatLogEntries() + '\n'], { type: 'text/plain' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
@@ -0,0 +1,140 @@
+// File: src/minimap.js - Corner overview of the whole world: bounds, view, pellets and snakes
+// Drawn in screen space after the world. Pellet density is binned into a coarse grid that is
+// only rebuilt every few frames - there can be hundreds of pellets and the map is tiny.
+import { CONFIG } from './config.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('game');
+
+export class Minimap {
+  constructor(options = CONFIG.MINIMAP) {
+    this.visible = options.ENABLED;
+    this.size = options.SIZE;
+    this.position = options.POSITION;
+    this.margin = options.MARGIN;
+    this.densityCells = options.DENSITY_CELLS;
+    this.densityRefresh = options.DENSITY_REFRESH_SECONDS;
+
+    this.density = null;        // { columns, rows, counts, max }
+    this.densityTime = -Infinity;
+  }
+
+  toggle() {
+    this.visible = !this.visible;
+    log.debug('🗺️ Minimap:', this.visible ? 'on' : 'off');
+  }
+
+  // Screen rectangle of the map - the world's aspect ratio, SIZE pixels wide
+  getRect(canvasWidth, canvasHeight, worldWidth, worldHeight) {
+    const width = this.size;
+    const height = this.size * worldHeight / worldWidth;
+    const right = this.position.endsWith('right');
+    const bottom = this.position.startsWith('bottom');
+    return {
+      x: right ? canvasWidth - width - this.margin : this.margin,
+      y: bottom ? canvasHeight - height - this.margin : this.margin,
+      width,
+      height
+    };
+  }
+
+  // Pellet counts per cell (token pellets count double - they're worth going for)
+  updateDensity(pellets, worldWidth, worldHeight, time) {
+    if (this.density && time - this.densityTime < this.densityRefresh) return;
+    this.densityTime = time;
+
+    const columns = this.densityCells;
+    const rows = Math.max(1, Math.round(columns * worldHeight / worldWidth));
+    const counts = new Array(columns * rows).fill(0);
+    let max = 0;
+
+    for (const pellet of pellets) {
+      const column = Math.min(columns - 1, Math.max(0, Math.floor(pellet.position.x / worldWidth * columns)));
+      const row = Math.min(rows - 1, Math.max(0, Math.floor(pellet.position.y / worldHeight * rows)));
+      const index = row * columns + column;
+      counts[index] += pellet.tokenValue > 0 ? 2 : 1;
+      max = Math.max(max, counts[index]);
+    }
+
+    this.density = { columns, rows, counts, max };
+  }
+
+  // scene: { worldWidth, worldHeight, player, snakes, pellets, boundary, view, time }
+  // view is the world rectangle on screen (Game.getViewBounds())
+  draw(ctx, canvasWidth, canvasHeight, scene) {
+    if (!this.visible) return;
+
+    const { worldWidth, worldHeight } = scene;
+    const rect = this.getRect(canvasWidth, canvasHeight, worldWidth, worldHeight);
+    const scaleX = rect.width / worldWidth;
+    const scaleY = rect.height / worldHeight;
+    const toMap = (position) => ({ x: rect.x + position.x * scaleX, y: rect.y + position.y * scaleY });
+
+    ctx.save();
+
+    // Background and world bounds
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+    ctx.fillRect(rect.x, rect.y, rect.width, rect.height);
+
+    // Pellet density
+    this.updateDensity(scene.pellets, worldWidth, worldHeight, scene.time);
+    const { columns, rows, counts, max } = this.density;
+    const cellWidth = rect.width / columns;
+    const cellHeight = rect.height / rows;
+    for (let i = 0; i < counts.length; i++) {
+      if (counts[i] === 0) continue;
+      ctx.fillStyle = `rgba(0, 255, 136, ${(0.1 + 0.5 * counts[i] / max).toFixed(2)})`;
+      ctx.fillRect(rect.x + (i % columns) * cellWidth, rect.y + Math.floor(i / columns) * cellHeight, cellWidth, cellHeight);
+    }
+
+    ctx.strokeStyle = '#00ff88';
+    ctx.lineWidth = 2;
+    const boundary = scene.boundary;
+    if (boundary && boundary.mode === 'circle') {
+      // Round arena - the corners of the rectangle are out of bounds
+      const center = toMap(boundary.center);
+      ctx.beginPath();
+      ctx.arc(center.x, center.y, boundary.radius * scaleX, 0, Math.PI * 2);
+      ctx.stroke();
+    } else {
+      ctx.strokeRect(rect.x, rect.y, rect.width, rect.height);
+    }
+
+    // What the camera sees right now
+    const viewMin = toMap({ x: Math.max(0, scene.view.minX), y: Math.max(0, scene.view.minY) });
+    const viewMax = toMap({ x: Math.min(worldWidth, scene.view.maxX), y: Math.min(worldHeight, scene.view.maxY) });
+    if (viewMax.x > viewMin.x && viewMax.y > viewMin.y) {
+      ctx.strokeStyle = 'rgba(255, 255, 255, 0.4)';
+      ctx.lineWidth = 1;
+      ctx.strokeRect(viewMin.x, viewMin.y, viewMax.x - viewMin.x, viewMax.y - viewMin.y);
+    }
+
+    // Other snakes - bigger dots for longer snakes
+    for (const snake of scene.snakes) {
+      if (snake === scene.player || !snake.isAlive) continue;
+      const dot = toMap(snake.position);
+      ctx.fillStyle = snake.color || '#ff4444';
+      ctx.beginPath();
+      ctx.arc(dot.x, dot.y, Math.min(5, 2 + snake.length / 100), 0, Math.PI * 2);
+      ctx.fill();
+    }
+
+    // The player: a white arrow pointing where the head is going
+    const player = scene.player;
+    if (player && player.isAlive) {
+      const head = toMap(player.position);
+      ctx.translate(head.x, head.y);
+      ctx.rotate(player.angle);
+      ctx.fillStyle = '#ffffff';
+      ctx.beginPath();
+      ctx.moveTo(7, 0);
+      ctx.lineTo(-4, -4);
+      ctx.lineTo(-2, 0);
+      ctx.lineTo(-4, 4);
+      ctx.closePath();
+      ctx.fill();
+    }
+
+    ctx.restore();
+  }
+}
@@ -0,0 +1,247 @@
+// File: src/netcode.js - Client-side prediction, reconciliation and snapshot interpolation
+import { CONFIG } from './config.js';
+import { Snake } from './snake.js';
+import { Vector2D, Interpolation, MathUtils } from './utils.js';
+
+// Copy a serialized snake (see protocol.js) onto a local Snake used for drawing
+export function applySnakeState(snake, state) {
+  snake.name = state.name;
+  snake.isBot = state.isBot;
+  snake.position = new Vector2D(state.x, state.y);
+  snake.angle = state.angle;
+  snake.length = state.length;
+  snake.speed = state.speed;
+  snake.value = state.value;
+  snake.kills = state.kills;
+  snake.isBoosting = state.boosting;
+  snake.lengthBurned = state.burned;
+  snake.skin = state.skin;
+  snake.color = state.color;
+  snake.bodyColor = state.bodyColor;
+  snake.headRadius = state.headRadius;
+  snake.bodyRadius = state.bodyRadius;
+  snake.isAlive = true;
+
+  const count = state.segments.length / 2;
+  snake.segments.length = count;
+  for (let i = 0; i < count; i++) {
+    const position = new Vector2D(state.segments[i * 2], state.segments[i * 2 + 1]);
+    if (snake.segments[i]) {
+      snake.segments[i].position = position;
+    } else {
+      snake.segments[i] = { position, distance: 0, isHead: i === 0 };
+    }
+  }
+}
+
+// Blend two serialized states of the same snake. Segment counts can differ
+// when it grew or shrank between snapshots - extra segments come from `to`.
+// boundary: optional WorldBoundary - a snake that wrapped between the two is blended
+// from where it would have been without the jump, not dragged across the world
+export function interpolateSnakeState(from, to, t, boundary = null) {
+  const jump = boundary ? boundary.wrapOffset(new Vector2D(from.x, from.y), new Vector2D(to.x, to.y)) : null;
+  const shiftX = jump ? jump.x : 0;
+  const shiftY = jump ? jump.y : 0;
+
+  const head = Interpolation.lerpVector(new Vector2D(from.x + shiftX, from.y + shiftY), new Vector2D(to.x, to.y), t);
+
+  const segments = to.segments.slice();
+  const shared = Math.min(from.segments.length, to.segments.length);
+  for (let i = 0; i < shared; i++) {
+    const shift = i % 2 === 0 ? shiftX : shiftY; // Segments are flat [x, y, x, y, ...]
+    segments[i] = Interpolation.lerp(from.segments[i] + shift, to.segments[i], t);
+  }
+
+  return {
+    ...to,
+    x: head.x,
+    y: head.y,
+    angle: Interpolation.lerpAngle(from.angle, to.angle, t),
+    length: Interpolation.lerp(from.length, to.length, t),
+    headRadius: Interpolation.lerp(from.headRadius, to.headRadius, t),
+    bodyRadius: Interpolation.lerp(from.bodyRadius, to.bodyRadius, t),
+    segments
+  };
+}
+
+// Rebuild a trail from segment positions so a teleported snake can keep moving smoothly
+function rebuildTrailFromSegments(snake) {
+  const points = snake.segments.map(segment => segment.position);
+
+  // Trail is head-first with arcLength growing towards the head
+  if (points.length > 0) {
+    snake.trail.setPath(points);
+  } else {
+    snake.trail.reset(snake.position.x, snake.position.y);
+  }
+}
+
+// Keeps recent snapshots and hands back the two that bracket the render time
+export class SnapshotBuffer {
+  constructor(tickRate, maxSize = CONFIG.NETWORK.SNAPSHOT_BUFFER_SIZE) {
+    this.tickRate = tickRate;
+    this.maxSize = maxSize;
+    this.snapshots = [];      // Oldest first
+    this.clockOffset = null;  // serverTime - localTime, smoothed
+  }
+
+  push(snapshot, localTime) {
+    const last = this.snapshots[this.snapshots.length - 1];
+    if (last && snapshot.tick <= last.tick) return; // Late or duplicate
+
+    snapshot.serverTime = snapshot.tick / this.tickRate;
+    this.snapshots.push(snapshot);
+    if (this.snapshots.length > this.maxSize) {
+      this.snapshots.shift();
+    }
+
+    // Smooth out network jitter when estimating the server clock
+    const sample = snapshot.serverTime - localTime;
+    this.clockOffset = this.clockOffset === null
+      ? sample
+      : this.clockOffset + (sample - this.clockOffset) * 0.1;
+  }
+
+  getRenderTime(localTime) {
+    return localTime + (this.clockOffset || 0) - CONFIG.NETWORK.INTERPOLATION_DELAY;
+  }
+
+  // Returns { from, to, t } or null before the first snapshot arrives
+  getInterpolationPair(renderTime) {
+    const snapshots = this.snapshots;
+    if (snapshots.length === 0) return null;
+
+    for (let i = snapshots.length - 1; i > 0; i--) {
+      const from = snapshots[i - 1];
+      const to = snapshots[i];
+      if (from.serverTime <= renderTime && renderTime <= to.serverTime) {
+        const t = (renderTime - from.serverTime) / (to.serverTime - from.serverTime);
+        return { from, to, t };
+      }
+    }
+
+    // Render time is outside the buffer - hold the nearest snapshot rather than extrapolate
+    const edge = renderTime < snapshots[0].serverTime ? snapshots[0] : snapshots[snapshots.length - 1];
+    return { from: edge, to: edge, t: 0 };
+  }
+
+  // How many snapshots are queued up ahead of the render time
+  getDepth(renderTime) {
+    return this.snapshots.filter(snapshot => snapshot.serverTime > renderTime).length;
+  }
+
+  getLatest() {
+    return this.snapshots[this.snapshots.length - 1] || null;
+  }
+}
+
+// Runs the local snake with the same Snake.update() physics as the server and
+// corrects it whenever the server acknowledges one of our inputs
+export class LocalPredictor {
+  // boundary: the server world's WorldBoundary, so walls and wrap-around are predicted too
+  constructor(state, boundary = null) {
+    this.snake = new Snake(state.x, state.y, state.angle);
+    this.boundary = boundary;
+    applySnakeState(this.snake, state);
+    rebuildTrailFromSegments(this.snake);
+
+    this.pendingInputs = [];  // Sent but not yet acknowledged: { seq, direction, boost, x, y, angle }
+    this.lastError = 0;       // Distance between prediction and server at the last ack
+    this.averageError = 0;
+    this.snapCount = 0;       // How many times we had to teleport
+  }
+
+  step(deltaTime, input) {
+    this.snake.update(deltaTime, input.direction, input.boost);
+    if (this.boundary) this.boundary.constrain(this.snake);
+
+    // Remember where we ended up so the server's answer can be compared later
+    this.pendingInputs.push({
+      ...input,
+      x: this.snake.position.x,
+      y: this.snake.position.y,
+      angle: this.snake.angle
+    });
+  }
+
+  reconcile(state, ackSeq, deltaTime) {
+    const snake = this.snake;
+
+    // Everything up to the ack has been processed by the server
+    let acked = null;
+    while (this.pendingInputs.length > 0 && this.pendingInputs[0].seq <= ackSeq) {
+      acked = this.pendingInputs.shift();
+    }
+
+    this.syncAuthoritativeState(state);
+    if (!acked) return;
+
+    // Measured across the seam - the server may have wrapped us a tick earlier or later
+    const error = this.boundary
+      ? this.boundary.delta(acked, state)
+      : new Vector2D(state.x - acked.x, state.y - acked.y);
+    this.lastError = error.magnitude();
+    this.averageError += (this.lastError - this.averageError) * 0.1;
+
+    if (this.lastError > CONFIG.NETWORK.PREDICTION_SNAP_DISTANCE) {
+      // Too far off to nudge - take the server state and replay what it hasn't seen yet
+      this.snapCount++;
+      applySnakeState(snake, state);
+      rebuildTrailFromSegments(snake);
+
+      const replay = this.pendingInputs;
+      this.pendingInputs = [];
+      for (const input of replay) {
+        this.step(deltaTime, input);
+      }
+      return;
+    }
+
+    // Small error - shift the whole predicted body (and pending history) onto the server's line.
+    // Snapshots are rounded to 0.1px so ignore anything below that noise
+    if (this.lastError > 0.5) {
+      this.translate(error);
+    }
+    snake.angle += MathUtils.angleDifference(acked.angle, state.angle);
+  }
+
+  // Length, value and kills only ever change on the server (pellets, kills)
+  syncAuthoritativeState(state) {
+    const snake = this.snake;
+    snake.value = state.value;
+    snake.kills = state.kills;
+    snake.lengthBurned = state.burned;
+
+    if (Math.abs(snake.length - state.length) > 0.01) {
+      snake.length = state.length;
+      const targetCount = state.segments.length / 2;
+      while (snake.segments.length > targetCount) {
+        snake.segments.pop();
+      }
+      while (snake.segments.length < targetCount) {
+        const i = snake.segments.length;
+        snake.segments.push({
+          position: new Vector2D(state.segments[i * 2], state.segments[i * 2 + 1]),
+          distance: 0,
+          isHead: false
+        });
+      }
+      snake.speed = snake.calculateSpeed();
+      snake.updateVisualSize();
+      snake.updateMaxTrailDistance();
+    }
+  }
+
+  translate(offset) {
+    const snake = this.snake;
+    snake.position = snake.position.add(offset);
+    snake.trail.translate(offset.x, offset.y);
+    for (const segment of snake.segments) {
+      segment.position = segment.position.add(offset);
+    }
+    for (const input of this.pendingInputs) {
+      input.x += offset.x;
+      input.y += offset.y;
+    }
+  }
+}
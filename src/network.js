@@ -0,0 +1,259 @@
+// File: src/network.js - Browser side of multiplayer: talks to server/server.js
+import { CONFIG } from './config.js';
+import { Snake } from './snake.js';
+import { Pellet, TokenPellet, ShedPellet, PelletManager, PELLET_KIND } from './pellets.js';
+import { MESSAGE, encodeMessage, decodeMessage } from './protocol.js';
+import { WorldBoundary } from './boundary.js';
+import { SnapshotBuffer, LocalPredictor, applySnakeState, interpolateSnakeState } from './netcode.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('net');
+
+export class NetworkClient {
+  constructor(url = CONFIG.NETWORK.SERVER_URL) {
+    this.url = url;
+    this.socket = null;
+    this.playerId = null;
+    this.connected = false;
+
+    // Mirrored world - remote snakes are interpolated, only our own is simulated
+    this.snakes = new Map();   // id -> Snake (remote only)
+    this.worldWidth = CONFIG.WORLD.WIDTH;   // The server's real size arrives with WELCOME
+    this.worldHeight = CONFIG.WORLD.HEIGHT;
+    this.boundary = new WorldBoundary(this.worldWidth, this.worldHeight);
+    this.pelletManager = new PelletManager(CONFIG.WORLD.WIDTH, CONFIG.WORLD.HEIGHT, 0);
+    this.tickRate = CONFIG.NETWORK.TICK_RATE;
+    this.snapshotBuffer = new SnapshotBuffer(this.tickRate);
+    this.unreconciledSnapshot = null;
+    this.lastAppliedTick = -1;
+
+    // NEW: Client-side prediction - one input per server tick, numbered so the server can ack it
+    this.predictor = null;
+    this.inputSeq = 0;
+    this.tickAccumulator = 0;
+    this.renderTime = 0;
+
+    // Callbacks
+    this.onDeath = null;
+    this.onDisconnect = null;
+  }
+
+  connect(name, skin) {
+    return new Promise((resolve, reject) => {
+      log.info('🌐 Connecting to', this.url);
+      const socket = new WebSocket(this.url);
+      this.socket = socket;
+
+      socket.addEventListener('open', () => {
+        socket.send(encodeMessage(MESSAGE.JOIN, { name, skin }));
+      });
+
+      socket.addEventListener('message', (event) => {
+        const message = decodeMessage(event.data);
+        if (!message) return;
+
+        if (message.type === MESSAGE.WELCOME) {
+          this.playerId = message.id;
+          this.tickRate = message.tickRate;
+          this.worldWidth = message.world.width;
+          this.worldHeight = message.world.height;
+          this.boundary = new WorldBoundary(this.worldWidth, this.worldHeight, message.world.boundary || 'death');
+          this.snapshotBuffer = new SnapshotBuffer(this.tickRate);
+          this.connected = true;
+          log.info('🌐 Joined as', message.id);
+          resolve(message);
+        } else if (message.type === MESSAGE.ERROR && !this.connected) {
+          reject(new Error(message.message));
+        } else {
+          this.handleMessage(message);
+        }
+      });
+
+      socket.addEventListener('error', () => {
+        if (!this.connected) reject(new Error(`Could not connect to ${this.url}`));
+      });
+
+      socket.addEventListener('close', () => {
+        const wasConnected = this.connected;
+        this.connected = false;
+        log.info('🌐 Disconnected');
+        if (wasConnected && this.onDisconnect) this.onDisconnect();
+      });
+    });
+  }
+
+  handleMessage(message) {
+    switch (message.type) {
+      case MESSAGE.SNAPSHOT:
+        // Pellets come as changes since the previous snapshot, so each one is applied as it
+        // arrives - even a snapshot the frame loop skips
+        if (message.pellets) {
+          this.applyPellets(message.pellets);
+        } else {
+          this.applyPelletChanges(message.pelletsAdded || [], message.pelletsRemoved || []);
+        }
+        this.snapshotBuffer.push(message, performance.now() / 1000);
+        if (!this.unreconciledSnapshot || message.tick > this.unreconciledSnapshot.tick) {
+          this.unreconciledSnapshot = message;
+        }
+        break;
+      case MESSAGE.DEATH:
+        log.info('💀 Killed by', message.killer || message.cause);
+        if (this.onDeath) this.onDeath(message);
+        break;
+      case MESSAGE.ERROR:
+        log.error('🌐 Server error:', message.message);
+        break;
+    }
+  }
+
+  // Called once per frame: predict our snake, reconcile with the server and interpolate everyone else
+  update(deltaTime, direction, boost) {
+    const tickDelta = 1 / this.tickRate;
+
+    const snapshot = this.unreconciledSnapshot;
+    if (snapshot) {
+      this.unreconciledSnapshot = null;
+      this.lastAppliedTick = snapshot.tick;
+      this.reconcileLocalSnake(snapshot, tickDelta);
+    }
+
+    // Step our snake at the server's tick rate so both sides run identical physics
+    if (this.predictor && this.predictor.snake.isAlive) {
+      this.tickAccumulator += deltaTime;
+      let steps = 0;
+      while (this.tickAccumulator >= tickDelta && steps < 5) {
+        this.tickAccumulator -= tickDelta;
+        steps++;
+
+        const input = { seq: ++this.inputSeq, direction, boost };
+        this.sendInput(input);
+        this.predictor.step(tickDelta, input);
+      }
+      // Don't try to catch up after a long stall (tab in background)
+      if (steps === 5) this.tickAccumulator = 0;
+    }
+
+    this.interpolateRemoteSnakes();
+  }
+
+  reconcileLocalSnake(snapshot, tickDelta) {
+    const state = snapshot.snakes.find(snake => snake.id === this.playerId);
+
+    if (!state) {
+      // Not in the world - we're dead (or waiting to respawn)
+      if (this.predictor) this.predictor.snake.isAlive = false;
+      return;
+    }
+
+    const ackSeq = (snapshot.acks && snapshot.acks[this.playerId]) || 0;
+
+    if (!this.predictor || !this.predictor.snake.isAlive) {
+      // (Re)spawned - start predicting from the server's state
+      this.predictor = new LocalPredictor(state, this.boundary);
+      this.tickAccumulator = 0;
+      return;
+    }
+
+    this.predictor.reconcile(state, ackSeq, tickDelta);
+  }
+
+  interpolateRemoteSnakes() {
+    this.renderTime = this.snapshotBuffer.getRenderTime(performance.now() / 1000);
+    const pair = this.snapshotBuffer.getInterpolationPair(this.renderTime);
+    if (!pair) return;
+
+    const fromStates = new Map(pair.from.snakes.map(state => [state.id, state]));
+    const seen = new Set();
+
+    for (const toState of pair.to.snakes) {
+      if (toState.id === this.playerId) continue;
+      seen.add(toState.id);
+
+      // Snakes that only just spawned have nothing to interpolate from
+      const fromState = fromStates.get(toState.id) || toState;
+      const state = interpolateSnakeState(fromState, toState, pair.t, this.boundary);
+
+      let snake = this.snakes.get(toState.id);
+      if (!snake) {
+        snake = new Snake(state.x, state.y, state.angle);
+        this.snakes.set(toState.id, snake);
+      }
+      applySnakeState(snake, state);
+    }
+
+    for (const id of this.snakes.keys()) {
+      if (!seen.has(id)) this.snakes.delete(id);
+    }
+  }
+
+  getSnapshotBufferDepth() {
+    return this.snapshotBuffer.getDepth(this.renderTime);
+  }
+
+  applyPellets(pelletStates) {
+    // Reuse existing Pellet objects so their pulse animation doesn't restart
+    const existing = new Map(this.pelletManager.pellets.map(pellet => [pellet.id, pellet]));
+    const pellets = [];
+
+    for (const state of pelletStates) {
+      pellets.push(existing.get(state[0]) || this.createPellet(state));
+    }
+
+    this.pelletManager.setPellets(pellets);
+  }
+
+  applyPelletChanges(added, removed) {
+    this.pelletManager.removePellets(removed);
+    for (const state of added) {
+      this.pelletManager.addPellet(this.createPellet(state));
+    }
+  }
+
+  // [id, x, y, value, tokenValue, kind] (see serializePellet) -> a Pellet of the right kind
+  createPellet([id, x, y, value, tokenValue, kind]) {
+    let pellet;
+    if (tokenValue > 0) {
+      pellet = new TokenPellet(x, y, tokenValue, value);
+    } else if (kind === PELLET_KIND.SHED) {
+      pellet = new ShedPellet(x, y, value);
+    } else {
+      pellet = new Pellet(x, y, value);
+    }
+    pellet.id = id;
+    return pellet;
+  }
+
+  sendInput(input) {
+    if (!this.connected) return;
+
+    this.socket.send(encodeMessage(MESSAGE.INPUT, {
+      seq: input.seq,
+      dir: { x: input.direction.x, y: input.direction.y },
+      boost: input.boost
+    }));
+  }
+
+  requestRespawn() {
+    if (!this.connected) return;
+    this.socket.send(encodeMessage(MESSAGE.RESPAWN));
+  }
+
+  disconnect() {
+    if (this.socket) {
+      this.connected = false;
+      this.socket.close();
+      this.socket = null;
+    }
+  }
+
+  getLocalSnake() {
+    return this.predictor ? this.predictor.snake : null;
+  }
+
+  getSnakes() {
+    const snakes = Array.from(this.snakes.values());
+    const local = this.getLocalSnake();
+    return local && local.isAlive ? [local, ...snakes] : snakes;
+  }
+}
@@ -1,11 +1,28 @@
 // File: src/pellets.js
 import { CONFIG } from './config.js';
 import { Vector2D, Random } from './utils.js';
+import { SpatialHash } from './spatial.js';
+import { WorldBoundary } from './boundary.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('physics');
+
+// Stable ids let network clients match pellets between snapshots
+let nextPelletId = 1;
+
+export const PELLET_KIND = {
+  FOOD: 'food',   // Growth only - respawns elsewhere when eaten
+  TOKEN: 'token', // Crypto value from a death - gone for good once picked up
+  SHED: 'shed'    // Length burned by boosting - gone once eaten or faded
+};
 
 export class Pellet {
   constructor(x, y, value = 0.5, color = '#ffaa00') {
+    this.id = nextPelletId++;
+    this.kind = PELLET_KIND.FOOD;
     this.position = new Vector2D(x, y);
     this.value = value;
+    this.tokenValue = 0; // Crypto value - only token pellets carry any
     this.color = color;
     this.baseRadius = 4 + Math.sqrt(value) * 2;
     this.radius = this.baseRadius;
@@ -63,13 +80,96 @@ export class Pellet {
   }
 }
 
+// NEW: A small pellet dropped from a boosting snake's tail - fades after CONFIG.BOOST.DROP_LIFETIME
+export class ShedPellet extends Pellet {
+  constructor(x, y, value = CONFIG.BOOST.DROP_PELLET_VALUE) {
+    super(x, y, value, CONFIG.BOOST.DROP_COLOR);
+    this.kind = PELLET_KIND.SHED;
+    this.age = 0;
+  }
+  
+  update(deltaTime) {
+    if (this.isCollected) return;
+    
+    this.age += deltaTime;
+    const remaining = CONFIG.BOOST.DROP_LIFETIME - this.age;
+    if (remaining <= 0) {
+      this.collect();
+      return;
+    }
+    
+    // Pulse like food, shrinking away over the last second
+    this.pulseTime += deltaTime * 3;
+    this.radius = (this.baseRadius + Math.sin(this.pulseTime)) * Math.min(1, remaining);
+  }
+}
+
+// NEW: A gold coin worth tokens (Snake.value) instead of - or as well as - length
+export class TokenPellet extends Pellet {
+  constructor(x, y, tokenValue, growthValue = CONFIG.TOKEN_PELLETS.GROWTH_VALUE) {
+    super(x, y, growthValue, CONFIG.TOKEN_PELLETS.COLOR);
+    this.kind = PELLET_KIND.TOKEN;
+    this.tokenValue = tokenValue;
+    // Bigger drops make bigger coins
+    this.baseRadius = 6 + Math.min(6, Math.sqrt(tokenValue) * 3);
+    this.radius = this.baseRadius;
+  }
+  
+  update(deltaTime) {
+    if (this.isCollected) return;
+    
+    // Slower, wider pulse than food so coins stand out
+    this.pulseTime += deltaTime * 2;
+    this.radius = this.baseRadius + Math.sin(this.pulseTime) * 2;
+  }
+  
+  draw(ctx, camera) {
+    if (this.isCollected) return;
+    
+    const { x, y } = this.position;
+    
+    // Wide golden glow
+    const gradient = ctx.createRadialGradient(x, y, 0, x, y, this.radius * 3);
+    gradient.addColorStop(0, this.color + 'cc');
+    gradient.addColorStop(0.5, this.color + '40');
+    gradient.addColorStop(1, this.color + '00');
+    ctx.fillStyle = gradient;
+    ctx.beginPath();
+    ctx.arc(x, y, this.radius * 3, 0, Math.PI * 2);
+    ctx.fill();
+    
+    // Coin face, squashed as it "spins"
+    const spin = Math.abs(Math.cos(this.pulseTime * 0.75)) * 0.6 + 0.4;
+    ctx.save();
+    ctx.translate(x, y);
+    ctx.scale(spin, 1);
+    
+    ctx.fillStyle = this.color;
+    ctx.beginPath();
+    ctx.arc(0, 0, this.radius, 0, Math.PI * 2);
+    ctx.fill();
+    
+    ctx.strokeStyle = '#b8860b';
+    ctx.lineWidth = Math.max(1, this.radius * 0.2);
+    ctx.beginPath();
+    ctx.arc(0, 0, this.radius * 0.7, 0, Math.PI * 2);
+    ctx.stroke();
+    
+    ctx.restore();
+  }
+}
+
 export class PelletManager {
-  constructor(worldWidth, worldHeight, pelletCount = CONFIG.WORLD.PELLET_COUNT) {
+  constructor(worldWidth, worldHeight, pelletCount = CONFIG.WORLD.PELLET_COUNT, boundary = new WorldBoundary(worldWidth, worldHeight)) {
     this.pellets = [];
     this.worldWidth = worldWidth;
     this.worldHeight = worldHeight;
+    this.boundary = boundary; // NEW: Where food may spawn (round arenas, wrap-around worlds)
     this.targetPelletCount = pelletCount;
     
+    // NEW: Spatial index - kept in sync as pellets spawn and get collected
+    this.spatialIndex = new SpatialHash(CONFIG.WORLD.SPATIAL_CELL_SIZE);
+    
     this.generateInitialPellets();
   }
   
@@ -80,9 +180,46 @@ export class PelletManager {
   }
   
   spawnRandomPellet() {
-    const position = Random.vector(50, this.worldWidth - 50, 50, this.worldHeight - 50);
+    const position = this.boundary.randomPoint(50);
     const pellet = new Pellet(position.x, position.y);
+    this.addPellet(pellet);
+  }
+  
+  addPellet(pellet) {
     this.pellets.push(pellet);
+    this.spatialIndex.insert(pellet, pellet.position.x, pellet.position.y);
+  }
+  
+  // NEW: Drop pellets by id (network snapshots send removals, not the full list)
+  removePellets(ids) {
+    if (ids.length === 0) return;
+    const removed = new Set(ids);
+    this.pellets = this.pellets.filter(pellet => {
+      if (!removed.has(pellet.id)) return true;
+      this.spatialIndex.remove(pellet);
+      return false;
+    });
+  }
+  
+  // Replace every pellet at once (network snapshots) and rebuild the index
+  setPellets(pellets) {
+    this.pellets = pellets;
+    this.spatialIndex.clear();
+    for (const pellet of pellets) {
+      this.spatialIndex.insert(pellet, pellet.position.x, pellet.position.y);
+    }
+  }
+  
+  // Uncollected pellets whose centre is within radius of position
+  queryRadius(position, radius) {
+    return this.spatialIndex.queryRadius(position.x, position.y, radius)
+      .filter(pellet => !pellet.isCollected);
+  }
+  
+  // Uncollected pellets inside a world-space rectangle { minX, minY, maxX, maxY }
+  queryRect(bounds) {
+    return this.spatialIndex.queryRect(bounds.minX, bounds.minY, bounds.maxX, bounds.maxY)
+      .filter(pellet => !pellet.isCollected);
   }
   
   update(deltaTime) {
@@ -92,9 +229,14 @@ export class PelletManager {
     }
     
     // Remove collected pellets and spawn new ones
-    const beforeCount = this.pellets.length;
-    this.pellets = this.pellets.filter(pellet => !pellet.isCollected);
-    const removedCount = beforeCount - this.pellets.length;
+    let removedCount = 0;
+    this.pellets = this.pellets.filter(pellet => {
+      if (!pellet.isCollected) return true;
+      this.spatialIndex.remove(pellet);
+      // Only food respawns - token pellets hold a fixed amount of tokens
+      if (pellet.kind === PELLET_KIND.FOOD) removedCount++;
+      return false;
+    });
     
     // Spawn new pellets to replace collected ones
     for (let i = 0; i < removedCount; i++) {
@@ -102,9 +244,10 @@ export class PelletManager {
     }
   }
   
-  draw(ctx, camera) {
-    // Draw ALL pellets - no camera culling (this was the bug fix)
-    for (const pellet of this.pellets) {
+  // viewBounds: world-space rectangle to cull against (null draws everything)
+  draw(ctx, camera, viewBounds = null) {
+    const visible = viewBounds ? this.queryRect(viewBounds) : this.pellets;
+    for (const pellet of visible) {
       pellet.draw(ctx, camera);
     }
   }
@@ -112,8 +255,10 @@ export class PelletManager {
   checkCollisions(snakePosition, collectRadius) {
     const collectedPellets = [];
     
-    for (const pellet of this.pellets) {
-      if (!pellet.isCollected && pellet.checkCollision(snakePosition, collectRadius)) {
+    // Pellet radius pulses, so search a little wider than the largest pellet could need
+    const candidates = this.queryRadius(snakePosition, collectRadius + CONFIG.WORLD.MAX_PELLET_RADIUS);
+    for (const pellet of candidates) {
+      if (pellet.checkCollision(snakePosition, collectRadius)) {
         pellet.collect();
         collectedPellets.push(pellet);
       }
@@ -122,21 +267,81 @@ export class PelletManager {
     return collectedPellets;
   }
   
-  spawnPelletsAlongPath(positions, totalValue) {
+  // Collect every pellet within the snake's pickup radius, grow it and pay out token value
+  collectForSnake(snake) {
+    if (!snake.isAlive) return [];
+    
+    const totalPickupRadius = snake.headRadius + CONFIG.PHYSICS.MAGNET_RADIUS;
+    
+    const collectedPellets = this.queryRadius(snake.position, totalPickupRadius);
+    for (const pellet of collectedPellets) {
+      pellet.collect();
+      if (!snake.isBot) {
+        log.every(1000, 'collect').debug(`✅ COLLECTED PELLET! Distance: ${snake.position.distanceTo(pellet.position).toFixed(1)}`);
+      }
+    }
+    
+    // Grow snake for collected pellets
+    for (const pellet of collectedPellets) {
+      snake.grow(pellet.value);
+      
+      // Token pellets pay out crypto value
+      if (pellet.tokenValue > 0) {
+        snake.addValue(pellet.tokenValue, 'token pellet');
+      }
+    }
+    
+    return collectedPellets;
+  }
+  
+  // NEW: Turn the length a boosting snake burned (Snake.shedLength) into pellets at its tail
+  shedFromTail(snake) {
+    const settings = CONFIG.BOOST;
+    if (snake.shedLength < settings.DROP_PELLET_VALUE) return;
+    
+    const tail = snake.segments.length > 0 ? snake.segments[snake.segments.length - 1].position : snake.position;
+    const scatter = settings.DROP_SCATTER;
+    while (snake.shedLength >= settings.DROP_PELLET_VALUE) {
+      snake.shedLength -= settings.DROP_PELLET_VALUE;
+      const position = this.boundary.normalize(tail.add(Random.vector(-scatter, scatter, -scatter, scatter)));
+      this.addPellet(new ShedPellet(position.x, position.y, settings.DROP_PELLET_VALUE));
+    }
+  }
+  
+  // Drop growth as food along a dead snake's body, and its dropped token share as token pellets
+  spawnPelletsAlongPath(positions, totalValue, totalTokenValue = 0) {
     if (positions.length === 0) return;
     
     const pelletsToSpawn = Math.min(20, Math.max(3, Math.floor(totalValue / 5)));
     const valuePerPellet = totalValue / pelletsToSpawn;
     
     for (let i = 0; i < pelletsToSpawn; i++) {
-      const pathIndex = Math.floor(Math.random() * positions.length);
+      const pathIndex = Random.int(0, positions.length - 1);
       const basePos = positions[pathIndex];
       
       const offset = Random.vector(-20, 20, -20, 20);
-      const position = basePos.add(offset);
+      const position = this.boundary.normalize(basePos.add(offset));
       
       const pellet = new Pellet(position.x, position.y, valuePerPellet, '#ff6600');
-      this.pellets.push(pellet);
+      this.addPellet(pellet);
+    }
+    
+    this.spawnTokenPellets(positions, totalTokenValue);
+  }
+  
+  // NEW: Split tokens into a few coins scattered along the body - every token ends up in a pellet
+  spawnTokenPellets(positions, totalTokenValue) {
+    if (positions.length === 0 || !(totalTokenValue > 0)) return;
+    
+    const settings = CONFIG.TOKEN_PELLETS;
+    const pelletsToSpawn = Math.max(1, Math.min(settings.MAX_PER_DROP, Math.floor(totalTokenValue / settings.MIN_TOKENS)));
+    const tokensPerPellet = totalTokenValue / pelletsToSpawn;
+    const scatter = settings.SCATTER_RADIUS;
+    
+    for (let i = 0; i < pelletsToSpawn; i++) {
+      const basePos = positions[Random.int(0, positions.length - 1)];
+      const position = this.boundary.normalize(basePos.add(Random.vector(-scatter, scatter, -scatter, scatter)));
+      this.addPellet(new TokenPellet(position.x, position.y, tokensPerPellet));
     }
   }
 }
\ No newline at end of file
@@ -0,0 +1,66 @@
+// File: src/protocol.js - Messages shared by the multiplayer server and browser client
+// Everything is plain JSON so it can be read straight out of the devtools network tab.
+
+export const MESSAGE = {
+  // Client -> server
+  JOIN: 'join',          // { name, skin }
+  INPUT: 'input',        // { seq, dir: {x, y}, boost } - one per server tick
+  RESPAWN: 'respawn',    // {}
+
+  // Server -> client
+  WELCOME: 'welcome',    // { id, world: {width, height}, tickRate, snapshotRate }
+  SNAPSHOT: 'snapshot',  // { tick, acks: {playerId: lastInputSeq}, snakes: [...], pelletsAdded: [...], pelletsRemoved: [id...] }
+                         // - a client's first snapshot carries every pellet as pellets: [...] instead
+  DEATH: 'death',        // { killer, cause }
+  ERROR: 'error'         // { message }
+};
+
+// One decimal place is plenty for positions and halves the payload
+const round = (n) => Math.round(n * 10) / 10;
+
+export function serializeSnake(id, snake) {
+  const segments = new Array(snake.segments.length * 2);
+  for (let i = 0; i < snake.segments.length; i++) {
+    segments[i * 2] = round(snake.segments[i].position.x);
+    segments[i * 2 + 1] = round(snake.segments[i].position.y);
+  }
+
+  return {
+    id,
+    name: snake.name,
+    isBot: snake.isBot,
+    x: round(snake.position.x),
+    y: round(snake.position.y),
+    angle: Math.round(snake.angle * 1000) / 1000,
+    length: round(snake.length),
+    speed: round(snake.speed),
+    value: snake.value,
+    kills: snake.kills,
+    boosting: snake.isBoosting,
+    burned: round(snake.lengthBurned),
+    skin: snake.skin,
+    color: snake.color,
+    bodyColor: snake.bodyColor,
+    headRadius: round(snake.headRadius),
+    bodyRadius: round(snake.bodyRadius),
+    segments
+  };
+}
+
+// Pellets are sent as compact tuples: [id, x, y, value, tokenValue, kind]
+export function serializePellet(pellet) {
+  return [pellet.id, round(pellet.position.x), round(pellet.position.y), pellet.value, pellet.tokenValue, pellet.kind];
+}
+
+export function encodeMessage(type, payload = {}) {
+  return JSON.stringify({ type, ...payload });
+}
+
+export function decodeMessage(data) {
+  try {
+    const message = JSON.parse(data);
+    return message && typeof message.type === 'string' ? message : null;
+  } catch (error) {
+    return null;
+  }
+}
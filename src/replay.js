@@ -0,0 +1,276 @@
+// File: src/replay.js - Match recording and playback
+// A recording is the World's construction options (seed included) plus every command and
+// input change, tick by tick. Playing it back re-runs the same World, so the file stays tiny
+// and everything - pellets, bots, kills - comes out identical.
+import { CONFIG } from './config.js';
+import { World } from './world.js';
+import { Vector2D } from './utils.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('game');
+
+export const REPLAY_VERSION = 1;
+
+// Config sections that change how a match plays out - a replay recorded under different
+// values will drift, so they travel with the file and get compared on load
+const RULE_SECTIONS = ['KILL_SPLIT', 'COMBAT', 'PHYSICS', 'SNAKE', 'BOOST', 'WORLD', 'BOTS'];
+
+// Steering is stored as an angle in milliradians. The recorder hands the quantized input
+// back so the live game simulates exactly what the replay will.
+function quantizeAngle(direction) {
+  if (!direction) return null;
+  return Math.round(Math.atan2(direction.y, direction.x) * 1000);
+}
+
+function directionFromAngle(angle) {
+  return angle === null ? null : Vector2D.fromAngle(angle / 1000);
+}
+
+function snapshotRules() {
+  const rules = {};
+  for (const section of RULE_SECTIONS) {
+    rules[section] = CONFIG[section];
+  }
+  return JSON.parse(JSON.stringify(rules));
+}
+
+export class ReplayRecorder {
+  // Attach straight after creating the World - anything that happened before is lost
+  constructor(world, options = {}) {
+    this.world = world;
+    this.startedAt = new Date().toISOString();
+    this.localPlayerId = options.localPlayerId ?? null;
+    this.tickRate = options.tickRate ?? CONFIG.SIMULATION.TICK_RATE;
+    this.worldOptions = world.getOptions();
+    this.rules = snapshotRules();
+    this.drift = null; // Why the match stopped matching its inputs (debug keys, tuning) - null while it does
+
+    // [tick, 'spawn', id, options] | [tick, 'remove', id] | [tick, 'bots', [[x, y], ...]]
+    this.commands = [];
+    // [tick, id, angle, boost] - only written when a player's input changes
+    this.inputs = [];
+    this.lastInputs = new Map(); // id -> 'angle|boost' of the last entry written
+
+    this.unsubscribers = [
+      world.events.on('spawn', ({ id, options }) => {
+        this.commands.push([world.tick, 'spawn', id, { ...options }]);
+        // A respawned snake starts from the default input - make sure the next one is written
+        this.lastInputs.delete(id);
+      }),
+      world.events.on('remove', ({ id }) => {
+        this.commands.push([world.tick, 'remove', id]);
+        this.lastInputs.delete(id);
+      }),
+      world.events.on('bots', ({ avoidPositions }) => {
+        this.commands.push([world.tick, 'bots', avoidPositions.map(p => [p.x, p.y])]);
+      })
+    ];
+  }
+
+  // inputs: { [playerId]: { direction, boost } } for the step about to run.
+  // Returns the quantized inputs - pass THOSE to world.step()
+  recordStep(inputs) {
+    const tick = this.world.tick + 1;
+    const quantized = {};
+
+    for (const [id, input] of Object.entries(inputs)) {
+      const angle = quantizeAngle(input.direction);
+      const boost = input.boost === true;
+      quantized[id] = { direction: directionFromAngle(angle), boost };
+
+      const key = `${angle}|${boost}`;
+      if (this.lastInputs.get(id) !== key) {
+        this.lastInputs.set(id, key);
+        this.inputs.push([tick, id, angle, boost ? 1 : 0]);
+      }
+    }
+
+    return quantized;
+  }
+
+  get tickCount() {
+    return this.world.tick;
+  }
+
+  toJSON() {
+    return {
+      version: REPLAY_VERSION,
+      startedAt: this.startedAt,
+      tickRate: this.tickRate,
+      endTick: this.world.tick,
+      localPlayerId: this.localPlayerId,
+      world: this.worldOptions,
+      rules: this.rules,
+      drift: this.drift,
+      commands: this.commands,
+      inputs: this.inputs
+    };
+  }
+
+  // Something outside the recorded inputs changed the match - only the first reason is kept
+  markDrift(reason) {
+    if (this.drift === null) this.drift = reason;
+  }
+
+  serialize() {
+    return JSON.stringify(this.toJSON());
+  }
+
+  dispose() {
+    for (const unsubscribe of this.unsubscribers) unsubscribe();
+    this.unsubscribers = [];
+  }
+}
+
+export class ReplayPlayer {
+  constructor(recording) {
+    if (!recording || recording.version !== REPLAY_VERSION) {
+      throw new Error(`Unsupported replay version: ${recording ? recording.version : 'none'}`);
+    }
+
+    this.recording = recording;
+    this.tickRate = recording.tickRate;
+    this.endTick = recording.endTick;
+    this.warnings = this.compareRules(recording.rules || {});
+    if (recording.drift) {
+      this.warnings.push(`${recording.drift} during the match - playback will drift`);
+      log.warn('🎬', this.warnings[this.warnings.length - 1]);
+    }
+    this.seekTarget = null;
+
+    this.reset();
+  }
+
+  static parse(text) {
+    let recording;
+    try {
+      recording = JSON.parse(text);
+    } catch (error) {
+      throw new Error('Replay file is not valid JSON');
+    }
+    return new ReplayPlayer(recording);
+  }
+
+  // Config sections that differ from the ones the match was recorded with
+  compareRules(rules) {
+    const current = snapshotRules();
+    const warnings = [];
+    for (const section of RULE_SECTIONS) {
+      if (rules[section] && JSON.stringify(rules[section]) !== JSON.stringify(current[section])) {
+        warnings.push(`CONFIG.${section} differs from the recording - playback may drift`);
+      }
+    }
+    for (const warning of warnings) {
+      log.warn('🎬', warning);
+    }
+    return warnings;
+  }
+
+  // Rebuild the World from scratch - the only way to go backwards
+  reset() {
+    this.world = new World(this.recording.world);
+    this.commandIndex = 0;
+    this.inputIndex = 0;
+    this.applyCommands();
+  }
+
+  get tick() {
+    return this.world.tick;
+  }
+
+  get isFinished() {
+    return this.world.tick >= this.endTick;
+  }
+
+  get isSeeking() {
+    return this.seekTarget !== null;
+  }
+
+  // Commands recorded at the current tick run before the next step, exactly as they did live
+  applyCommands() {
+    const commands = this.recording.commands;
+    while (this.commandIndex < commands.length && commands[this.commandIndex][0] <= this.world.tick) {
+      const [, type, ...args] = commands[this.commandIndex++];
+
+      switch (type) {
+        case 'spawn':
+          this.world.addPlayer(args[0], args[1]);
+          break;
+        case 'remove':
+          this.world.removePlayer(args[0]);
+          break;
+        case 'bots':
+          this.world.spawnBots(args[0].map(([x, y]) => new Vector2D(x, y)));
+          break;
+      }
+    }
+  }
+
+  // Advance one recorded tick. Returns false once the recording has run out
+  step() {
+    if (this.isFinished) return false;
+
+    const tick = this.world.tick + 1;
+    const inputs = {};
+    const entries = this.recording.inputs;
+    while (this.inputIndex < entries.length && entries[this.inputIndex][0] <= tick) {
+      const [, id, angle, boost] = entries[this.inputIndex++];
+      inputs[id] = { direction: directionFromAngle(angle), boost: boost === 1 };
+    }
+
+    this.world.step(inputs, 1 / this.tickRate);
+    this.applyCommands();
+    return true;
+  }
+
+  // Jump to a tick. Going backwards replays from the start, so large jumps are spread
+  // over several frames by processSeek()
+  seek(tick) {
+    const target = Math.max(0, Math.min(Math.round(tick), this.endTick));
+    if (target < this.world.tick) {
+      this.reset();
+    }
+    this.seekTarget = target;
+  }
+
+  // Fast-forward towards the seek target for at most budgetMs. Returns true while still seeking
+  processSeek(budgetMs = 12) {
+    if (this.seekTarget === null) return false;
+
+    const deadline = performance.now() + budgetMs;
+    while (this.world.tick < this.seekTarget && performance.now() < deadline) {
+      this.step();
+    }
+
+    if (this.world.tick >= this.seekTarget) {
+      this.seekTarget = null;
+    }
+    return this.seekTarget !== null;
+  }
+
+  getSeekProgress() {
+    if (this.seekTarget === null || this.seekTarget === 0) return 1;
+    return this.world.tick / this.seekTarget;
+  }
+
+  // Snake to follow for a player or bot id - null if it isn't alive right now
+  findSnake(id) {
+    const player = this.world.getPlayer(id);
+    if (player) return player;
+    const bot = this.world.botManager.bots.find(bot => bot.id === id);
+    return bot ? bot.snake : null;
+  }
+}
+
+// Browser only: save a recording as a .json download
+export function downloadRecording(recording, filename = `solsnake-replay-${Date.now()}.json`) {
+  const blob = new Blob([JSON.stringify(recording)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
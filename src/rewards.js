@@ -0,0 +1,337 @@
+// File: src/rewards.js - Per-wallet reward ledger and the claim payout (treasury -> player)
+// RewardTracker credits the local player's earnings to the ledger as they happen, RewardManager
+// pays out whatever is unclaimed. Entries are locked to a claim before anything is signed and the
+// claim's signature is stored before it is sent, so a claim survives the tab closing halfway.
+//
+// The treasury key never reaches the browser: in 'rpc' mode the claim service (server/claims.js)
+// co-signs each claim and refuses any entry id it has already paid, so clearing the ledger or
+// claiming from a second browser can't pay the same rewards twice.
+import { CONFIG } from './config.js';
+import { withTimeout, toBaseUnits, decodeBase58 } from './solana.js';
+import { getLeaderboardUrl } from './leaderboard.js';
+import { getStorage } from './utils.js';
+import { MockTreasurySigner } from './solana-mock.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('economy');
+
+export const REWARD_KIND = {
+  KILL: 'kill',   // Killer share of a victim's bounty - banked the moment the kill happens
+  VALUE: 'value'  // The rest of a life's Snake.value (token pellets) - banked if the life ends alive
+};
+
+export const CLAIM_STATUS = {
+  PREPARING: 'preparing', // Entries locked, nothing sent yet
+  SENT: 'sent',           // Signature recorded - the transaction may land at any moment
+  CONFIRMED: 'confirmed'  // Paid out
+};
+
+// Ledger amounts are tokens; keep float noise out of balances and claims
+const roundTokens = (amount) => Math.round(amount * 1e6) / 1e6;
+
+export class RewardLedger {
+  constructor(storage = getStorage()) {
+    this.storage = storage;
+  }
+
+  key(account) {
+    return `${CONFIG.REWARDS.STORAGE_KEY}.${account}`;
+  }
+
+  // Always read fresh from storage so two open tabs don't work from stale copies
+  load(account) {
+    const raw = this.storage.getItem(this.key(account));
+    return raw ? JSON.parse(raw) : { entries: [], claims: [] };
+  }
+
+  save(account, state) {
+    this.storage.setItem(this.key(account), JSON.stringify(state));
+  }
+
+  // Credit a reward. Ids are unique per reward, so crediting the same one twice is a no-op
+  accrue(account, id, kind, amount) {
+    if (!(amount > 0)) return false;
+
+    const state = this.load(account);
+    if (state.entries.some(entry => entry.id === id)) return false;
+
+    state.entries.push({ id, kind, amount: roundTokens(amount), at: Date.now(), claimId: null });
+    this.save(account, state);
+    log.debug(`🏦 Reward +${roundTokens(amount)} (${kind}) for ${account}`);
+    return true;
+  }
+
+  getBalances(account) {
+    const state = this.load(account);
+    const confirmedClaims = new Set(state.claims.filter(claim => claim.status === CLAIM_STATUS.CONFIRMED).map(claim => claim.id));
+    const balances = { unclaimed: 0, killRewards: 0, valueRewards: 0, pending: 0, claimed: 0 };
+
+    for (const entry of state.entries) {
+      if (entry.claimId === null) {
+        balances.unclaimed += entry.amount;
+        if (entry.kind === REWARD_KIND.KILL) balances.killRewards += entry.amount;
+        else balances.valueRewards += entry.amount;
+      } else if (confirmedClaims.has(entry.claimId)) {
+        balances.claimed += entry.amount;
+      } else {
+        balances.pending += entry.amount;
+      }
+    }
+
+    for (const key of Object.keys(balances)) balances[key] = roundTokens(balances[key]);
+    return balances;
+  }
+
+  // The claim that hasn't been confirmed yet, if any - there is never more than one
+  getOpenClaim(account) {
+    return this.load(account).claims.find(claim => claim.status !== CLAIM_STATUS.CONFIRMED) || null;
+  }
+
+  // Lock the oldest unclaimed entries (up to maxEntries) to a new claim
+  beginClaim(account, claimId, maxEntries = CONFIG.REWARDS.MAX_CLAIM_ENTRIES) {
+    const state = this.load(account);
+    if (state.claims.some(claim => claim.status !== CLAIM_STATUS.CONFIRMED)) {
+      throw new Error('Another claim is still open');
+    }
+
+    const entries = state.entries.filter(entry => entry.claimId === null).slice(0, maxEntries);
+    for (const entry of entries) entry.claimId = claimId;
+
+    const claim = {
+      id: claimId,
+      amount: roundTokens(entries.reduce((sum, entry) => sum + entry.amount, 0)),
+      status: CLAIM_STATUS.PREPARING,
+      signature: null,
+      context: null,
+      at: Date.now()
+    };
+    state.claims.push(claim);
+    this.save(account, state);
+    return claim;
+  }
+
+  // What a claim pays for: [{ id, amount }]
+  getClaimEntries(account, claimId) {
+    return this.load(account).entries
+      .filter(entry => entry.claimId === claimId)
+      .map(({ id, amount }) => ({ id, amount }));
+  }
+
+  updateClaim(account, claimId, changes) {
+    const state = this.load(account);
+    const claim = state.claims.find(candidate => candidate.id === claimId);
+    if (!claim) throw new Error(`Unknown claim ${claimId}`);
+
+    Object.assign(claim, changes);
+    this.save(account, state);
+    return claim;
+  }
+
+  completeClaim(account, claimId) {
+    return this.updateClaim(account, claimId, { status: CLAIM_STATUS.CONFIRMED });
+  }
+
+  // The claim can't land any more - its entries become claimable again
+  releaseClaim(account, claimId) {
+    const state = this.load(account);
+    state.claims = state.claims.filter(claim => claim.id !== claimId);
+    for (const entry of state.entries) {
+      if (entry.claimId === claimId) entry.claimId = null;
+    }
+    this.save(account, state);
+  }
+}
+
+// Credits one life of the local player to the ledger
+export class RewardTracker {
+  constructor(ledger, account, world, snake) {
+    this.ledger = ledger;
+    this.account = account;
+    this.world = world;
+    this.snake = snake;
+
+    this.lifeId = `${world.seed}-${Date.now().toString(36)}`;
+    this.killShares = 0;
+    this.finished = false;
+    this.unsubscribe = world.events.on('kill', kill => this.onKill(kill));
+  }
+
+  onKill(kill) {
+    if (kill.killer === this.snake && kill.killerShare > 0) {
+      this.killShares += kill.killerShare;
+      this.ledger.accrue(this.account, `kill:${this.lifeId}:${this.world.tick}:${kill.victim.id}`, REWARD_KIND.KILL, kill.killerShare);
+    }
+
+    if (kill.victim === this.snake) {
+      this.finish();
+    }
+  }
+
+  // End of the life. A snake that died already lost its value to its bounty;
+  // one that is still alive (restart, leaving the match) banks the rest of it
+  finish() {
+    if (this.finished) return;
+    this.finished = true;
+    this.unsubscribe();
+
+    if (this.snake.isAlive) {
+      this.ledger.accrue(this.account, `value:${this.lifeId}`, REWARD_KIND.VALUE, this.snake.value - this.killShares);
+    }
+  }
+}
+
+// The claim service runs on the game server, next to the leaderboard
+export function getClaimUrl() {
+  return CONFIG.REWARDS.CLAIM_URL || getLeaderboardUrl();
+}
+
+// Has the claim service sign as the treasury. It checks the transaction pays exactly the
+// claimed entries to this player and refuses entries it has paid before
+export class ServerTreasurySigner {
+  constructor(web3, baseUrl = getClaimUrl()) {
+    this.publicKey = new web3.PublicKey(CONFIG.TREASURY_ADDRESS);
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+  }
+
+  // claim: { account, claimId, entries: [{ id, amount }] }
+  async signTransaction(transaction, claim) {
+    const message = btoa(String.fromCharCode(...transaction.serializeMessage()));
+    const response = await fetch(`${this.baseUrl}/api/claims`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ...claim, message })
+    });
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(body.error || `Claim service error ${response.status}`);
+    }
+
+    transaction.addSignature(this.publicKey, decodeBase58(body.signature));
+    return transaction;
+  }
+}
+
+export class RewardManager {
+  // chain/wallet: the buy-in's (see solana.js), treasurySigner: null when claims aren't possible
+  constructor(ledger, chain, wallet, treasurySigner) {
+    this.ledger = ledger;
+    this.chain = chain;
+    this.wallet = wallet;
+    this.treasurySigner = treasurySigner;
+
+    this.isClaiming = false;
+    this.lastSignature = null;
+
+    // Callbacks
+    this.onChange = null;
+  }
+
+  get account() {
+    return this.wallet.publicKey ? this.wallet.publicKey.toString() : null;
+  }
+
+  setClaiming(isClaiming) {
+    this.isClaiming = isClaiming;
+    if (this.onChange) this.onChange(this);
+  }
+
+  getBalances() {
+    const account = this.account;
+    return account ? this.ledger.getBalances(account) : null;
+  }
+
+  // Pay out what is unclaimed (up to CONFIG.REWARDS.MAX_CLAIM_ENTRIES entries). Resolves with { signature, amount }
+  async claim() {
+    if (this.isClaiming) throw new Error('A claim is already in progress');
+    if (!this.treasurySigner) throw new Error('Claims are not available here');
+
+    this.setClaiming(true);
+    try {
+      if (!this.account) await this.wallet.connect();
+      const account = this.account;
+
+      // Settle a claim left over from last time before starting a new one
+      const openClaim = this.ledger.getOpenClaim(account);
+      if (openClaim && await this.settleClaim(account, openClaim) === 'pending') {
+        throw new Error('Your previous claim is still waiting for confirmation - try again in a minute');
+      }
+
+      const { unclaimed } = this.ledger.getBalances(account);
+      if (unclaimed < CONFIG.REWARDS.MIN_CLAIM_TOKENS) {
+        throw new Error(`Nothing to claim yet: ${unclaimed} tokens, minimum ${CONFIG.REWARDS.MIN_CLAIM_TOKENS}`);
+      }
+
+      const claim = this.ledger.beginClaim(account, `claim-${Date.now().toString(36)}`);
+      log.info(`🏦 Claiming ${claim.amount} tokens for ${account}`);
+
+      let signed = null;
+      let context = null;
+      try {
+        const { decimals } = await this.chain.getTokenBalance(this.wallet.publicKey);
+        const amount = toBaseUnits(claim.amount, decimals);
+        const built = await this.chain.buildClaimTransaction(this.wallet.publicKey, amount);
+        context = built.context;
+        const entries = this.ledger.getClaimEntries(account, claim.id);
+        const treasurySigned = await this.treasurySigner.signTransaction(built.transaction, { account, claimId: claim.id, entries });
+        signed = await this.wallet.signTransaction(treasurySigned);
+      } catch (error) {
+        // Nothing left this tab - the rewards are claimable again
+        this.ledger.releaseClaim(account, claim.id);
+        throw error;
+      }
+
+      const signature = this.chain.getTransactionSignature(signed);
+      this.ledger.updateClaim(account, claim.id, { status: CLAIM_STATUS.SENT, signature, context });
+      this.lastSignature = signature;
+
+      try {
+        await this.chain.sendTransaction(signed);
+        await withTimeout(this.chain.confirmTransaction(signature, context), CONFIG.BUYIN.CONFIRM_TIMEOUT_MS);
+        this.ledger.completeClaim(account, claim.id);
+      } catch (error) {
+        // It may still have landed - only the chain can say whether the rewards were paid
+        const outcome = await this.settleClaim(account, this.ledger.getOpenClaim(account)).catch(() => 'pending');
+        if (outcome !== 'confirmed') throw error;
+      }
+
+      log.info(`🏦 Claim confirmed: ${claim.amount} tokens (${signature})`);
+      return { signature, amount: claim.amount };
+    } finally {
+      this.setClaiming(false);
+    }
+  }
+
+  // Bring an open claim in line with the chain: 'confirmed', 'released' or 'pending'
+  async settleClaim(account, claim) {
+    if (claim.status === CLAIM_STATUS.PREPARING) {
+      // Never signed and sent
+      this.ledger.releaseClaim(account, claim.id);
+      return 'released';
+    }
+
+    const status = await this.chain.getSignatureStatus(claim.signature, claim.context);
+    if (status === 'confirmed') {
+      this.ledger.completeClaim(account, claim.id);
+      return 'confirmed';
+    }
+    if (status === 'failed') {
+      this.ledger.releaseClaim(account, claim.id);
+      return 'released';
+    }
+    return 'pending';
+  }
+
+  getExplorerUrl() {
+    return this.lastSignature && this.chain.getExplorerUrl ? this.chain.getExplorerUrl(this.lastSignature) : null;
+  }
+}
+
+// Rewards share the buy-in's chain and wallet. Free play (no chain) earns nothing claimable
+export function createRewardManager(buyIn, mode = CONFIG.BUYIN.MODE, ledger = new RewardLedger()) {
+  if (!buyIn.chain) return null;
+
+  const treasurySigner = mode === 'mock'
+    ? new MockTreasurySigner(buyIn.chain.treasuryAddress)
+    : new ServerTreasurySigner(buyIn.chain.web3);
+  return new RewardManager(ledger, buyIn.chain, buyIn.wallet, treasurySigner);
+}
@@ -0,0 +1,197 @@
+// File: src/skins.js - Snake skin registry and the drawing helpers Snake.draw() uses
+// A skin describes the head, the body pattern, how boosting looks and the eyes. Any part left
+// out falls back to the classic skin. Add a skin by calling registerSkin() with a definition -
+// listing its id in CONFIG.UI.SKINS makes it selectable in the options menu.
+import { CONFIG } from './config.js';
+
+const DEFAULT_SKIN_ID = 'classic';
+
+// Body patterns:
+//   'gradient' - one colour, darker near the head and brighter towards the tail
+//   'stripes'  - cycles through `colors`, `stripeWidth` segments each
+//   'hue'      - rainbow that scrolls along the body over time (`hueSpeed` degrees/second)
+// A definition may instead give body.colorAt(index, count, time, snake) for anything else.
+// Colours left null use the snake's own colours (bots set their own palettes).
+const BASE_SKIN = {
+  id: DEFAULT_SKIN_ID,
+  name: 'Classic',
+  preview: 'linear-gradient(45deg, #00ff88, #00cc66)', // CSS background of the options swatch
+  head: {
+    color: null,           // null = snake.color
+    outline: '#ffffff',
+    outlineWidth: 3
+  },
+  body: {
+    pattern: 'gradient',
+    color: null,           // { r, g, b } for 'gradient', null = snake.bodyColor
+    colors: [],            // CSS colours for 'stripes'
+    stripeWidth: 3,
+    hueSpeed: 90,
+    saturation: 100,
+    lightness: 55,
+    outline: '#ffffff',
+    outlineWidth: 1.5,
+    glow: 0,               // Shadow blur in pixels (0 = none)
+    glowColor: null,
+    colorAt: null
+  },
+  boost: {
+    headColor: '#ff4444',
+    pulse: 2,              // Head radius wobble while boosting
+    glow: 0,               // Extra glow around every segment while boosting
+    glowColor: '#ff4444'
+  },
+  eyes: {
+    style: 'pointer',      // 'pointer' (direction line) | 'round' | 'none'
+    color: '#ffffff',
+    pupilColor: '#000000'
+  }
+};
+
+const skins = new Map();
+
+// Merge a definition over the base skin, one part at a time
+export function registerSkin(definition) {
+  if (!definition || typeof definition.id !== 'string' || !definition.id) {
+    throw new Error('A skin needs a string id');
+  }
+
+  const skin = {
+    ...BASE_SKIN,
+    ...definition,
+    head: { ...BASE_SKIN.head, ...definition.head },
+    body: { ...BASE_SKIN.body, ...definition.body },
+    boost: { ...BASE_SKIN.boost, ...definition.boost },
+    eyes: { ...BASE_SKIN.eyes, ...definition.eyes }
+  };
+  skins.set(skin.id, skin);
+  return skin;
+}
+
+export function hasSkin(id) {
+  return skins.has(id);
+}
+
+// Unknown ids (old saves, other clients' custom skins) draw as classic
+export function getSkin(id) {
+  return skins.get(id) || skins.get(DEFAULT_SKIN_ID);
+}
+
+// The selectable skins, in CONFIG.UI.SKINS order
+export function getSelectableSkins() {
+  return CONFIG.UI.SKINS.filter(id => skins.has(id)).map(id => skins.get(id));
+}
+
+export function getDefaultSkinId() {
+  return DEFAULT_SKIN_ID;
+}
+
+function rgb({ r, g, b }, intensity = 1) {
+  return `rgb(${Math.floor(r * intensity)}, ${Math.floor(g * intensity)}, ${Math.floor(b * intensity)})`;
+}
+
+// Fill colour of body segment `index` (1 = just behind the head) out of `count` segments
+export function getBodyColor(skin, snake, index, count, time) {
+  const body = skin.body;
+  if (body.colorAt) return body.colorAt(index, count, time, snake);
+
+  switch (body.pattern) {
+    case 'stripes': {
+      const stripe = Math.floor((index - 1) / body.stripeWidth) % body.colors.length;
+      return body.colors[stripe];
+    }
+    case 'hue': {
+      const hue = (index * 12 + time * body.hueSpeed) % 360;
+      return `hsl(${hue}, ${body.saturation}%, ${body.lightness}%)`;
+    }
+    case 'gradient':
+    default:
+      return rgb(body.color || snake.bodyColor, 0.4 + (index / count) * 0.6);
+  }
+}
+
+export function getHeadColor(skin, snake) {
+  if (snake.isBoosting) return skin.boost.headColor;
+  return skin.head.color || snake.color;
+}
+
+// Glow for the whole body - ctx.shadowBlur is expensive, so skins without glow skip it
+export function applyGlow(ctx, skin, snake) {
+  const boosting = snake.isBoosting && skin.boost.glow > 0;
+  const blur = boosting ? skin.boost.glow : skin.body.glow;
+  if (blur <= 0) return false;
+
+  ctx.shadowBlur = blur;
+  ctx.shadowColor = boosting ? skin.boost.glowColor : (skin.body.glowColor || skin.head.color || snake.color);
+  return true;
+}
+
+export function clearGlow(ctx) {
+  ctx.shadowBlur = 0;
+  ctx.shadowColor = 'transparent';
+}
+
+export function drawEyes(ctx, skin, position, angle, radius) {
+  const eyes = skin.eyes;
+
+  if (eyes.style === 'pointer') {
+    const length = radius * 2.5;
+    ctx.strokeStyle = eyes.color;
+    ctx.lineWidth = 4;
+    ctx.beginPath();
+    ctx.moveTo(position.x, position.y);
+    ctx.lineTo(position.x + Math.cos(angle) * length, position.y + Math.sin(angle) * length);
+    ctx.stroke();
+  } else if (eyes.style === 'round') {
+    // Two eyes either side of the heading, pupils looking forward
+    for (const side of [-1, 1]) {
+      const eyeAngle = angle + side * 0.6;
+      const x = position.x + Math.cos(eyeAngle) * radius * 0.55;
+      const y = position.y + Math.sin(eyeAngle) * radius * 0.55;
+
+      ctx.fillStyle = eyes.color;
+      ctx.beginPath();
+      ctx.arc(x, y, radius * 0.35, 0, Math.PI * 2);
+      ctx.fill();
+
+      ctx.fillStyle = eyes.pupilColor;
+      ctx.beginPath();
+      ctx.arc(x + Math.cos(angle) * radius * 0.12, y + Math.sin(angle) * radius * 0.12, radius * 0.17, 0, Math.PI * 2);
+      ctx.fill();
+    }
+  }
+}
+
+// ---- Built-in skins ----
+
+registerSkin(BASE_SKIN);
+
+registerSkin({
+  id: 'neon',
+  name: 'Neon',
+  preview: 'linear-gradient(45deg, #ff00ff, #00ffff)',
+  head: { color: '#ff00ff', outline: '#00ffff', outlineWidth: 2 },
+  body: { pattern: 'hue', hueSpeed: 120, saturation: 100, lightness: 60, outline: 'rgba(255, 255, 255, 0.6)', outlineWidth: 1, glow: 12, glowColor: '#ff00ff' },
+  boost: { headColor: '#ffffff', pulse: 3, glow: 24, glowColor: '#00ffff' },
+  eyes: { style: 'round', color: '#ffffff', pupilColor: '#ff00ff' }
+});
+
+registerSkin({
+  id: 'gold',
+  name: 'Gold',
+  preview: 'linear-gradient(45deg, #ffd700, #ffaa00)',
+  head: { color: '#ffd700', outline: '#fff4b0', outlineWidth: 3 },
+  body: { pattern: 'gradient', color: { r: 255, g: 190, b: 0 }, outline: '#b8860b', outlineWidth: 1.5, glow: 6, glowColor: '#ffd700' },
+  boost: { headColor: '#ff8800', pulse: 2, glow: 16, glowColor: '#ffaa00' },
+  eyes: { style: 'round', color: '#fff8dc', pupilColor: '#4a3000' }
+});
+
+registerSkin({
+  id: 'zebra',
+  name: 'Zebra',
+  preview: 'repeating-linear-gradient(45deg, #fff, #fff 5px, #000 5px, #000 10px)',
+  head: { color: '#ffffff', outline: '#000000', outlineWidth: 3 },
+  body: { pattern: 'stripes', colors: ['#f2f2f2', '#111111'], stripeWidth: 2, outline: '#777777', outlineWidth: 1 },
+  boost: { headColor: '#ff4444', pulse: 2 },
+  eyes: { style: 'round', color: '#ffffff', pupilColor: '#000000' }
+});
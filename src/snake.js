@@ -1,6 +1,49 @@
 // File: src/snake.js - FIXED VERSION - Proper long snake segment handling
 import { CONFIG } from './config.js';
 import { Vector2D, MathUtils } from './utils.js';
+import { TrailBuffer } from './trail.js';
+import { getSkin, getDefaultSkinId, getBodyColor, getHeadColor, applyGlow, clearGlow, drawEyes } from './skins.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('physics');
+const economyLog = createLogger('economy');
+
+// NEW: Growth curves as plain functions of length - Snake uses them, the tuning panel graphs them
+
+// SIMPLE: VERY gradual decrease from BASE_SPEED to SNAKE.MIN_SPEED
+export function getSpeedForLength(length) {
+  const initialLength = CONFIG.PHYSICS.INITIAL_LENGTH;
+  const baseSpeed = CONFIG.PHYSICS.BASE_SPEED;
+  const { MIN_SPEED, MIN_SPEED_LENGTH } = CONFIG.SNAKE;
+  
+  if (length <= initialLength) {
+    return baseSpeed; // Starting speed
+  } else if (length >= MIN_SPEED_LENGTH) {
+    return MIN_SPEED; // Minimum speed
+  }
+  
+  // Linear interpolation from BASE_SPEED to MIN_SPEED
+  const lengthProgress = (length - initialLength) / (MIN_SPEED_LENGTH - initialLength); // 0 to 1
+  const speedRange = baseSpeed - MIN_SPEED;
+  const speedDecrease = speedRange * lengthProgress;
+  return baseSpeed - speedDecrease;
+}
+
+// Share of PHYSICS.TURN_RATE a snake this long keeps - turn rate penalty for larger snakes
+export function getTurnMultiplierForLength(length) {
+  const lengthDiff = Math.max(0, length - CONFIG.PHYSICS.INITIAL_LENGTH);
+  
+  let turnPenaltyFactor;
+  if (lengthDiff > 1000) {
+    turnPenaltyFactor = 0.8 + Math.log(lengthDiff / 1000) * 0.05;
+  } else if (lengthDiff > 100) {
+    turnPenaltyFactor = 0.4 + Math.log(lengthDiff / 100) * 0.2;
+  } else {
+    turnPenaltyFactor = lengthDiff * 0.004;
+  }
+  
+  return Math.max(CONFIG.SNAKE.MIN_TURN_MULTIPLIER, 1 - turnPenaltyFactor);
+}
 
 export class Snake {
   constructor(startX, startY, startAngle = 0) {
@@ -11,69 +54,73 @@ export class Snake {
     
     // NEW: Separate value system for crypto rewards
     this.value = 0;  // Crypto token value - only from kills/token pellets
+    this.bankedValue = 0; // The kill shares in value - banked when the kill happens, never at stake again
     
     // NEW: Boost system using length
     this.isBoosting = false;
     this.lengthBurned = 0;  // Track total length burned this session
-    this.lastBoostTime = 0; // For calculating length consumption
+    this.shedLength = 0;    // Burned length not yet dropped as pellets (PelletManager.shedFromTail)
+    this.lastBoostTime = 0; // Simulation time (seconds) the current boost started
+    
+    // NEW: Simulation clock - advanced only by update(), never read from the wall clock
+    this.simulationTime = 0;
     
     // NEW: Length decay system for very large snakes
     this.lastDecayTime = 0;
     this.decayAccumulator = 0;
     
     // FIXED: Trail buffer system - much larger buffer for very long snakes
-    this.trail = [];
-    this.maxTrailLength = 5000; // Increased from 1000 - enough for massive snakes
+    this.maxTrailLength = CONFIG.SNAKE.MAX_TRAIL_POINTS; // Enough for massive snakes
     this.maxTrailDistance = 0;  // Track maximum distance we need
+    this.trail = new TrailBuffer(256, this.maxTrailLength); // NEW: Ring buffer, newest point first
     
     // Segments positioned along trail at specific distances
     this.segments = [];
     
+    // NEW: Cached distance of every segment from the head - only depends on length,
+    // so it's rebuilt once when the length changes instead of per segment per frame
+    this.segmentOffsets = new Float64Array(0);
+    this.segmentOffsetsCount = 0;
+    this.segmentOffsetsLength = null;
+    this.segmentPositions = [];
+    
+    // Identity (bots override these)
+    this.id = null;
+    this.name = 'You';
+    this.isBot = false;
+    
     // Visual properties
+    this.skin = getDefaultSkinId(); // NEW: Skin id (see skins.js) - classic uses color/bodyColor below
     this.color = '#00ff88';
-    this.headRadius = 12;
-    this.bodyRadius = 10;
+    this.bodyColor = { r: 0, g: 255, b: 153 }; // Body gradient base colour
+    this.headRadius = CONFIG.SNAKE.HEAD_RADIUS;
+    this.bodyRadius = CONFIG.SNAKE.BODY_RADIUS;
     
     // Game state
     this.isAlive = true;
     this.score = 0; // Keep for compatibility, but value is the main crypto metric
+    this.kills = 0;
     
-    console.log('🐍 Snake created');
+    log.debug('🐍 Snake created');
     
     // Initialize trail and segments
     this.initializeTrailAndSegments();
     
     // SPEED: Calculate based on length - NEVER increases with growth
     this.speed = this.calculateSpeed();
-    console.log(`🐍 Initial speed set: ${this.speed.toFixed(1)} for length ${this.length}`);
+    log.debug(`🐍 Initial speed set: ${this.speed.toFixed(1)} for length ${this.length}`);
   }
   
-  // SIMPLE: Calculate speed with VERY gradual decrease from 120 to 85 over 2000 length
+  // Speed for the current length (see getSpeedForLength)
   calculateSpeed() {
-    const currentLength = this.length;
-    
-    if (currentLength <= 5) {
-      return 120; // Starting speed
-    } else if (currentLength >= 2000) {
-      return 85; // Minimum speed at 2000 length
-    } else {
-      // Linear interpolation from 120 to 85 over length 5 to 2000
-      const lengthProgress = (currentLength - 5) / (2000 - 5); // 0 to 1
-      const speedRange = 120 - 85; // 35 speed difference
-      const speedDecrease = speedRange * lengthProgress;
-      const finalSpeed = 120 - speedDecrease;
-      
-      console.log(`📊 calculateSpeed: Length=${currentLength} -> Progress=${lengthProgress.toFixed(4)} -> Speed=${finalSpeed.toFixed(1)}`);
-      return finalSpeed;
-    }
+    const speed = getSpeedForLength(this.length);
+    log.every(1000, 'speed').debug(`📊 calculateSpeed: Length=${this.length.toFixed(1)} -> Speed=${speed.toFixed(1)}`);
+    return speed;
   }
   
   initializeTrailAndSegments() {
     // Start trail with current position
-    this.trail = [{
-      position: new Vector2D(this.position.x, this.position.y),
-      arcLength: 0
-    }];
+    this.trail.reset(this.position.x, this.position.y);
     
     // FIXED: Calculate proper spacing and ensure we have enough trail
     this.updateMaxTrailDistance();
@@ -90,26 +137,37 @@ export class Snake {
       });
     }
     
-    console.log('🐍 Initialized trail buffer with', this.segments.length, 'segments');
+    log.debug('🐍 Initialized trail buffer with', this.segments.length, 'segments');
   }
   
   // FIXED: Calculate proper segment distance with better scaling
   calculateSegmentDistance(segmentIndex) {
     if (segmentIndex === 0) return 0; // Head is always at distance 0
+    return this.getSegmentOffsets(segmentIndex + 1)[segmentIndex];
+  }
+  
+  // NEW: Distances from the head for the first `count` segments, as one running sum
+  getSegmentOffsets(count) {
+    if (this.segmentOffsetsLength === this.length && this.segmentOffsetsCount >= count) {
+      return this.segmentOffsets;
+    }
     
+    const size = Math.max(count, Math.ceil(this.length) + 1);
+    const offsets = this.segmentOffsets.length >= size ? this.segmentOffsets : new Float64Array(size);
     const baseGap = CONFIG.PHYSICS.SEGMENT_GAP;
     
     // IMPROVED: Better segment spacing that handles very long snakes
     // Use a logarithmic scale for very long snakes to prevent overcrowding
     let cumulativeDistance = 0;
+    offsets[0] = 0;
     
-    for (let i = 1; i <= segmentIndex; i++) {
+    for (let i = 1; i < size; i++) {
       let segmentGap = baseGap;
       
       // Apply spacing adjustments based on snake length
       if (this.length > 500) {
         // For very long snakes, increase spacing more aggressively
-        const lengthFactor = Math.min(3.0, 1.0 + Math.log10(this.length / 100));
+        const lengthFactor = Math.min(CONFIG.SNAKE.MAX_SPACING_MULTIPLIER, 1.0 + Math.log10(this.length / 100));
         segmentGap = baseGap * lengthFactor;
       } else if (this.length > 100) {
         // For long snakes, moderate spacing increase
@@ -119,13 +177,17 @@ export class Snake {
       
       // Also consider segment position - tail segments can be spaced further apart
       if (i > this.length * 0.7) {
-        segmentGap *= 1.2; // Tail segments slightly more spaced
+        segmentGap *= CONFIG.SNAKE.TAIL_SPACING_MULTIPLIER; // Tail segments slightly more spaced
       }
       
       cumulativeDistance += segmentGap;
+      offsets[i] = cumulativeDistance;
     }
     
-    return cumulativeDistance;
+    this.segmentOffsets = offsets;
+    this.segmentOffsetsCount = size;
+    this.segmentOffsetsLength = this.length;
+    return offsets;
   }
   
   // FIXED: Update maximum trail distance needed
@@ -143,6 +205,8 @@ export class Snake {
   update(deltaTime, turnDirection, boost) {
     if (!this.isAlive) return;
     
+    this.simulationTime += deltaTime;
+    
     // NEW: Handle length-based boost system
     this.updateBoostSystem(deltaTime, boost);
     
@@ -161,18 +225,7 @@ export class Snake {
       
       // Turn rate penalty for larger snakes
       const baseTurnRate = CONFIG.PHYSICS.TURN_RATE;
-      const lengthDiff = Math.max(0, this.length - 5);
-      
-      let turnPenaltyFactor;
-      if (lengthDiff > 1000) {
-        turnPenaltyFactor = 0.8 + Math.log(lengthDiff / 1000) * 0.05;
-      } else if (lengthDiff > 100) {
-        turnPenaltyFactor = 0.4 + Math.log(lengthDiff / 100) * 0.2;
-      } else {
-        turnPenaltyFactor = lengthDiff * 0.004;
-      }
-      
-      const turnMultiplier = Math.max(0.1, 1 - turnPenaltyFactor);
+      const turnMultiplier = getTurnMultiplierForLength(this.length);
       const effectiveTurnRate = baseTurnRate * turnMultiplier * deltaTime;
       
       if (Math.abs(angleDiff) <= effectiveTurnRate) {
@@ -198,7 +251,7 @@ export class Snake {
   
   // NEW: Length-based boost system
   updateBoostSystem(deltaTime, wantsToBoost) {
-    const currentTime = performance.now();
+    const currentTime = this.simulationTime;
     
     // Check if we can boost
     const canBoost = this.length > CONFIG.BOOST.MIN_LENGTH_TO_BOOST;
@@ -206,14 +259,14 @@ export class Snake {
     if (wantsToBoost && canBoost && !this.isBoosting) {
       this.isBoosting = true;
       this.lastBoostTime = currentTime;
-      console.log('🚀 Boost started! Length:', this.length);
+      log.debug('🚀 Boost started! Length:', this.length);
     } else if (!wantsToBoost && this.isBoosting) {
       this.isBoosting = false;
-      console.log('🛑 Boost stopped! Remaining length:', this.length);
+      log.debug('🛑 Boost stopped! Remaining length:', this.length);
     } else if (wantsToBoost && !canBoost) {
       if (this.isBoosting) {
         this.isBoosting = false;
-        console.log('🛑 Boost stopped - not enough length!');
+        log.debug('🛑 Boost stopped - not enough length!');
       }
     }
     
@@ -224,11 +277,17 @@ export class Snake {
       
       if (this.length <= CONFIG.BOOST.MIN_LENGTH_TO_BOOST) {
         this.isBoosting = false;
-        console.log('🛑 Boost auto-stopped - length too low!');
+        log.debug('🛑 Boost auto-stopped - length too low!');
       }
     }
   }
   
+  // One body segment per whole unit of length. Small pellets (0.1 each) add up with float
+  // noise - ten of them must make a whole segment, not 0.9999...
+  getSegmentCount() {
+    return Math.floor(this.length + 1e-6);
+  }
+  
   // NEW: Consume length for boosting
   consumeLength(amount) {
     if (amount <= 0) return;
@@ -240,9 +299,10 @@ export class Snake {
     const actualConsumed = oldLength - this.length;
     
     this.lengthBurned += actualConsumed;
+    this.shedLength += actualConsumed * CONFIG.BOOST.DROP_RATIO; // Dropped at the tail by the World
     
     // Remove segments from the tail if we got shorter
-    while (this.segments.length > Math.floor(this.length)) {
+    while (this.segments.length > this.getSegmentCount()) {
       this.segments.pop();
     }
     
@@ -250,116 +310,88 @@ export class Snake {
     const newSpeed = this.calculateSpeed();
     this.speed = newSpeed;
     
-    if (actualConsumed > 0.1) {
-      console.log(`🔥 Length consumed: ${oldLength.toFixed(1)} -> ${this.length.toFixed(1)} | Speed: ${oldSpeed.toFixed(1)} -> ${newSpeed.toFixed(1)}`);
-    }
+    log.every(1000, 'consume').debug(`🔥 Length consumed: ${oldLength.toFixed(1)} -> ${this.length.toFixed(1)} | Speed: ${oldSpeed.toFixed(1)} -> ${newSpeed.toFixed(1)}`);
     
     this.updateVisualSize();
   }
   
-  // FIXED: Better segment positioning along trail
+  // FIXED: Segment positioning in a single walk down the trail (was O(segments x trail))
   updateSegmentsAlongTrail() {
-    // Recalculate all segment distances first
-    for (let i = 0; i < this.segments.length; i++) {
-      const targetDistance = this.calculateSegmentDistance(i);
-      const position = this.getPositionAtDistance(targetDistance);
-      
-      this.segments[i].position = position;
-      this.segments[i].distance = targetDistance;
+    const count = this.segments.length;
+    const offsets = this.getSegmentOffsets(count);
+    const positions = this.segmentPositions;
+    
+    const beyond = this.trail.placeAlong(offsets, count, positions);
+    if (beyond > 0) {
+      log.every(1000, 'beyondTrail').warn(`⚠️ ${beyond} segments beyond trail (trail_end=${this.trail.getArcLength(this.trail.length - 1).toFixed(1)})`);
     }
     
+    for (let i = 0; i < count; i++) {
+      this.segments[i].position = positions[i];
+      this.segments[i].distance = offsets[i];
+    }
+    positions.length = count;
+    
     // Update trail distance tracking
     this.updateMaxTrailDistance();
   }
   
-  // FIXED: Improved trail management
+  // FIXED: Improved trail management - ring buffer, so adding and trimming are O(1)
   addToTrail(newPosition) {
-    const lastTrailPoint = this.trail[0];
-    const distance = lastTrailPoint.position.distanceTo(newPosition);
+    const lastTrailPoint = this.trail.getPoint(0);
+    const distance = lastTrailPoint.distanceTo(newPosition);
     
     // Use a smaller sample rate for more precise trail following
     const minSampleDistance = Math.min(CONFIG.PHYSICS.TRAIL_SAMPLE_RATE, 2.0);
     
     if (distance >= minSampleDistance) {
-      const newArcLength = lastTrailPoint.arcLength + distance;
-      
-      this.trail.unshift({
-        position: new Vector2D(newPosition.x, newPosition.y),
-        arcLength: newArcLength
-      });
+      // Also enforce maximum trail length to prevent memory issues (the buffer drops the oldest point)
+      const truncated = this.trail.push(newPosition.x, newPosition.y);
       
       // FIXED: Keep enough trail for the longest possible distance needed
       const requiredTrailDistance = this.maxTrailDistance + 100; // Extra buffer
       
       // Remove old trail points that are too far behind
-      this.trail = this.trail.filter(point => 
-        newArcLength - point.arcLength <= requiredTrailDistance
-      );
+      this.trail.trim(requiredTrailDistance);
       
-      // Also enforce maximum trail length to prevent memory issues
-      if (this.trail.length > this.maxTrailLength) {
-        this.trail = this.trail.slice(0, this.maxTrailLength);
-        console.log(`⚠️ Trail truncated to ${this.maxTrailLength} points`);
+      if (truncated && this.trail.length >= this.maxTrailLength) {
+        log.every(1000, 'trailTruncated').warn(`⚠️ Trail truncated to ${this.maxTrailLength} points`);
       }
       
       // Debug logging for very long snakes
       if (this.length > 100 && this.length % 50 === 0) {
-        console.log(`🐍 Long snake debug: Length=${this.length}, Trail points=${this.trail.length}, Max distance=${this.maxTrailDistance.toFixed(1)}`);
+        log.every(1000, 'longSnake').debug(`🐍 Long snake debug: Length=${this.length}, Trail points=${this.trail.length}, Max distance=${this.maxTrailDistance.toFixed(1)}`);
       }
     }
   }
   
-  // FIXED: More robust position interpolation
+  // NEW: Put the head somewhere else within the same step (walls) - the body re-follows the trail
+  moveHead(position) {
+    this.position = position;
+    this.trail.setHead(position.x, position.y);
+    this.updateSegmentsAlongTrail();
+  }
+  
+  // NEW: Shift the whole snake at once (wrap-around worlds) - trail, body and render history
+  translate(dx, dy) {
+    const offset = new Vector2D(dx, dy);
+    this.position = this.position.add(offset);
+    this.trail.translate(dx, dy);
+    for (const segment of this.segments) {
+      segment.position = segment.position.add(offset);
+    }
+    if (this.previousPositions) {
+      this.previousPositions = this.previousPositions.map(position => position.add(offset));
+    }
+  }
+  
+  // FIXED: Binary search instead of walking the whole trail
   getPositionAtDistance(targetDistance) {
     if (this.trail.length === 0) {
       return new Vector2D(this.position.x, this.position.y);
     }
     
-    if (this.trail.length === 1) {
-      return this.trail[0].position;
-    }
-    
-    const headArcLength = this.trail[0].arcLength;
-    const actualTargetDistance = headArcLength - targetDistance;
-    
-    // If target is at or beyond the head, return head position
-    if (actualTargetDistance >= headArcLength) {
-      return this.trail[0].position;
-    }
-    
-    // If target is beyond our trail, return the farthest point we have
-    const lastPoint = this.trail[this.trail.length - 1];
-    if (actualTargetDistance <= lastPoint.arcLength) {
-      console.log(`⚠️ Segment beyond trail: target=${actualTargetDistance.toFixed(1)}, trail_end=${lastPoint.arcLength.toFixed(1)}`);
-      return lastPoint.position;
-    }
-    
-    // Find the two trail points that bracket our target distance
-    for (let i = 0; i < this.trail.length - 1; i++) {
-      const currentPoint = this.trail[i];
-      const nextPoint = this.trail[i + 1];
-      
-      if (actualTargetDistance <= currentPoint.arcLength && 
-          actualTargetDistance >= nextPoint.arcLength) {
-        
-        const segmentLength = currentPoint.arcLength - nextPoint.arcLength;
-        
-        if (segmentLength === 0) {
-          return currentPoint.position;
-        }
-        
-        const t = (actualTargetDistance - nextPoint.arcLength) / segmentLength;
-        
-        // Linear interpolation between the two points
-        return new Vector2D(
-          nextPoint.position.x + (currentPoint.position.x - nextPoint.position.x) * t,
-          nextPoint.position.y + (currentPoint.position.y - nextPoint.position.y) * t
-        );
-      }
-    }
-    
-    // Fallback to last point
-    return this.trail[this.trail.length - 1].position;
+    return this.trail.positionAt(targetDistance);
   }
   
   // FIXED: Better growth handling
@@ -370,10 +402,8 @@ export class Snake {
     // ONLY change length - NEVER increase speed
     this.length += amount;
     
-    console.log(`🌟 GROW: ${oldLength} -> ${this.length} (amount: ${amount})`);
-    
-    // Add new segments at the tail
-    for (let i = 0; i < amount; i++) {
+    // Add new segments at the tail - one per whole unit of length, like consumeLength removes them
+    while (this.segments.length < this.getSegmentCount()) {
       const segmentIndex = this.segments.length;
       
       // Calculate proper distance for new segment
@@ -385,8 +415,6 @@ export class Snake {
         distance: distance,
         isHead: false
       });
-      
-      console.log(`🔧 Added segment ${segmentIndex} at distance ${distance.toFixed(1)}`);
     }
     
     // Update trail requirements
@@ -398,44 +426,34 @@ export class Snake {
     const newSpeed = this.calculateSpeed();
     this.speed = newSpeed;
     
-    console.log(`🔄 SPEED CHANGE: ${oldSpeed.toFixed(1)} -> ${newSpeed.toFixed(1)} (length: ${this.length})`);
+    log.debug(`🌟 GROW: ${oldLength.toFixed(1)} -> ${this.length.toFixed(1)} (+${amount}) | Speed: ${oldSpeed.toFixed(1)} -> ${newSpeed.toFixed(1)}`);
   }
   
   // NEW: Length decay system for very large snakes
   updateLengthDecay(deltaTime) {
-    if (this.length <= 50) return;
+    const minLength = CONFIG.SNAKE.DECAY_MIN_LENGTH;
+    if (this.length <= minLength) return;
     
     this.decayAccumulator += deltaTime;
     
-    let decayRate = 0;
-    if (this.length > 1000) {
-      decayRate = 0.5;
-    } else if (this.length > 500) {
-      decayRate = 0.3;
-    } else if (this.length > 200) {
-      decayRate = 0.15;
-    } else if (this.length > 100) {
-      decayRate = 0.08;
-    } else if (this.length > 50) {
-      decayRate = 0.03;
-    }
+    // First [longer than, rate] step the snake is past - the table is sorted longest first
+    const step = CONFIG.SNAKE.DECAY_RATES.find(([length]) => this.length > length);
+    const decayRate = step ? step[1] : 0;
     
     if (this.decayAccumulator >= 1.0) {
       const lengthToLose = decayRate * this.decayAccumulator;
       
       if (lengthToLose > 0) {
         const oldLength = this.length;
-        this.length = Math.max(50, this.length - lengthToLose);
+        this.length = Math.max(minLength, this.length - lengthToLose);
         
-        const segmentsToRemove = Math.floor(oldLength - this.length);
-        for (let i = 0; i < segmentsToRemove; i++) {
-          if (this.segments.length > this.length) {
-            this.segments.pop();
-          }
+        // Same rule as grow() and consumeLength() - one segment per whole unit of length
+        while (this.segments.length > this.getSegmentCount()) {
+          this.segments.pop();
         }
         
         if (lengthToLose > 0.01) {
-          console.log(`🩸 Length decay: ${oldLength.toFixed(1)} -> ${this.length.toFixed(1)}`);
+          log.debug(`🩸 Length decay: ${oldLength.toFixed(1)} -> ${this.length.toFixed(1)}`);
         }
         
         // Recalculate speed after decay
@@ -448,10 +466,18 @@ export class Snake {
     }
   }
   
+  // NEW: CONFIG changed under a live snake (tuning panel) - redo what was worked out from it
+  applyTuning() {
+    this.segmentOffsetsLength = null; // SEGMENT_GAP and spacing multipliers
+    this.speed = this.calculateSpeed();
+    this.updateVisualSize();
+    this.updateSegmentsAlongTrail();
+  }
+  
   // NEW: Add crypto value (from kills, token pellets)
   addValue(amount, reason = "unknown") {
     this.value += amount;
-    console.log(`💰 VALUE INCREASED! +${amount} from ${reason}. Total value: ${this.value}`);
+    economyLog.info(`💰 VALUE INCREASED! +${amount} from ${reason}. Total value: ${this.value}`);
   }
   
   // NEW: Debug function to add length for testing
@@ -461,12 +487,12 @@ export class Snake {
     const oldLength = this.length;
     const oldSpeed = this.speed;
     
-    console.log(`🧪 DEBUG: Adding ${amount} length`);
-    console.log(`🧪 BEFORE: Length=${oldLength}, Speed=${oldSpeed.toFixed(1)}, Segments=${this.segments.length}, Trail points=${this.trail.length}`);
+    log.info(`🧪 DEBUG: Adding ${amount} length`);
+    log.debug(`🧪 BEFORE: Length=${oldLength}, Speed=${oldSpeed.toFixed(1)}, Segments=${this.segments.length}, Trail points=${this.trail.length}`);
     
     this.grow(amount);
     
-    console.log(`🧪 AFTER: Length=${this.length}, Speed=${this.speed.toFixed(1)}, Segments=${this.segments.length}, Trail points=${this.trail.length}`);
+    log.debug(`🧪 AFTER: Length=${this.length}, Speed=${this.speed.toFixed(1)}, Segments=${this.segments.length}, Trail points=${this.trail.length}`);
   }
   
   // NEW: Debug function for big length boost
@@ -474,35 +500,36 @@ export class Snake {
     if (!CONFIG.DEBUG.ENABLE_DEBUG_KEYS) return;
     
     const amount = CONFIG.DEBUG.BIG_LENGTH_BOOST;
-    console.log(`🧪 DEBUG: Adding BIG length boost: ${amount}`);
+    log.info(`🧪 DEBUG: Adding BIG length boost: ${amount}`);
     this.grow(amount);
   }
   
-  // FIXED: Update visual size based on current length - scales to 6x at 2000 length
+  // FIXED: Update visual size based on current length - scales to SNAKE.MAX_SIZE_MULTIPLIER
   updateVisualSize() {
     const currentLength = this.length;
     const initialLength = CONFIG.PHYSICS.INITIAL_LENGTH;
+    const { MAX_SIZE_MULTIPLIER, MAX_SIZE_LENGTH, HEAD_RADIUS, BODY_RADIUS } = CONFIG.SNAKE;
     
-    // More aggressive scaling - from 1.0x to 6.0x over 2000 length
+    // More aggressive scaling - from 1.0x to MAX_SIZE_MULTIPLIER at MAX_SIZE_LENGTH
     let sizeMultiplier;
     
     if (currentLength <= initialLength) {
       sizeMultiplier = 1.0; // Base size for starting length
-    } else if (currentLength >= 2000) {
-      sizeMultiplier = 6.0; // Maximum 6x size at 2000 length
+    } else if (currentLength >= MAX_SIZE_LENGTH) {
+      sizeMultiplier = MAX_SIZE_MULTIPLIER;
     } else {
       // Logarithmic scaling for smooth, progressive growth
-      const lengthProgress = (currentLength - initialLength) / (2000 - initialLength);
+      const lengthProgress = (currentLength - initialLength) / (MAX_SIZE_LENGTH - initialLength);
       const logProgress = Math.log(1 + lengthProgress * 9) / Math.log(10); // 0 to 1 logarithmic curve
-      sizeMultiplier = 1.0 + logProgress * 5.0; // 1.0x to 6.0x (5.0 range)
+      sizeMultiplier = 1.0 + logProgress * (MAX_SIZE_MULTIPLIER - 1.0);
     }
     
-    this.headRadius = 12 * sizeMultiplier;
-    this.bodyRadius = 10 * sizeMultiplier;
+    this.headRadius = HEAD_RADIUS * sizeMultiplier;
+    this.bodyRadius = BODY_RADIUS * sizeMultiplier;
     
     // Debug logging for size changes
     if (currentLength % 50 === 0 && currentLength > initialLength) {
-      console.log(`📏 Size update: Length=${currentLength} -> Multiplier=${sizeMultiplier.toFixed(2)}x (Head: ${this.headRadius.toFixed(1)}, Body: ${this.bodyRadius.toFixed(1)})`);
+      log.debug(`📏 Size update: Length=${currentLength} -> Multiplier=${sizeMultiplier.toFixed(2)}x (Head: ${this.headRadius.toFixed(1)}, Body: ${this.bodyRadius.toFixed(1)})`);
     }
   }
   
@@ -510,7 +537,7 @@ export class Snake {
     if (segmentIndex === 0) {
       return this.headRadius;
     } else {
-      const taperFactor = Math.max(0.7, 1 - (segmentIndex - 1) * 0.03);
+      const taperFactor = Math.max(CONFIG.SNAKE.MIN_TAPER, 1 - (segmentIndex - 1) * CONFIG.SNAKE.TAPER_PER_SEGMENT);
       return this.bodyRadius * taperFactor;
     }
   }
@@ -519,81 +546,101 @@ export class Snake {
     return false;
   }
   
-  checkCollisionWithOtherSnake(otherSnake) {
-    if (!otherSnake.isAlive || otherSnake === this) return false;
+  // FIXED: Returns 'head' for head-on, 'body' when our head hits their body, or null
+  // boundary: optional WorldBoundary - on a torus, distances are measured across the seam
+  checkCollisionWithOtherSnake(otherSnake, boundary = null) {
+    if (!this.isAlive || !otherSnake.isAlive || otherSnake === this) return null;
     
-    for (const segment of otherSnake.bodySegments) {
-      const distance = this.position.distanceTo(segment);
-      if (distance < this.headRadius + otherSnake.bodyRadius) {
-        return true;
-      }
-    }
+    const distanceTo = boundary && boundary.wraps
+      ? (position) => boundary.distance(this.position, position)
+      : (position) => this.position.distanceTo(position);
     
-    const headDistance = this.position.distanceTo(otherSnake.position);
+    // Head-on first - head also overlaps their first body segment in that case
+    const headDistance = distanceTo(otherSnake.position);
     if (headDistance < this.headRadius + otherSnake.headRadius) {
-      return true;
+      return 'head';
     }
     
-    return false;
+    const segments = otherSnake.segments;
+    for (let i = 1; i < segments.length; i++) {
+      const distance = distanceTo(segments[i].position);
+      if (distance < this.headRadius + otherSnake.getSegmentRadius(i)) {
+        return 'body';
+      }
+    }
+    
+    return null;
+  }
+  
+  // NEW: Remember where everything was before a fixed step so draw() can interpolate
+  savePreviousState() {
+    this.previousPositions = this.segments.map(segment => segment.position);
+  }
+  
+  // Position of a segment blended between the previous and current step (alpha 0..1)
+  getRenderPosition(segmentIndex, alpha) {
+    const current = this.segments[segmentIndex].position;
+    const previous = this.previousPositions && this.previousPositions[segmentIndex];
+    if (!previous || alpha >= 1) return current;
+    
+    return new Vector2D(
+      previous.x + (current.x - previous.x) * alpha,
+      previous.y + (current.y - previous.y) * alpha
+    );
   }
   
   die() {
-    console.log('💀 Snake died!');
+    log.info(`💀 ${this.name} died!`);
     this.isAlive = false;
   }
   
-  draw(ctx, camera) {
+  // alpha: how far we are between the last two fixed steps (1 = latest state)
+  // NEW: Colours, patterns, glow and eyes all come from the snake's skin
+  draw(ctx, camera, alpha = 1) {
     if (!this.isAlive) return;
     
+    const skin = getSkin(this.skin);
+    const time = performance.now() / 1000;
+    const glowing = applyGlow(ctx, skin, this);
+    
     for (let i = this.segments.length - 1; i >= 0; i--) {
       const segment = this.segments[i];
+      const position = this.getRenderPosition(i, alpha);
       const radius = this.getSegmentRadius(i);
       
       if (segment.isHead) {
-        const headColor = this.isBoosting ? '#ff4444' : '#00ff88';
-        ctx.fillStyle = headColor;
-        ctx.strokeStyle = '#ffffff';
-        ctx.lineWidth = 3;
+        ctx.fillStyle = getHeadColor(skin, this);
+        ctx.strokeStyle = skin.head.outline;
+        ctx.lineWidth = skin.head.outlineWidth;
         
-        const pulseRadius = this.isBoosting ? radius + Math.sin(performance.now() * 0.01) * 2 : radius;
+        const pulseRadius = this.isBoosting ? radius + Math.sin(time * 10) * skin.boost.pulse : radius;
         
         ctx.beginPath();
-        ctx.arc(segment.position.x, segment.position.y, pulseRadius, 0, Math.PI * 2);
+        ctx.arc(position.x, position.y, pulseRadius, 0, Math.PI * 2);
         ctx.fill();
         ctx.stroke();
         
-        const directionLength = radius * 2.5;
-        const directionEnd = segment.position.add(Vector2D.fromAngle(this.angle, directionLength));
-        
-        ctx.strokeStyle = '#ffffff';
-        ctx.lineWidth = 4;
-        ctx.beginPath();
-        ctx.moveTo(segment.position.x, segment.position.y);
-        ctx.lineTo(directionEnd.x, directionEnd.y);
-        ctx.stroke();
+        drawEyes(ctx, skin, position, this.angle, radius);
         
-        if (this.length <= CONFIG.BOOST.MIN_LENGTH_TO_BOOST + 1) {
+        if (!this.isBot && this.length < CONFIG.BOOST.MIN_LENGTH_TO_BOOST + CONFIG.BOOST.LOW_LENGTH_WARNING) {
           ctx.fillStyle = 'rgba(255, 255, 0, 0.6)';
           ctx.font = '12px monospace';
-          ctx.fillText('LOW LENGTH!', segment.position.x - 30, segment.position.y - radius - 10);
+          ctx.fillText('LOW LENGTH!', position.x - 30, position.y - radius - 10);
         }
         
       } else {
-        const segmentIndex = i;
-        const intensity = 0.4 + (segmentIndex / this.segments.length) * 0.6;
-        const green = Math.floor(255 * intensity);
-        const fillColor = `rgb(0, ${green}, ${Math.floor(green * 0.6)})`;
-        
-        ctx.fillStyle = fillColor;
-        ctx.strokeStyle = '#ffffff';
-        ctx.lineWidth = 1.5;
+        ctx.fillStyle = getBodyColor(skin, this, i, this.segments.length, time);
+        ctx.strokeStyle = skin.body.outline;
+        ctx.lineWidth = skin.body.outlineWidth;
         
         ctx.beginPath();
-        ctx.arc(segment.position.x, segment.position.y, radius, 0, Math.PI * 2);
+        ctx.arc(position.x, position.y, radius, 0, Math.PI * 2);
         ctx.fill();
         ctx.stroke();
       }
     }
+    
+    if (glowing) clearGlow(ctx);
   }
   
   drawTrail(ctx, camera) {
@@ -603,22 +650,21 @@ export class Snake {
     ctx.lineWidth = 3;
     ctx.beginPath();
     
-    for (let i = 0; i < this.trail.length; i++) {
-      const point = this.trail[i];
+    this.trail.forEach((x, y, arcLength, i) => {
       if (i === 0) {
-        ctx.moveTo(point.position.x, point.position.y);
+        ctx.moveTo(x, y);
       } else {
-        ctx.lineTo(point.position.x, point.position.y);
+        ctx.lineTo(x, y);
       }
-    }
+    });
     ctx.stroke();
     
     ctx.fillStyle = 'rgba(255, 255, 0, 0.8)';
-    for (const point of this.trail) {
+    this.trail.forEach((x, y) => {
       ctx.beginPath();
-      ctx.arc(point.position.x, point.position.y, 2, 0, Math.PI * 2);
+      ctx.arc(x, y, 2, 0, Math.PI * 2);
       ctx.fill();
-    }
+    });
   }
   
   get bodySegments() {
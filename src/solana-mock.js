@@ -0,0 +1,164 @@
+// File: src/solana-mock.js - In-memory stand-ins for the chain and wallet used by the buy-in
+// Same interface as SolanaRpcChain / InjectedWallet in solana.js, so the whole buy-in and
+// reward claim flows (balances, signing, sending, confirmation, failures) can run offline or in Node.
+import { CONFIG } from './config.js';
+import { toBaseUnits } from './solana.js';
+
+const MOCK_DECIMALS = 6;
+const MOCK_WALLET_ADDRESS = 'MockP1ayer11111111111111111111111111111111';
+const MOCK_TREASURY_ADDRESS = 'MockTreasury1111111111111111111111111111111';
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+export class MockSolanaChain {
+  // options: { balances: { [address]: tokens }, decimals, latencyMs, failConfirmation }
+  constructor(options = {}) {
+    this.decimals = options.decimals ?? MOCK_DECIMALS;
+    this.latencyMs = options.latencyMs ?? CONFIG.BUYIN.MOCK_LATENCY_MS;
+    this.failConfirmation = options.failConfirmation ?? false; // Simulate a transaction that lands with an error
+
+    this.treasuryAddress = options.treasuryAddress ?? MOCK_TREASURY_ADDRESS;
+
+    this.balances = new Map(); // address -> base units (bigint)
+    const balances = options.balances ?? {
+      [MOCK_WALLET_ADDRESS]: CONFIG.BUYIN.MOCK_BALANCE_TOKENS,
+      [this.treasuryAddress]: CONFIG.REWARDS.MOCK_TREASURY_TOKENS
+    };
+    for (const [address, tokens] of Object.entries(balances)) {
+      this.balances.set(address, toBaseUnits(tokens, this.decimals));
+    }
+
+    this.pending = new Map(); // signature -> signed transaction
+    this.confirmed = [];      // Signatures in the order they landed
+    this.failed = new Map();  // signature -> error message
+    this.nextSignature = 1;
+  }
+
+  async getTokenBalance(owner) {
+    return { amount: this.balances.get(owner.toString()) ?? 0n, decimals: this.decimals };
+  }
+
+  // A transfer needs every address in `signers` to sign. Like a real transaction, its
+  // signature is fixed once built, so sending the same one twice can only land once
+  createTransfer(from, to, amount, signers) {
+    const blockhash = `mock-blockhash-${this.confirmed.length}`;
+    return {
+      transaction: { from, to, amount, blockhash, signers, signatures: [], signature: `mock-signature-${this.nextSignature++}` },
+      context: { blockhash, lastValidBlockHeight: 0 }
+    };
+  }
+
+  async buildBuyInTransaction(owner, amount) {
+    return this.createTransfer(owner.toString(), this.treasuryAddress, amount, [owner.toString()]);
+  }
+
+  // Treasury -> player. The treasury authorizes the transfer and pays the fee, the player co-signs
+  async buildClaimTransaction(recipient, amount) {
+    return this.createTransfer(this.treasuryAddress, recipient.toString(), amount, [this.treasuryAddress, recipient.toString()]);
+  }
+
+  getTransactionSignature(signedTransaction) {
+    return signedTransaction.signature;
+  }
+
+  async sendTransaction(signedTransaction) {
+    await wait(this.latencyMs / 2);
+    if (!signedTransaction.signers.every(signer => signedTransaction.signatures.includes(signer))) {
+      throw new Error('Transaction signature verification failure');
+    }
+
+    const signature = signedTransaction.signature;
+    if (this.confirmed.includes(signature) || this.pending.has(signature)) {
+      throw new Error('Transaction simulation failed: This transaction has already been processed');
+    }
+    this.pending.set(signature, signedTransaction);
+    return signature;
+  }
+
+  async confirmTransaction(signature) {
+    await wait(this.latencyMs / 2);
+    this.land(signature);
+  }
+
+  // Apply a sent transaction. Throws if it fails on chain
+  land(signature) {
+    const transaction = this.pending.get(signature);
+    this.pending.delete(signature);
+    if (!transaction) {
+      if (this.confirmed.includes(signature)) return;
+      throw new Error(this.failed.get(signature) || `Unknown signature ${signature}`);
+    }
+
+    let error = null;
+    const balance = this.balances.get(transaction.from) ?? 0n;
+    if (this.failConfirmation) {
+      error = 'Transaction failed: {"InstructionError":[1,"Custom"]}';
+    } else if (balance < transaction.amount) {
+      error = 'Transaction failed: {"InstructionError":[1,{"Custom":1}]}'; // Insufficient funds
+    }
+    if (error) {
+      this.failed.set(signature, error);
+      throw new Error(error);
+    }
+
+    this.balances.set(transaction.from, balance - transaction.amount);
+    this.balances.set(transaction.to, (this.balances.get(transaction.to) ?? 0n) + transaction.amount);
+    this.confirmed.push(signature);
+  }
+
+  // 'confirmed' | 'failed' | 'pending' | 'unknown' - a pending transaction lands now. Mock
+  // blockhashes never outlive the page, so with a context a never-sent transaction is 'failed'
+  async getSignatureStatus(signature, context = null) {
+    if (this.pending.has(signature)) {
+      try {
+        this.land(signature);
+      } catch (error) {
+        return 'failed';
+      }
+    }
+    if (this.confirmed.includes(signature)) return 'confirmed';
+    if (this.failed.has(signature)) return 'failed';
+    return context ? 'failed' : 'unknown';
+  }
+
+  getExplorerUrl(signature) {
+    return null; // Nothing to look at - it never left this tab
+  }
+}
+
+export class MockWallet {
+  // options: { address, rejectSigning, latencyMs }
+  constructor(options = {}) {
+    this.address = options.address ?? MOCK_WALLET_ADDRESS;
+    this.rejectSigning = options.rejectSigning ?? false; // Simulate the player pressing "Reject"
+    this.latencyMs = options.latencyMs ?? CONFIG.BUYIN.MOCK_LATENCY_MS;
+    this.publicKey = null;
+  }
+
+  async connect() {
+    await wait(this.latencyMs / 4);
+    this.publicKey = this.address;
+    return this.publicKey;
+  }
+
+  async signTransaction(transaction) {
+    await wait(this.latencyMs / 4);
+    if (this.rejectSigning) throw new Error('User rejected the request.');
+    return { ...transaction, signatures: [...transaction.signatures, this.publicKey] };
+  }
+
+  async disconnect() {
+    this.publicKey = null;
+  }
+}
+
+// Stands in for the claim service holding the treasury key (server/claims.js)
+export class MockTreasurySigner {
+  constructor(address = MOCK_TREASURY_ADDRESS) {
+    this.publicKey = address;
+  }
+
+  async signTransaction(transaction) {
+    return { ...transaction, signatures: [...transaction.signatures, this.publicKey] };
+  }
+}
@@ -0,0 +1,444 @@
+// File: src/solana.js - On-chain buy-in: SPL token transfer of BUYIN_AMOUNT_TOKENS to the treasury
+// The BuyInManager owns the flow (connect wallet -> build -> sign -> send -> confirm) and its status.
+// The chain and wallet behind it are swappable: SolanaRpcChain + InjectedWallet for a real
+// RPC (devnet, mainnet or a local solana-test-validator), MockSolanaChain + MockWallet
+// (src/solana-mock.js) for offline testing.
+import { CONFIG } from './config.js';
+import { MockSolanaChain, MockWallet } from './solana-mock.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('economy');
+
+export const BUYIN_STATUS = {
+  UNPAID: 'unpaid',          // Nothing sent yet
+  CONNECTING: 'connecting',  // Waiting for the wallet to connect
+  SIGNING: 'signing',        // Waiting for the player to approve the transfer
+  PENDING: 'pending',        // Sent - waiting for confirmation (stays here until the chain settles it)
+  PAID: 'paid',              // Confirmed - covers one spawn (see consume())
+  FAILED: 'failed',          // Rejected, not confirmed or not enough tokens
+  FREE: 'free'               // Buy-in disabled (CONFIG.BUYIN.MODE = 'off')
+};
+
+// "5" tokens with 6 decimals -> 5000000n, without floating point rounding
+export function toBaseUnits(amount, decimals) {
+  const [whole, fraction = ''] = String(amount).split('.');
+  if (fraction.length > decimals) {
+    throw new Error(`Amount ${amount} has more than ${decimals} decimal places`);
+  }
+  return BigInt(whole + fraction.padEnd(decimals, '0'));
+}
+
+export function fromBaseUnits(units, decimals) {
+  return Number(units) / 10 ** decimals;
+}
+
+// Transaction signatures are shown and looked up as base58 strings
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+export function encodeBase58(bytes) {
+  let value = 0n;
+  for (const byte of bytes) value = value * 256n + BigInt(byte);
+
+  let encoded = '';
+  while (value > 0n) {
+    encoded = BASE58_ALPHABET[Number(value % 58n)] + encoded;
+    value /= 58n;
+  }
+  for (let i = 0; i < bytes.length && bytes[i] === 0; i++) encoded = '1' + encoded;
+  return encoded;
+}
+
+export function decodeBase58(text) {
+  let value = 0n;
+  for (const char of text) {
+    const digit = BASE58_ALPHABET.indexOf(char);
+    if (digit < 0) throw new Error(`Invalid base58 character "${char}"`);
+    value = value * 58n + BigInt(digit);
+  }
+
+  const bytes = [];
+  while (value > 0n) {
+    bytes.unshift(Number(value % 256n));
+    value /= 256n;
+  }
+  for (let i = 0; i < text.length && text[i] === '1'; i++) bytes.unshift(0);
+  return Uint8Array.from(bytes);
+}
+
+// Rejects if the promise hasn't settled after timeoutMs (the promise itself keeps running)
+export function withTimeout(promise, timeoutMs) {
+  let timer = null;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Not confirmed after ${timeoutMs / 1000}s`)), timeoutMs);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// web3.js and spl-token are loaded on demand from a CDN - the game itself has no build step
+let librariesPromise = null;
+
+export function loadSolanaLibraries() {
+  if (!librariesPromise) {
+    librariesPromise = Promise.all([
+      import(CONFIG.BUYIN.WEB3_URL),
+      import(CONFIG.BUYIN.SPL_TOKEN_URL)
+    ]).then(([web3, splToken]) => ({ web3, splToken }));
+
+    // Let a later attempt retry if the CDN was unreachable
+    librariesPromise.catch(() => { librariesPromise = null; });
+  }
+  return librariesPromise;
+}
+
+// Real chain access through @solana/web3.js. Works with any RPC, including
+// solana-test-validator (set CONFIG.SOLANA_RPC to http://127.0.0.1:8899)
+export class SolanaRpcChain {
+  constructor(rpcUrl = CONFIG.SOLANA_RPC, libraries) {
+    this.rpcUrl = rpcUrl;
+    this.web3 = libraries.web3;
+    this.splToken = libraries.splToken;
+    this.connection = new this.web3.Connection(rpcUrl, CONFIG.BUYIN.COMMITMENT);
+    this.mintInfo = null;
+  }
+
+  static async create(rpcUrl = CONFIG.SOLANA_RPC) {
+    return new SolanaRpcChain(rpcUrl, await loadSolanaLibraries());
+  }
+
+  // Mint decimals and owning program (classic Token or Token-2022)
+  async getMintInfo() {
+    if (this.mintInfo) return this.mintInfo;
+
+    const mint = new this.web3.PublicKey(CONFIG.TOKEN_MINT);
+    const account = await this.connection.getAccountInfo(mint);
+    if (!account) {
+      throw new Error(`Token mint ${CONFIG.TOKEN_MINT} not found on ${this.rpcUrl}`);
+    }
+
+    const programId = account.owner;
+    const info = await this.splToken.getMint(this.connection, mint, CONFIG.BUYIN.COMMITMENT, programId);
+    this.mintInfo = { mint, programId, decimals: info.decimals };
+    return this.mintInfo;
+  }
+
+  getTokenAccount(owner, allowOwnerOffCurve = false) {
+    const { mint, programId } = this.mintInfo;
+    return this.splToken.getAssociatedTokenAddressSync(mint, owner, allowOwnerOffCurve, programId);
+  }
+
+  // Balance in base units (0 if the player has no token account yet)
+  async getTokenBalance(owner) {
+    const { decimals } = await this.getMintInfo();
+    try {
+      const balance = await this.connection.getTokenAccountBalance(this.getTokenAccount(owner));
+      return { amount: BigInt(balance.value.amount), decimals };
+    } catch (error) {
+      return { amount: 0n, decimals };
+    }
+  }
+
+  async buildBuyInTransaction(owner, amount) {
+    const { mint, programId, decimals } = await this.getMintInfo();
+    const { Transaction, PublicKey } = this.web3;
+    const {
+      createAssociatedTokenAccountIdempotentInstruction,
+      createTransferCheckedInstruction
+    } = this.splToken;
+
+    const treasury = new PublicKey(CONFIG.TREASURY_ADDRESS);
+    const source = this.getTokenAccount(owner);
+    const destination = this.getTokenAccount(treasury, true);
+
+    // Creating the treasury's token account is a no-op when it already exists
+    const transaction = new Transaction().add(
+      createAssociatedTokenAccountIdempotentInstruction(owner, destination, treasury, mint, programId),
+      createTransferCheckedInstruction(source, mint, destination, owner, amount, decimals, [], programId)
+    );
+
+    const { blockhash, lastValidBlockHeight } = await this.connection.getLatestBlockhash(CONFIG.BUYIN.COMMITMENT);
+    transaction.recentBlockhash = blockhash;
+    transaction.feePayer = owner;
+
+    return { transaction, context: { blockhash, lastValidBlockHeight } };
+  }
+
+  // Treasury -> player. The treasury signs as the token authority and pays the fee, so the
+  // transaction id is its signature (server/claims.js tracks claims by it). The player pays for
+  // their token account, if this is their first claim
+  async buildClaimTransaction(recipient, amount) {
+    const { mint, programId, decimals } = await this.getMintInfo();
+    const { Transaction, PublicKey } = this.web3;
+    const {
+      createAssociatedTokenAccountIdempotentInstruction,
+      createTransferCheckedInstruction
+    } = this.splToken;
+
+    const treasury = new PublicKey(CONFIG.TREASURY_ADDRESS);
+    const source = this.getTokenAccount(treasury, true);
+    const destination = this.getTokenAccount(recipient);
+
+    const transaction = new Transaction().add(
+      createAssociatedTokenAccountIdempotentInstruction(recipient, destination, recipient, mint, programId),
+      createTransferCheckedInstruction(source, mint, destination, treasury, amount, decimals, [], programId)
+    );
+
+    const { blockhash, lastValidBlockHeight } = await this.connection.getLatestBlockhash(CONFIG.BUYIN.COMMITMENT);
+    transaction.recentBlockhash = blockhash;
+    transaction.feePayer = treasury;
+
+    return { transaction, context: { blockhash, lastValidBlockHeight } };
+  }
+
+  // The fee payer's signature is the transaction id - known before it is sent
+  getTransactionSignature(signedTransaction) {
+    return encodeBase58(signedTransaction.signature);
+  }
+
+  async sendTransaction(signedTransaction) {
+    return this.connection.sendRawTransaction(signedTransaction.serialize());
+  }
+
+  // 'confirmed' | 'failed' | 'pending' | 'unknown'. With a context, an unknown transaction whose
+  // blockhash has expired can never land - it is reported as 'failed'
+  async getSignatureStatus(signature, context = null) {
+    const { value } = await this.connection.getSignatureStatus(signature, { searchTransactionHistory: true });
+    if (value) {
+      if (value.err) return 'failed';
+      return value.confirmationStatus === 'processed' ? 'pending' : 'confirmed';
+    }
+
+    if (context) {
+      const blockHeight = await this.connection.getBlockHeight(CONFIG.BUYIN.COMMITMENT);
+      if (blockHeight > context.lastValidBlockHeight) return 'failed';
+    }
+    return 'unknown';
+  }
+
+  // Resolves once confirmed, throws if the transaction failed or its blockhash expired
+  async confirmTransaction(signature, context) {
+    const result = await this.connection.confirmTransaction({ signature, ...context }, CONFIG.BUYIN.COMMITMENT);
+    if (result.value.err) {
+      throw new Error(`Transaction failed: ${JSON.stringify(result.value.err)}`);
+    }
+  }
+
+  getExplorerUrl(signature) {
+    const cluster = this.rpcUrl.includes('devnet') ? '?cluster=devnet'
+      : this.rpcUrl.includes('testnet') ? '?cluster=testnet'
+      : this.rpcUrl.includes('mainnet') ? ''
+      : `?cluster=custom&customUrl=${encodeURIComponent(this.rpcUrl)}`;
+    return `https://explorer.solana.com/tx/${signature}${cluster}`;
+  }
+}
+
+// Browser wallet extension (Phantom, Solflare, Backpack... anything exposing window.solana)
+export class InjectedWallet {
+  constructor(provider = InjectedWallet.findProvider()) {
+    this.provider = provider;
+    this.publicKey = null;
+  }
+
+  static findProvider() {
+    if (typeof window === 'undefined') return null;
+    return (window.phantom && window.phantom.solana) || window.solflare || window.solana || null;
+  }
+
+  async connect() {
+    if (!this.provider) {
+      throw new Error('No Solana wallet found - install Phantom or another Solana wallet');
+    }
+    const response = await this.provider.connect();
+    this.publicKey = (response && response.publicKey) || this.provider.publicKey;
+    return this.publicKey;
+  }
+
+  async signTransaction(transaction) {
+    return this.provider.signTransaction(transaction);
+  }
+
+  async disconnect() {
+    if (this.provider && this.provider.disconnect) await this.provider.disconnect();
+    this.publicKey = null;
+  }
+}
+
+export class BuyInManager {
+  // chain: SolanaRpcChain-like, wallet: InjectedWallet-like
+  constructor(chain, wallet, amountTokens = CONFIG.BUYIN_AMOUNT_TOKENS) {
+    this.chain = chain;
+    this.wallet = wallet;
+    this.amountTokens = amountTokens;
+
+    this.status = BUYIN_STATUS.UNPAID;
+    this.error = null;
+    this.signature = null;
+    this.pendingContext = null; // Blockhash context of the sent transfer - tells 'expired' from 'not yet'
+    this.isPaying = false;      // pay() is running
+    this.balance = null; // Tokens (not base units) at the last check
+    this.spent = false;  // The paid buy-in has been used for a spawn
+
+    // Callbacks
+    this.onStatusChange = null;
+  }
+
+  setStatus(status, error = null) {
+    this.status = status;
+    this.error = error;
+    log.info(`🪙 Buy-in ${status}${error ? `: ${error}` : ''}`);
+    if (this.onStatusChange) this.onStatusChange(status, this);
+  }
+
+  get canSpawn() {
+    return this.status === BUYIN_STATUS.PAID && !this.spent;
+  }
+
+  get isConnected() {
+    return this.wallet.publicKey !== null;
+  }
+
+  get walletAddress() {
+    return this.wallet.publicKey ? this.wallet.publicKey.toString() : null;
+  }
+
+  async connectWallet() {
+    this.setStatus(BUYIN_STATUS.CONNECTING);
+    try {
+      await this.wallet.connect();
+      await this.refreshBalance();
+      this.setStatus(BUYIN_STATUS.UNPAID);
+    } catch (error) {
+      this.setStatus(BUYIN_STATUS.FAILED, error.message);
+      throw error;
+    }
+  }
+
+  async refreshBalance() {
+    const { amount, decimals } = await this.chain.getTokenBalance(this.wallet.publicKey);
+    this.balance = fromBaseUnits(amount, decimals);
+    return this.balance;
+  }
+
+  // Transfer the buy-in and wait for confirmation. Resolves with the signature.
+  // A transfer that was sent but not confirmed may still land, so it is settled with the chain
+  // before a new one is sent - otherwise a slow confirmation would charge the player twice
+  async pay() {
+    if (this.canSpawn) return this.signature;
+    if (this.isPaying) throw new Error('A buy-in is already in progress');
+
+    this.isPaying = true;
+    try {
+      return await this.sendPayment();
+    } finally {
+      this.isPaying = false;
+    }
+  }
+
+  async sendPayment() {
+    if (!this.isConnected) await this.connectWallet();
+
+    if (this.status === BUYIN_STATUS.PENDING) {
+      const outcome = await this.settlePending();
+      if (outcome === 'paid') return this.signature;
+      if (outcome === 'pending') {
+        throw new Error('Your previous buy-in is still waiting for confirmation - try again in a minute');
+      }
+    }
+
+    this.signature = null;
+    this.pendingContext = null;
+    this.spent = false;
+    try {
+      const { amount, decimals } = await this.chain.getTokenBalance(this.wallet.publicKey);
+      const required = toBaseUnits(this.amountTokens, decimals);
+      this.balance = fromBaseUnits(amount, decimals);
+      if (amount < required) {
+        throw new Error(`Not enough tokens: have ${this.balance}, need ${this.amountTokens}`);
+      }
+
+      this.setStatus(BUYIN_STATUS.SIGNING);
+      const { transaction, context } = await this.chain.buildBuyInTransaction(this.wallet.publicKey, required);
+      const signed = await this.wallet.signTransaction(transaction);
+
+      // Known before sending, so a send that errors but still reaches the chain can be looked up
+      this.signature = this.chain.getTransactionSignature(signed);
+      this.pendingContext = context;
+      this.setStatus(BUYIN_STATUS.PENDING);
+
+      await this.chain.sendTransaction(signed);
+      await withTimeout(this.chain.confirmTransaction(this.signature, context), CONFIG.BUYIN.CONFIRM_TIMEOUT_MS);
+      await this.refreshBalance().catch(() => {});
+      this.setStatus(BUYIN_STATUS.PAID);
+      return this.signature;
+    } catch (error) {
+      if (this.status === BUYIN_STATUS.PENDING) {
+        // Sent - it may still land. Only the chain can say whether the player paid
+        const outcome = await this.settlePending().catch(() => 'pending');
+        if (outcome === 'paid') return this.signature;
+        if (outcome === 'pending') {
+          this.setStatus(BUYIN_STATUS.PENDING, error.message);
+          throw error;
+        }
+      }
+      this.setStatus(BUYIN_STATUS.FAILED, error.message);
+      throw error;
+    }
+  }
+
+  // Bring a sent buy-in in line with the chain: 'paid', 'failed' or 'pending'
+  async settlePending() {
+    const status = await this.chain.getSignatureStatus(this.signature, this.pendingContext);
+    if (status === 'confirmed') {
+      await this.refreshBalance().catch(() => {});
+      this.setStatus(BUYIN_STATUS.PAID);
+      return 'paid';
+    }
+    return status === 'failed' ? 'failed' : 'pending';
+  }
+
+  // A paid buy-in covers exactly one spawn. Status stays PAID for the life it bought
+  consume() {
+    if (!this.canSpawn) return false;
+    this.spent = true;
+    return true;
+  }
+
+  getExplorerUrl() {
+    return this.signature && this.chain.getExplorerUrl ? this.chain.getExplorerUrl(this.signature) : null;
+  }
+}
+
+// Free play - every spawn is allowed
+export class FreeBuyIn {
+  constructor() {
+    this.status = BUYIN_STATUS.FREE;
+    this.error = null;
+    this.signature = null;
+    this.balance = null;
+    this.amountTokens = 0;
+    this.walletAddress = null;
+    this.isConnected = false;
+    this.canSpawn = true;
+    this.spent = false;
+    this.isPaying = false;
+    this.onStatusChange = null;
+  }
+
+  async connectWallet() {}
+  async pay() { return null; }
+  consume() { return true; }
+  getExplorerUrl() { return null; }
+}
+
+// Picks the chain and wallet for CONFIG.BUYIN.MODE
+export async function createBuyInManager(mode = CONFIG.BUYIN.MODE) {
+  switch (mode) {
+    case 'off':
+      return new FreeBuyIn();
+    case 'mock':
+      return new BuyInManager(new MockSolanaChain(), new MockWallet());
+    case 'rpc':
+      return new BuyInManager(await SolanaRpcChain.create(CONFIG.SOLANA_RPC), new InjectedWallet());
+    default:
+      throw new Error(`Unknown CONFIG.BUYIN.MODE: ${mode}`);
+  }
+}
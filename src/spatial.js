@@ -0,0 +1,115 @@
+// File: src/spatial.js - Uniform grid spatial hash for fast radius/rectangle lookups
+// Items are any objects; the hash remembers the point each one was inserted at.
+// Static things (pellets) insert/remove as they come and go; moving things
+// (snake segments) can clear() and re-insert every step.
+
+export class SpatialHash {
+  constructor(cellSize = 100) {
+    this.cellSize = cellSize;
+    this.cells = new Map();   // cellKey -> Set of items
+    this.entries = new Map(); // item -> { key, x, y }
+  }
+
+  // Pack the two cell coordinates into one number (16 bits each, negatives wrap)
+  getCellKey(cellX, cellY) {
+    return ((cellX & 0xffff) << 16) | (cellY & 0xffff);
+  }
+
+  toCell(value) {
+    return Math.floor(value / this.cellSize);
+  }
+
+  insert(item, x, y) {
+    if (this.entries.has(item)) {
+      this.remove(item);
+    }
+
+    const key = this.getCellKey(this.toCell(x), this.toCell(y));
+    let cell = this.cells.get(key);
+    if (!cell) {
+      cell = new Set();
+      this.cells.set(key, cell);
+    }
+
+    cell.add(item);
+    this.entries.set(item, { key, x, y });
+  }
+
+  remove(item) {
+    const entry = this.entries.get(item);
+    if (!entry) return false;
+
+    const cell = this.cells.get(entry.key);
+    cell.delete(item);
+    if (cell.size === 0) {
+      this.cells.delete(entry.key);
+    }
+
+    this.entries.delete(item);
+    return true;
+  }
+
+  // Re-file an item that moved (cheap when it stays in the same cell)
+  move(item, x, y) {
+    const entry = this.entries.get(item);
+    if (entry && entry.key === this.getCellKey(this.toCell(x), this.toCell(y))) {
+      entry.x = x;
+      entry.y = y;
+      return;
+    }
+    this.insert(item, x, y);
+  }
+
+  clear() {
+    this.cells.clear();
+    this.entries.clear();
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  // Every item whose point is within radius of (x, y)
+  queryRadius(x, y, radius, results = []) {
+    const radiusSquared = radius * radius;
+
+    this.forEachInCells(x - radius, y - radius, x + radius, y + radius, (item, entry) => {
+      const dx = entry.x - x;
+      const dy = entry.y - y;
+      if (dx * dx + dy * dy <= radiusSquared) {
+        results.push(item);
+      }
+    });
+
+    return results;
+  }
+
+  // Every item whose point is inside the rectangle (edges included)
+  queryRect(minX, minY, maxX, maxY, results = []) {
+    this.forEachInCells(minX, minY, maxX, maxY, (item, entry) => {
+      if (entry.x >= minX && entry.x <= maxX && entry.y >= minY && entry.y <= maxY) {
+        results.push(item);
+      }
+    });
+
+    return results;
+  }
+
+  forEachInCells(minX, minY, maxX, maxY, callback) {
+    const startX = this.toCell(minX);
+    const startY = this.toCell(minY);
+    const endX = this.toCell(maxX);
+    const endY = this.toCell(maxY);
+
+    for (let cellX = startX; cellX <= endX; cellX++) {
+      for (let cellY = startY; cellY <= endY; cellY++) {
+        const cell = this.cells.get(this.getCellKey(cellX, cellY));
+        if (!cell) continue;
+
+        for (const item of cell) {
+          callback(item, this.entries.get(item));
+        }
+      }
+    }
+  }
+}
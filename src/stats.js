@@ -0,0 +1,148 @@
+// File: src/stats.js - Persistent player statistics (local only)
+// Every finished game is recorded under a profile (wallet address, or player name without one).
+// Lifetime totals and bests are computed from the recorded games; the oldest games are folded
+// into an archive once there are too many, so the totals never lose anything.
+import { getStorage } from './utils.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('game');
+
+const STATS_VERSION = 1;
+const STORAGE_KEY = 'solsnake.stats';
+const MAX_GAMES = 500;    // Games kept individually - older ones only count towards the totals
+const RECENT_GAMES = 10;  // Shown on the Stats screen
+
+const EMPTY_TOTALS = {
+  gamesPlayed: 0,
+  kills: 0,
+  lengthBurned: 0,
+  survivalSeconds: 0,
+  valueEarned: 0,
+  bestLength: 0,
+  bestKills: 0,
+  longestSurvival: 0,
+  bestValue: 0
+};
+
+// Fold one game into running totals
+function addGame(totals, game) {
+  return {
+    gamesPlayed: totals.gamesPlayed + 1,
+    kills: totals.kills + game.kills,
+    lengthBurned: totals.lengthBurned + game.lengthBurned,
+    survivalSeconds: totals.survivalSeconds + game.survivalSeconds,
+    valueEarned: totals.valueEarned + game.valueEarned,
+    bestLength: Math.max(totals.bestLength, game.maxLength),
+    bestKills: Math.max(totals.bestKills, game.kills),
+    longestSurvival: Math.max(totals.longestSurvival, game.survivalSeconds),
+    bestValue: Math.max(totals.bestValue, game.valueEarned)
+  };
+}
+
+const finiteNumber = (value) => Number.isFinite(value) && value >= 0;
+
+// Only well-formed games get in - imported files come from anywhere
+function normalizeGame(game) {
+  if (!game || typeof game !== 'object') return null;
+
+  const numbers = ['endedAt', 'length', 'maxLength', 'lengthBurned', 'survivalSeconds', 'kills', 'valueEarned'];
+  if (!numbers.every(key => finiteNumber(game[key]))) return null;
+
+  return {
+    id: typeof game.id === 'string' ? game.id : `${game.endedAt}-${Math.random().toString(36).slice(2, 8)}`,
+    endedAt: game.endedAt,
+    mode: typeof game.mode === 'string' ? game.mode : 'local',
+    cause: typeof game.cause === 'string' ? game.cause : 'unknown',
+    killer: typeof game.killer === 'string' ? game.killer : null,
+    length: game.length,
+    maxLength: Math.max(game.maxLength, game.length),
+    lengthBurned: game.lengthBurned,
+    survivalSeconds: game.survivalSeconds,
+    kills: Math.floor(game.kills),
+    valueEarned: game.valueEarned
+  };
+}
+
+export class StatsStore {
+  constructor(storage = getStorage()) {
+    this.storage = storage;
+  }
+
+  key(profile) {
+    return `${STORAGE_KEY}.${profile}`;
+  }
+
+  load(profile) {
+    const raw = this.storage.getItem(this.key(profile));
+    if (!raw) return { version: STATS_VERSION, profile, games: [], archive: { ...EMPTY_TOTALS } };
+
+    try {
+      return JSON.parse(raw);
+    } catch (error) {
+      log.error(`📊 Stats for ${profile} are corrupt - starting over`, error);
+      return { version: STATS_VERSION, profile, games: [], archive: { ...EMPTY_TOTALS } };
+    }
+  }
+
+  save(profile, data) {
+    this.storage.setItem(this.key(profile), JSON.stringify(data));
+  }
+
+  // game: { endedAt, mode, cause, killer, length, maxLength, lengthBurned, survivalSeconds, kills, valueEarned }
+  recordGame(profile, game) {
+    const record = normalizeGame(game);
+    if (!record) throw new Error('Invalid game record');
+
+    const data = this.load(profile);
+    data.games.push(record);
+    while (data.games.length > MAX_GAMES) {
+      data.archive = addGame(data.archive, data.games.shift());
+    }
+    this.save(profile, data);
+
+    log.info(`📊 Recorded game for ${profile}: length ${record.maxLength.toFixed(1)}, ${record.kills} kills, ${record.survivalSeconds.toFixed(0)}s`);
+    return record;
+  }
+
+  // Lifetime totals and bests plus the most recent games (newest first)
+  getSummary(profile) {
+    const data = this.load(profile);
+    return {
+      totals: data.games.reduce(addGame, { ...EMPTY_TOTALS, ...data.archive }),
+      recent: data.games.slice(-RECENT_GAMES).reverse()
+    };
+  }
+
+  exportJSON(profile) {
+    return JSON.stringify({ ...this.load(profile), exportedAt: Date.now() }, null, 2);
+  }
+
+  // Replaces the profile's stats with a previous export. Returns how many games were imported
+  importJSON(profile, json) {
+    let data;
+    try {
+      data = JSON.parse(json);
+    } catch (error) {
+      throw new Error('Not a stats file (invalid JSON)');
+    }
+    if (!data || !Array.isArray(data.games)) {
+      throw new Error('Not a stats file (no games)');
+    }
+    if (data.version > STATS_VERSION) {
+      throw new Error(`Stats file version ${data.version} is newer than this game supports (${STATS_VERSION})`);
+    }
+
+    const games = data.games.map(normalizeGame).filter(Boolean);
+    let archive = { ...EMPTY_TOTALS };
+    for (const key of Object.keys(EMPTY_TOTALS)) {
+      if (data.archive && finiteNumber(data.archive[key])) archive[key] = data.archive[key];
+    }
+    while (games.length > MAX_GAMES) {
+      archive = addGame(archive, games.shift());
+    }
+
+    this.save(profile, { version: STATS_VERSION, profile, games, archive });
+    log.info(`📊 Imported ${games.length} games for ${profile}`);
+    return games.length;
+  }
+}
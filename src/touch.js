@@ -0,0 +1,186 @@
+// File: src/touch.js - On-screen controls for touch screens: floating joystick + boost button
+// Every finger is tracked by its touch identifier, so one thumb can steer while the other boosts.
+// The joystick appears wherever a finger lands (outside the boost button); the layout is worked
+// out from the canvas size each time, so it follows portrait/landscape changes.
+// Draws in screen space and stays invisible until the first touch.
+import { CONFIG } from './config.js';
+import { Vector2D, MathUtils } from './utils.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('input');
+
+export class TouchControls {
+  constructor(canvas, options = CONFIG.INPUT) {
+    this.canvas = canvas;
+    this.options = options;
+
+    this.active = false;       // Set by the first touch - mouse/keyboard players never see the controls
+    this.joystick = null;      // { id, origin, position } in canvas pixels while a finger steers
+    this.boostTouchId = null;  // Finger holding the boost button
+    this.direction = null;     // Last steering direction - kept after the thumb lifts
+
+    // Callbacks
+    this.onActivate = null;    // () the first time the screen is touched
+
+    this.listeners = [];
+    this.listen(canvas, 'touchstart', (e) => this.handleTouchStart(e), { passive: false });
+    this.listen(canvas, 'touchmove', (e) => this.handleTouchMove(e), { passive: false });
+    this.listen(canvas, 'touchend', (e) => this.handleTouchEnd(e), { passive: false });
+    this.listen(canvas, 'touchcancel', (e) => this.handleTouchEnd(e), { passive: false });
+  }
+
+  listen(target, type, handler, options) {
+    target.addEventListener(type, handler, options);
+    this.listeners.push({ target, type, handler, options });
+  }
+
+  destroy() {
+    for (const { target, type, handler, options } of this.listeners) {
+      target.removeEventListener(type, handler, options);
+    }
+    this.listeners = [];
+    this.reset();
+    this.onActivate = null;
+  }
+
+  // Fingers up - a new life shouldn't start boosting
+  reset() {
+    this.joystick = null;
+    this.boostTouchId = null;
+  }
+
+  get isBoosting() {
+    return this.boostTouchId !== null;
+  }
+
+  // Where things go for the current canvas size. Portrait screens are narrow, so the controls
+  // get a bigger share of the width
+  getLayout() {
+    const { width, height } = this.canvas;
+    const portrait = height > width;
+    const short = Math.min(width, height);
+    const margin = short * 0.05;
+    const boostRadius = MathUtils.clamp(short * (portrait ? 0.13 : 0.1), 36, 90);
+    const joystickRadius = MathUtils.clamp(short * (portrait ? 0.16 : 0.12), 45, 110) * this.options.JOYSTICK_SIZE;
+
+    return {
+      portrait,
+      boost: { x: width - margin - boostRadius, y: height - margin - boostRadius, radius: boostRadius },
+      joystickRadius,
+      // Where the joystick is drawn as a hint while no finger is on it
+      joystickHome: { x: margin + joystickRadius, y: height - margin - joystickRadius }
+    };
+  }
+
+  // Client (CSS pixel) coordinates -> canvas pixels, the canvas may be scaled on screen
+  toCanvas(touch) {
+    const rect = this.canvas.getBoundingClientRect();
+    return new Vector2D(
+      (touch.clientX - rect.left) * this.canvas.width / rect.width,
+      (touch.clientY - rect.top) * this.canvas.height / rect.height
+    );
+  }
+
+  handleTouchStart(e) {
+    e.preventDefault(); // No emulated mouse events, scrolling or pinch zoom
+
+    if (!this.active) {
+      this.active = true;
+      log.info('📱 Touch controls on');
+      if (this.onActivate) this.onActivate();
+    }
+
+    const { boost } = this.getLayout();
+    for (const touch of e.changedTouches) {
+      const position = this.toCanvas(touch);
+      // A little slack around the button - thumbs are not precise
+      const onBoost = position.distanceTo(new Vector2D(boost.x, boost.y)) < boost.radius * 1.25;
+
+      if (onBoost && this.boostTouchId === null) {
+        this.boostTouchId = touch.identifier;
+      } else if (!onBoost && !this.joystick) {
+        this.joystick = { id: touch.identifier, origin: position, position };
+      }
+    }
+  }
+
+  handleTouchMove(e) {
+    e.preventDefault();
+    if (!this.joystick) return;
+
+    for (const touch of e.changedTouches) {
+      if (touch.identifier === this.joystick.id) {
+        this.joystick.position = this.toCanvas(touch);
+        this.updateDirection();
+      }
+    }
+  }
+
+  handleTouchEnd(e) {
+    e.preventDefault();
+    for (const touch of e.changedTouches) {
+      if (touch.identifier === this.boostTouchId) this.boostTouchId = null;
+      if (this.joystick && touch.identifier === this.joystick.id) this.joystick = null;
+    }
+  }
+
+  // 0..1 - TOUCH_SENSITIVITY > 1 needs less thumb travel for a full push
+  getDeflection() {
+    if (!this.joystick) return 0;
+    const distance = this.joystick.position.distanceTo(this.joystick.origin);
+    return Math.min(1, distance * this.options.TOUCH_SENSITIVITY / this.getLayout().joystickRadius);
+  }
+
+  updateDirection() {
+    if (this.getDeflection() < this.options.JOYSTICK_DEADZONE) return;
+    this.direction = this.joystick.position.subtract(this.joystick.origin).normalize();
+  }
+
+  // Steering direction, or null until the joystick has been used
+  getDirection() {
+    return this.direction;
+  }
+
+  draw(ctx) {
+    if (!this.active) return;
+
+    const layout = this.getLayout();
+    ctx.save();
+
+    // Joystick: a ring where the thumb landed and a knob following it (clamped to the ring)
+    const radius = layout.joystickRadius;
+    const origin = this.joystick ? this.joystick.origin : layout.joystickHome;
+    ctx.strokeStyle = `rgba(0, 255, 136, ${this.joystick ? 0.6 : 0.25})`;
+    ctx.lineWidth = 3;
+    ctx.beginPath();
+    ctx.arc(origin.x, origin.y, radius, 0, Math.PI * 2);
+    ctx.stroke();
+
+    let knob = origin;
+    if (this.joystick) {
+      const offset = this.joystick.position.subtract(this.joystick.origin);
+      const reach = Math.min(offset.magnitude() * this.options.TOUCH_SENSITIVITY, radius);
+      knob = offset.magnitude() > 0 ? new Vector2D(origin.x, origin.y).add(offset.normalize().multiply(reach)) : origin;
+    }
+    ctx.fillStyle = `rgba(0, 255, 136, ${this.joystick ? 0.5 : 0.15})`;
+    ctx.beginPath();
+    ctx.arc(knob.x, knob.y, radius * 0.4, 0, Math.PI * 2);
+    ctx.fill();
+
+    // Boost button
+    const { boost } = layout;
+    ctx.fillStyle = this.isBoosting ? 'rgba(255, 170, 0, 0.6)' : 'rgba(255, 170, 0, 0.2)';
+    ctx.strokeStyle = 'rgba(255, 170, 0, 0.8)';
+    ctx.beginPath();
+    ctx.arc(boost.x, boost.y, boost.radius, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.stroke();
+    ctx.fillStyle = this.isBoosting ? '#000000' : '#ffaa00';
+    ctx.font = `bold ${Math.round(boost.radius * 0.35)}px monospace`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText('BOOST', boost.x, boost.y);
+
+    ctx.restore();
+  }
+}
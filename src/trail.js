@@ -0,0 +1,225 @@
+// File: src/trail.js - Ring buffer of the path a snake's head has travelled
+// Points are stored newest-first (index 0 = head) with the arc length travelled up to each one.
+// Adding a point and dropping old ones is O(1), lookups by distance are a binary search,
+// and placeAlong() positions every segment in a single pass - giant snakes stay cheap.
+import { Vector2D } from './utils.js';
+
+export class TrailBuffer {
+  constructor(capacity = 256, maxPoints = Infinity) {
+    this.maxPoints = maxPoints;
+    this.allocate(capacity);
+  }
+
+  allocate(capacity) {
+    this.capacity = capacity;
+    this.xs = new Float64Array(capacity);
+    this.ys = new Float64Array(capacity);
+    this.arcs = new Float64Array(capacity);
+    this.head = -1;  // Physical slot of the newest point
+    this.count = 0;
+  }
+
+  get length() {
+    return this.count;
+  }
+
+  // Physical slot of the i-th newest point
+  slot(index) {
+    const slot = this.head - index;
+    return slot < 0 ? slot + this.capacity : slot;
+  }
+
+  // Start over with a single point
+  reset(x, y, arcLength = 0) {
+    this.head = 0;
+    this.count = 1;
+    this.xs[0] = x;
+    this.ys[0] = y;
+    this.arcs[0] = arcLength;
+  }
+
+  // Add a new head point; its arc length continues from the previous head.
+  // Returns true if the buffer was full and the oldest point had to go
+  push(x, y) {
+    if (this.count === 0) {
+      this.reset(x, y);
+      return false;
+    }
+
+    const dx = x - this.xs[this.head];
+    const dy = y - this.ys[this.head];
+    const arcLength = this.arcs[this.head] + Math.sqrt(dx * dx + dy * dy);
+
+    if (this.count === this.capacity && this.capacity < this.maxPoints) {
+      this.grow();
+    }
+
+    // When full, the new head simply overwrites the oldest slot
+    this.head = (this.head + 1) % this.capacity;
+    this.xs[this.head] = x;
+    this.ys[this.head] = y;
+    this.arcs[this.head] = arcLength;
+
+    const full = this.count >= Math.min(this.capacity, this.maxPoints);
+    if (!full) this.count++;
+    return full;
+  }
+
+  // Double the capacity, unrolling the ring so the oldest point lands in slot 0
+  grow() {
+    const oldCount = this.count;
+    const xs = this.xs;
+    const ys = this.ys;
+    const arcs = this.arcs;
+    const oldSlots = [];
+    for (let i = oldCount - 1; i >= 0; i--) oldSlots.push(this.slot(i));
+
+    this.allocate(Math.min(this.capacity * 2, Math.max(this.maxPoints, this.capacity + 1)));
+    for (let i = 0; i < oldSlots.length; i++) {
+      this.xs[i] = xs[oldSlots[i]];
+      this.ys[i] = ys[oldSlots[i]];
+      this.arcs[i] = arcs[oldSlots[i]];
+    }
+    this.head = oldCount - 1;
+    this.count = oldCount;
+  }
+
+  // Drop points more than maxDistance behind the head (the head itself always stays)
+  trim(maxDistance) {
+    const limit = this.arcs[this.head] - maxDistance;
+    while (this.count > 1 && this.arcs[this.slot(this.count - 1)] < limit) {
+      this.count--;
+    }
+  }
+
+  getHeadArcLength() {
+    return this.count > 0 ? this.arcs[this.head] : 0;
+  }
+
+  getPoint(index) {
+    const slot = this.slot(index);
+    return new Vector2D(this.xs[slot], this.ys[slot]);
+  }
+
+  getArcLength(index) {
+    return this.arcs[this.slot(index)];
+  }
+
+  // Index i of the first pair [i, i + 1] whose arc lengths bracket the target.
+  // Caller guarantees oldest arc < arcLength < head arc
+  findBracket(arcLength) {
+    let low = 0;
+    let high = this.count - 2;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (this.arcs[this.slot(mid + 1)] <= arcLength) {
+        high = mid;
+      } else {
+        low = mid + 1;
+      }
+    }
+    return low;
+  }
+
+  // Position `distance` behind the head along the path
+  positionAt(distance) {
+    if (this.count === 1) return this.getPoint(0);
+
+    const headArc = this.arcs[this.head];
+    const arcLength = headArc - distance;
+    if (arcLength >= headArc) return this.getPoint(0);
+    if (arcLength <= this.arcs[this.slot(this.count - 1)]) return this.getPoint(this.count - 1);
+
+    return this.interpolate(this.findBracket(arcLength), arcLength);
+  }
+
+  // Position every distance (ascending) in one walk down the trail - O(points + distances).
+  // Returns how many distances ran past the end of the trail (those get the oldest point)
+  placeAlong(distances, count, positions) {
+    const headArc = this.arcs[this.head];
+    const oldestArc = this.arcs[this.slot(this.count - 1)];
+    let index = 0;
+    let beyond = 0;
+
+    for (let i = 0; i < count; i++) {
+      const arcLength = headArc - distances[i];
+
+      if (this.count === 1 || arcLength >= headArc) {
+        positions[i] = this.getPoint(0);
+      } else if (arcLength <= oldestArc) {
+        positions[i] = this.getPoint(this.count - 1);
+        beyond++;
+      } else {
+        while (this.arcs[this.slot(index + 1)] > arcLength) index++;
+        positions[i] = this.interpolate(index, arcLength);
+      }
+    }
+
+    return beyond;
+  }
+
+  // Linear interpolation inside the bracket [index, index + 1]
+  interpolate(index, arcLength) {
+    const current = this.slot(index);
+    const next = this.slot(index + 1);
+    const segmentLength = this.arcs[current] - this.arcs[next];
+    if (segmentLength === 0) {
+      return new Vector2D(this.xs[current], this.ys[current]);
+    }
+
+    const t = (arcLength - this.arcs[next]) / segmentLength;
+    return new Vector2D(
+      this.xs[next] + (this.xs[current] - this.xs[next]) * t,
+      this.ys[next] + (this.ys[current] - this.ys[next]) * t
+    );
+  }
+
+  // Move the newest point (a wall pushed the head back) - its arc length follows
+  setHead(x, y) {
+    if (this.count === 0) {
+      this.reset(x, y);
+      return;
+    }
+
+    let arcLength = 0;
+    if (this.count > 1) {
+      const previous = this.slot(1);
+      const dx = x - this.xs[previous];
+      const dy = y - this.ys[previous];
+      arcLength = this.arcs[previous] + Math.sqrt(dx * dx + dy * dy);
+    }
+    this.xs[this.head] = x;
+    this.ys[this.head] = y;
+    this.arcs[this.head] = arcLength;
+  }
+
+  translate(dx, dy) {
+    for (let i = 0; i < this.count; i++) {
+      const slot = this.slot(i);
+      this.xs[slot] += dx;
+      this.ys[slot] += dy;
+    }
+  }
+
+  // Replace the whole trail with a path given head-first (arc lengths measured from the tail)
+  setPath(points) {
+    if (points.length === 0) return;
+    if (points.length > this.capacity) {
+      this.allocate(Math.min(Math.max(points.length, this.capacity * 2), Math.max(this.maxPoints, points.length)));
+    }
+
+    const last = points[points.length - 1];
+    this.reset(last.x, last.y);
+    for (let i = points.length - 2; i >= 0; i--) {
+      this.push(points[i].x, points[i].y);
+    }
+  }
+
+  // Newest first: callback(x, y, arcLength, index)
+  forEach(callback) {
+    for (let i = 0; i < this.count; i++) {
+      const slot = this.slot(i);
+      callback(this.xs[slot], this.ys[slot], this.arcs[slot], i);
+    }
+  }
+}
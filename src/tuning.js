@@ -0,0 +1,288 @@
+// File: src/tuning.js - Developer panel: live sliders for PHYSICS, BOOST, CAMERA and WORLD
+// Opened with the toggleTuning action (` by default) in local games while CONFIG.DEBUG.ENABLE_DEBUG_KEYS
+// is on. Every change goes through applyConfigOverrides, so the schema still holds, and then
+// Game.applyTuning() refreshes what the running game worked out from the old values.
+// The graphs show speed, turn rate and zoom against length for the current values, with the
+// player's length marked. EXPORT saves the changes from config.js as a preset file (?config=).
+import { CONFIG } from './config.js';
+import { applyConfigOverrides, getConfigChanges, getConfigDefault } from './config-loader.js';
+import { getSpeedForLength, getTurnMultiplierForLength } from './snake.js';
+import { getCameraZoomForLength } from './game.js';
+import { downloadRecording } from './replay.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('game');
+
+// restart: only read when a world is built - the value is kept for the next game
+export const TUNING_SLIDERS = [
+  { path: 'PHYSICS.BASE_SPEED', min: 40, max: 300, step: 1 },
+  { path: 'PHYSICS.BOOST_SPEED_MULTIPLIER', min: 1, max: 4, step: 0.05 },
+  { path: 'PHYSICS.TURN_RATE', min: 0.5, max: 10, step: 0.1 },
+  { path: 'PHYSICS.SEGMENT_GAP', min: 4, max: 40, step: 1 },
+  { path: 'PHYSICS.MAGNET_RADIUS', min: 0, max: 100, step: 1 },
+  { path: 'PHYSICS.TRAIL_SAMPLE_RATE', min: 0.1, max: 2, step: 0.1 },
+  { path: 'PHYSICS.INITIAL_LENGTH', min: 1, max: 50, step: 1, restart: true },
+  { path: 'BOOST.LENGTH_COST_PER_SECOND', min: 0, max: 5, step: 0.05 },
+  { path: 'BOOST.MIN_LENGTH_TO_BOOST', min: 1, max: 50, step: 1 },
+  { path: 'BOOST.LOW_LENGTH_WARNING', min: 0, max: 10, step: 0.5 },
+  { path: 'BOOST.DROP_RATIO', min: 0, max: 1, step: 0.05 },
+  { path: 'BOOST.DROP_PELLET_VALUE', min: 0.05, max: 2, step: 0.05 },
+  { path: 'CAMERA.BASE_ZOOM', min: 0.1, max: 2, step: 0.01 },
+  { path: 'CAMERA.MAX_ZOOM_OUT', min: 0.05, max: 1, step: 0.01 },
+  { path: 'CAMERA.ZOOM_CAP_LENGTH', min: 100, max: 5000, step: 50 },
+  { path: 'CAMERA.BOOST_ZOOM_FACTOR', min: 0.5, max: 2.5, step: 0.05 },
+  { path: 'CAMERA.SMOOTH_FACTOR', min: 0.01, max: 1, step: 0.01 },
+  { path: 'WORLD.BOUNDARY_MARGIN', min: 0, max: 300, step: 10 },
+  { path: 'WORLD.BORDER_WARNING_DISTANCE', min: 0, max: 1000, step: 10 },
+  { path: 'WORLD.GRID_SIZE', min: 20, max: 400, step: 10 },
+  { path: 'WORLD.PELLET_COUNT', min: 0, max: 500, step: 10, restart: true },
+  { path: 'WORLD.WIDTH', min: 1000, max: 10000, step: 100, restart: true },
+  { path: 'WORLD.HEIGHT', min: 1000, max: 10000, step: 100, restart: true }
+];
+
+const GRAPH_WIDTH = 260;
+const GRAPH_HEIGHT = 80;
+const GRAPH_SAMPLES = 60;
+const REFRESH_MS = 250;
+
+const readValue = (path) => {
+  const [section, name] = path.split('.');
+  return CONFIG[section][name];
+};
+
+const decimalsFor = (step) => (String(step).split('.')[1] || '').length;
+
+export class TuningPanel {
+  // getGame: () => the Game currently shown (may change between games)
+  constructor(container, getGame) {
+    this.container = container;
+    this.getGame = getGame;
+    this.inputs = new Map(); // path -> { input, output }
+    this.graphs = [];
+    this.timer = null;
+    this.build();
+  }
+
+  get isOpen() {
+    return this.timer !== null;
+  }
+
+  build() {
+    const doc = this.container.ownerDocument;
+    this.container.textContent = '';
+
+    const title = doc.createElement('h3');
+    title.textContent = 'Tuning';
+    this.container.appendChild(title);
+
+    let fieldset = null;
+    for (const slider of TUNING_SLIDERS) {
+      const [section, name] = slider.path.split('.');
+      if (!fieldset || fieldset.dataset.section !== section) {
+        fieldset = doc.createElement('fieldset');
+        fieldset.dataset.section = section;
+        const legend = doc.createElement('legend');
+        legend.textContent = section;
+        fieldset.appendChild(legend);
+        this.container.appendChild(fieldset);
+      }
+
+      const row = doc.createElement('label');
+      row.className = 'tuning-row';
+      const label = doc.createElement('span');
+      label.textContent = slider.restart ? `${name} ↻` : name;
+      label.title = slider.restart ? 'Used from the next game on' : '';
+      const input = doc.createElement('input');
+      input.type = 'range';
+      input.min = slider.min;
+      input.max = slider.max;
+      input.step = slider.step;
+      const output = doc.createElement('span');
+      output.className = 'tuning-value';
+      input.addEventListener('input', () => this.setValue(slider, Number(input.value)));
+
+      row.append(label, input, output);
+      fieldset.appendChild(row);
+      this.inputs.set(slider.path, { input, output, slider });
+    }
+
+    const graphs = doc.createElement('div');
+    graphs.className = 'tuning-graphs';
+    this.graphs = [
+      { title: 'Speed', series: [
+        { color: '#00ff88', value: (length) => getSpeedForLength(length) },
+        { color: '#ff4444', dashed: true, value: (length) => getSpeedForLength(length) * CONFIG.PHYSICS.BOOST_SPEED_MULTIPLIER }
+      ] },
+      { title: 'Turn rate (rad/s)', series: [
+        { color: '#00ccff', value: (length) => CONFIG.PHYSICS.TURN_RATE * getTurnMultiplierForLength(length) }
+      ] },
+      { title: 'Zoom', series: [
+        { color: '#ffaa00', value: (length) => getCameraZoomForLength(length) },
+        { color: '#ff4444', dashed: true, value: (length) => getCameraZoomForLength(length, true) }
+      ] }
+    ];
+    for (const graph of this.graphs) {
+      graph.canvas = doc.createElement('canvas');
+      graph.canvas.width = GRAPH_WIDTH;
+      graph.canvas.height = GRAPH_HEIGHT;
+      graphs.appendChild(graph.canvas);
+    }
+    this.container.appendChild(graphs);
+
+    const buttons = doc.createElement('div');
+    buttons.className = 'tuning-buttons';
+    const exportButton = doc.createElement('button');
+    exportButton.className = 'btn secondary';
+    exportButton.textContent = 'EXPORT';
+    exportButton.addEventListener('click', () => this.exportPreset());
+    const resetButton = doc.createElement('button');
+    resetButton.className = 'btn secondary';
+    resetButton.textContent = 'RESET';
+    resetButton.addEventListener('click', () => this.resetToDefaults());
+    buttons.append(exportButton, resetButton);
+    this.container.appendChild(buttons);
+
+    this.status = doc.createElement('div');
+    this.status.className = 'tuning-status';
+    this.container.appendChild(this.status);
+
+    this.refreshInputs();
+  }
+
+  show() {
+    if (this.isOpen) return;
+    this.refreshInputs();
+    this.container.style.display = 'block';
+    this.timer = setInterval(() => this.drawGraphs(), REFRESH_MS);
+    this.drawGraphs();
+  }
+
+  hide() {
+    if (!this.isOpen) return;
+    clearInterval(this.timer);
+    this.timer = null;
+    this.container.style.display = 'none';
+  }
+
+  toggle() {
+    if (this.isOpen) {
+      this.hide();
+    } else {
+      this.show();
+    }
+  }
+
+  refreshInputs() {
+    for (const [path, { input, output, slider }] of this.inputs) {
+      const value = readValue(path);
+      input.value = value;
+      output.textContent = value.toFixed(decimalsFor(slider.step));
+    }
+  }
+
+  setValue(slider, value) {
+    this.applyOverrides({ [slider.path]: value });
+    if (slider.restart && readValue(slider.path) === value) {
+      this.status.textContent = `${slider.path} applies from the next game`;
+    }
+  }
+
+  // Refused changes (a cross check failed, e.g. MAX_ZOOM_OUT above BASE_ZOOM) snap the slider back
+  applyOverrides(overrides) {
+    try {
+      applyConfigOverrides(overrides, 'the tuning panel');
+      this.status.textContent = '';
+      const game = this.getGame();
+      if (game) game.applyTuning();
+    } catch (error) {
+      this.status.textContent = error.message.split('\n').slice(1).join(' ').trim();
+    }
+    this.refreshInputs();
+    this.drawGraphs();
+  }
+
+  resetToDefaults() {
+    this.applyOverrides(Object.fromEntries(TUNING_SLIDERS.map(slider => [slider.path, getConfigDefault(slider.path)])));
+    log.info('🎛️ Tuning reset to config.js');
+  }
+
+  // Everything that differs from config.js - including presets and URL values - as a preset file
+  exportPreset() {
+    const changes = getConfigChanges();
+    downloadRecording(changes, `solsnake-preset-${Date.now()}.json`);
+    this.status.textContent = `Exported ${Object.keys(changes).length} changed sections`;
+  }
+
+  drawGraphs() {
+    const game = this.getGame();
+    const playerLength = game && game.playerSnake ? game.playerSnake.length : null;
+    const maxLength = Math.max(CONFIG.SNAKE.MIN_SPEED_LENGTH, CONFIG.CAMERA.ZOOM_CAP_LENGTH, playerLength || 0) * 1.2;
+
+    for (const graph of this.graphs) {
+      this.drawGraph(graph, maxLength, playerLength);
+    }
+  }
+
+  drawGraph(graph, maxLength, playerLength) {
+    const ctx = graph.canvas.getContext('2d');
+    const width = graph.canvas.width;
+    const height = graph.canvas.height;
+    const top = 14;
+    const plotHeight = height - top - 4;
+
+    const samples = graph.series.map(series => {
+      const points = [];
+      for (let i = 0; i <= GRAPH_SAMPLES; i++) {
+        const length = maxLength * i / GRAPH_SAMPLES;
+        points.push({ length, value: series.value(length) });
+      }
+      return points;
+    });
+    const maxValue = Math.max(...samples.flat().map(point => point.value)) * 1.1 || 1;
+    const toX = (length) => length / maxLength * width;
+    const toY = (value) => top + plotHeight - value / maxValue * plotHeight;
+
+    ctx.clearRect(0, 0, width, height);
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+    ctx.fillRect(0, 0, width, height);
+
+    graph.series.forEach((series, i) => {
+      ctx.strokeStyle = series.color;
+      ctx.lineWidth = 2;
+      ctx.setLineDash(series.dashed ? [4, 4] : []);
+      ctx.beginPath();
+      samples[i].forEach((point, j) => {
+        if (j === 0) {
+          ctx.moveTo(toX(point.length), toY(point.value));
+        } else {
+          ctx.lineTo(toX(point.length), toY(point.value));
+        }
+      });
+      ctx.stroke();
+    });
+    ctx.setLineDash([]);
+
+    let label = `${graph.title} (length 0-${Math.round(maxLength)})`;
+    if (playerLength !== null) {
+      const x = toX(playerLength);
+      ctx.strokeStyle = 'rgba(255, 255, 255, 0.6)';
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      ctx.moveTo(x, top);
+      ctx.lineTo(x, height);
+      ctx.stroke();
+      label = `${graph.title}: ${graph.series[0].value(playerLength).toFixed(2)} at length ${playerLength.toFixed(0)}`;
+    }
+
+    ctx.fillStyle = '#ffffff';
+    ctx.font = '11px monospace';
+    ctx.textAlign = 'left';
+    ctx.fillText(label, 4, 11);
+  }
+
+  destroy() {
+    this.hide();
+    this.container.textContent = '';
+    this.inputs.clear();
+  }
+}
@@ -1,4 +1,9 @@
 // File: src/utils.js
+import { CONFIG } from './config.js';
+import { EventEmitter } from './events.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('input');
 
 // Vector2D utility class
 export class Vector2D {
@@ -63,6 +68,11 @@ export class Interpolation {
     );
   }
   
+  // NEW: Interpolate angles the short way round (no spinning at the -PI/PI seam)
+  static lerpAngle(a, b, t) {
+    return a + MathUtils.angleDifference(a, b) * t;
+  }
+  
   // Find position along trail at specific distance from head
   static getPositionAtDistance(trail, targetDistance) {
     if (trail.length < 2) {
@@ -89,81 +99,158 @@ export class Interpolation {
   }
 }
 
-// SIMPLE Input handling - NO CONFIG DEPENDENCIES
+// Input handling - keyboard, mouse, gamepad and touch (deadzones from CONFIG.INPUT)
 export class InputHandler {
-  constructor(canvas, camera) {
+  // bindings: ControlBindings (controls.js) - which keys and gamepad buttons do what
+  // touchControls: optional TouchControls (touch.js) - joystick and boost button on touch screens
+  constructor(canvas, camera, bindings, touchControls = null) {
     this.canvas = canvas;
     this.camera = camera;
+    this.bindings = bindings;
+    this.touchControls = touchControls;
     this.keys = new Set();
     
     // Mouse/touch state
     this.mousePos = new Vector2D(0, 0);
     this.worldMousePos = new Vector2D(0, 0);
     this.isMousePressed = false;
-    this.isTouching = false;
     
-    console.log('🎮 InputHandler created');
+    // NEW: Gamepad state, refreshed by pollGamepad() every frame
+    this.gamepadDirection = null;      // Last stick direction outside the deadzone
+    this.gamepadHeld = new Set();      // Actions whose buttons are down
+    this.gamepadPressed = [];          // Button states last poll, to catch new presses
+    this.activeDevice = 'mouse';       // 'mouse' | 'gamepad' | 'touch' - whichever steered last
+    
+    // NEW: 'action' ({ action, source }) when a key or button bound to an action is pressed
+    this.events = new EventEmitter();
+    
+    // NEW: Everything we listen to, so destroy() can take it all back off
+    this.listeners = [];
+    
+    log.debug('🎮 InputHandler created');
     this.setupEventListeners();
   }
   
   setupEventListeners() {
     // Keyboard events
-    window.addEventListener('keydown', (e) => {
+    this.listen(window, 'keydown', (e) => {
       this.keys.add(e.code);
       e.preventDefault();
+      
+      const action = e.repeat ? null : this.bindings.getActionForKey(e.code);
+      if (action) this.events.emit('action', { action, source: 'keyboard' });
     });
     
-    window.addEventListener('keyup', (e) => {
+    this.listen(window, 'keyup', (e) => {
       this.keys.delete(e.code);
       e.preventDefault();
     });
     
     // Mouse events
-    this.canvas.addEventListener('mousedown', (e) => {
+    this.listen(this.canvas, 'mousedown', (e) => {
       this.isMousePressed = true;
       this.updateMousePosition(e);
-      console.log('🖱️ Mouse pressed');
+      log.debug('🖱️ Mouse pressed');
       e.preventDefault();
     });
     
-    this.canvas.addEventListener('mouseup', (e) => {
+    this.listen(this.canvas, 'mouseup', (e) => {
       this.isMousePressed = false;
-      console.log('🖱️ Mouse released');
+      log.debug('🖱️ Mouse released');
       e.preventDefault();
     });
     
-    this.canvas.addEventListener('mousemove', (e) => {
+    this.listen(this.canvas, 'mousemove', (e) => {
       this.updateMousePosition(e);
+      this.activeDevice = 'mouse';
       e.preventDefault();
     });
     
-    this.canvas.addEventListener('mouseleave', (e) => {
+    this.listen(this.canvas, 'mouseleave', (e) => {
       this.isMousePressed = false;
     });
     
-    // Touch events for mobile
-    this.canvas.addEventListener('touchstart', (e) => {
-      this.isTouching = true;
-      this.updateTouchPosition(e);
-      e.preventDefault();
-    });
+    // FIXED: Touch no longer aims and boosts at once - TouchControls tracks each finger
+    // (joystick + boost button), we only note that touch is what's steering now
+    this.listen(this.canvas, 'touchstart', () => {
+      this.activeDevice = 'touch';
+    }, { passive: true });
     
-    this.canvas.addEventListener('touchend', (e) => {
-      this.isTouching = false;
+    // Prevent context menu on right click
+    this.listen(this.canvas, 'contextmenu', (e) => {
       e.preventDefault();
     });
     
-    this.canvas.addEventListener('touchmove', (e) => {
-      this.updateTouchPosition(e);
-      e.preventDefault();
+    // NEW: Gamepads are polled (see pollGamepad) - these are just for the log
+    this.listen(window, 'gamepadconnected', (e) => {
+      log.info('🎮 Gamepad connected:', e.gamepad.id);
     });
     
-    // Prevent context menu on right click
-    this.canvas.addEventListener('contextmenu', (e) => {
-      e.preventDefault();
+    this.listen(window, 'gamepaddisconnected', (e) => {
+      log.info('🎮 Gamepad disconnected:', e.gamepad.id);
+      this.resetGamepad();
     });
     
-    console.log('🎮 Event listeners set up');
+    log.debug('🎮 Event listeners set up');
+  }
+  
+  listen(target, type, handler, options) {
+    target.addEventListener(type, handler, options);
+    this.listeners.push({ target, type, handler, options });
+  }
+  
+  // NEW: Forget held keys and buttons - a new life shouldn't start boosting or turning
+  reset() {
+    this.keys.clear();
+    this.isMousePressed = false;
+    this.resetGamepad();
+    if (this.touchControls) this.touchControls.reset();
+  }
+  
+  resetGamepad() {
+    this.gamepadDirection = null;
+    this.gamepadHeld.clear();
+    if (this.activeDevice === 'gamepad') this.activeDevice = 'mouse';
+  }
+  
+  // NEW: Read the first connected gamepad - call once per frame. The left stick steers,
+  // buttons (and analog triggers past the threshold) work like keys through the bindings
+  pollGamepad() {
+    const gamepads = typeof navigator !== 'undefined' && navigator.getGamepads ? navigator.getGamepads() : [];
+    const gamepad = Array.from(gamepads).find(pad => pad && pad.connected);
+    if (!gamepad) {
+      if (this.gamepadPressed.length > 0) this.resetGamepad();
+      this.gamepadPressed = [];
+      return;
+    }
+    
+    const stick = new Vector2D(gamepad.axes[0] || 0, gamepad.axes[1] || 0);
+    if (stick.magnitude() > CONFIG.INPUT.GAMEPAD_DEADZONE) {
+      this.gamepadDirection = stick.normalize();
+      this.activeDevice = 'gamepad';
+    }
+    
+    const pressed = gamepad.buttons.map(button => button.pressed || button.value > CONFIG.INPUT.GAMEPAD_TRIGGER_THRESHOLD);
+    this.gamepadHeld.clear();
+    pressed.forEach((down, index) => {
+      if (!down) return;
+      for (const action of this.bindings.getActionsForButton(index)) {
+        this.gamepadHeld.add(action);
+        if (!this.gamepadPressed[index]) this.events.emit('action', { action, source: 'gamepad' });
+      }
+    });
+    this.gamepadPressed = pressed;
+  }
+  
+  // NEW: Remove every listener - call before dropping the handler (a new Game makes its own)
+  destroy() {
+    for (const { target, type, handler, options } of this.listeners) {
+      target.removeEventListener(type, handler, options);
+    }
+    this.listeners = [];
+    this.reset();
+    this.events.removeAllListeners();
+    log.debug('🎮 InputHandler destroyed');
   }
   
   updateMousePosition(e) {
@@ -175,18 +262,6 @@ export class InputHandler {
     this.updateWorldMousePosition();
   }
   
-  updateTouchPosition(e) {
-    if (e.touches.length > 0) {
-      const rect = this.canvas.getBoundingClientRect();
-      const touch = e.touches[0];
-      this.mousePos = new Vector2D(
-        touch.clientX - rect.left,
-        touch.clientY - rect.top
-      );
-      this.updateWorldMousePosition();
-    }
-  }
-  
   updateWorldMousePosition() {
     // Convert screen coordinates to world coordinates
     const screenCenter = new Vector2D(this.canvas.width / 2, this.canvas.height / 2);
@@ -195,27 +270,37 @@ export class InputHandler {
     this.worldMousePos = new Vector2D(this.camera.x, this.camera.y).add(worldOffset);
   }
   
-  // Get movement input from keyboard
+  // NEW: Is a held action's key (or gamepad button) down?
+  isActionHeld(actionId) {
+    return this.bindings.getKeys(actionId).some(code => this.keys.has(code)) || this.gamepadHeld.has(actionId);
+  }
+  
+  // Get movement input from the steering keys (WASD/arrows by default) and the d-pad
   getKeyboardMovement() {
     const movement = new Vector2D(0, 0);
     
-    // WASD or Arrow keys
-    if (this.isKeyPressed('KeyW') || this.isKeyPressed('ArrowUp')) {
+    if (this.isActionHeld('steerUp')) {
       movement.y -= 1;
     }
-    if (this.isKeyPressed('KeyS') || this.isKeyPressed('ArrowDown')) {
+    if (this.isActionHeld('steerDown')) {
       movement.y += 1;
     }
-    if (this.isKeyPressed('KeyA') || this.isKeyPressed('ArrowLeft')) {
+    if (this.isActionHeld('steerLeft')) {
       movement.x -= 1;
     }
-    if (this.isKeyPressed('KeyD') || this.isKeyPressed('ArrowRight')) {
+    if (this.isActionHeld('steerRight')) {
       movement.x += 1;
     }
     
     return movement.normalize();
   }
   
+  // NEW: Stick direction while the gamepad is what the player uses - it keeps pointing where
+  // the stick last pointed once released, like the mouse does
+  getGamepadDirection() {
+    return this.activeDevice === 'gamepad' ? this.gamepadDirection : null;
+  }
+  
   // Get target direction from mouse (ALWAYS ACTIVE)
   getMouseDirection(snakePosition) {
     // Calculate direction from snake to mouse
@@ -223,7 +308,7 @@ export class InputHandler {
     const distance = direction.magnitude();
     
     // Dead zone - ignore mouse input if too close to snake
-    if (distance < 30) {  // Fixed 30px deadzone
+    if (distance < CONFIG.INPUT.MOUSE_DEADZONE) {
       return null;
     }
     
@@ -235,19 +320,33 @@ export class InputHandler {
     // Check keyboard first (keyboard takes priority)
     const keyboardMovement = this.getKeyboardMovement();
     if (keyboardMovement.magnitude() > 0) {
-      console.log('🎮 Using keyboard input');
+      log.every(1000, 'movement').debug('🎮 Using keyboard input');
       return keyboardMovement;
     }
     
-    // Try mouse direction
-    const mouseDirection = this.getMouseDirection(snakePosition);
+    // NEW: Analog stick - continuous direction
+    const gamepadDirection = this.getGamepadDirection();
+    if (gamepadDirection) {
+      log.every(1000, 'movement').debug('🎮 Using gamepad input');
+      return gamepadDirection;
+    }
+    
+    // NEW: Virtual joystick - keeps the last direction once the thumb lifts
+    const touchDirection = this.activeDevice === 'touch' && this.touchControls ? this.touchControls.getDirection() : null;
+    if (touchDirection) {
+      log.every(1000, 'movement').debug('🎮 Using touch input');
+      return touchDirection;
+    }
+    
+    // Try mouse direction (a touch screen's stale "mouse" is wherever the last tap was - skip it)
+    const mouseDirection = this.activeDevice === 'touch' ? null : this.getMouseDirection(snakePosition);
     if (mouseDirection) {
-      console.log('🎮 Using mouse input');
+      log.every(1000, 'movement').debug('🎮 Using mouse input');
       return mouseDirection;
     }
     
     // NO INPUT - return small forward movement so snake doesn't stop
-    console.log('🎮 No input - default forward');
+    log.every(1000, 'movement').debug('🎮 No input - default forward');
     return new Vector2D(1, 0);
   }
   
@@ -256,9 +355,10 @@ export class InputHandler {
   }
   
   isBoostPressed() {
-    const boosting = this.isKeyPressed('Space') || this.isMousePressed || this.isTouching;
+    const touchBoost = this.touchControls !== null && this.touchControls.isBoosting;
+    const boosting = this.isActionHeld('boost') || this.isMousePressed || touchBoost;
     if (boosting) {
-      console.log('🚀 Boost pressed!');
+      log.every(1000, 'boost').debug('🚀 Boost pressed!');
     }
     return boosting;
   }
@@ -278,10 +378,59 @@ export class InputHandler {
   }
 }
 
-// Random utilities
+// NEW: Seedable PRNG (mulberry32) - the same seed always produces the same sequence
+export class SeededRandom {
+  constructor(seed = 1) {
+    this.setSeed(seed);
+  }
+  
+  setSeed(seed) {
+    this.seed = seed >>> 0;
+    this.state = this.seed;
+  }
+  
+  // Float in [0, 1) - drop-in replacement for Math.random()
+  next() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+}
+
+// Random utilities - all simulation randomness MUST go through here so a seed reproduces a game
 export class Random {
+  static generator = new SeededRandom(Random.createSeed());
+  
+  // Only place Math.random() is allowed: picking a fresh seed
+  static createSeed() {
+    return Math.floor(Math.random() * 4294967296) >>> 0;
+  }
+  
+  static seed(seed) {
+    this.generator.setSeed(seed);
+  }
+  
+  static getSeed() {
+    return this.generator.seed;
+  }
+  
+  // Snapshot/restore the stream position (replays, rollbacks)
+  static getState() {
+    return this.generator.state;
+  }
+  
+  static setState(state) {
+    this.generator.state = state >>> 0;
+  }
+  
+  static next() {
+    return this.generator.next();
+  }
+  
   static range(min, max) {
-    return Math.random() * (max - min) + min;
+    return this.next() * (max - min) + min;
   }
   
   static int(min, max) {
@@ -289,7 +438,7 @@ export class Random {
   }
   
   static choice(array) {
-    return array[Math.floor(Math.random() * array.length)];
+    return array[Math.floor(this.next() * array.length)];
   }
   
   static vector(minX, maxX, minY, maxY) {
@@ -315,4 +464,25 @@ export class MathUtils {
     const diff = b - a;
     return Math.atan2(Math.sin(diff), Math.cos(diff));
   }
-}
\ No newline at end of file
+}
+
+// In-memory stand-in for localStorage - one for the whole page, so every caller shares it
+let memoryStorage = null;
+
+// NEW: localStorage when the browser allows it, otherwise an in-memory stand-in (Node, locked-down browsers)
+export function getStorage() {
+  try {
+    if (typeof localStorage !== 'undefined') return localStorage;
+  } catch (error) {
+    // Accessing localStorage throws when storage is disabled
+  }
+  if (!memoryStorage) {
+    const items = new Map();
+    memoryStorage = {
+      getItem: (key) => items.get(key) ?? null,
+      setItem: (key, value) => items.set(key, String(value)),
+      removeItem: (key) => items.delete(key)
+    };
+  }
+  return memoryStorage;
+}
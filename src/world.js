@@ -0,0 +1,176 @@
+// File: src/world.js - Headless simulation core: snakes, pellets, bots and rules
+// No canvas, DOM or window in here - the browser Game and the Node server both drive it
+// through step(inputs, deltaTime) and read the results back.
+import { CONFIG } from './config.js';
+import { Snake } from './snake.js';
+import { PelletManager } from './pellets.js';
+import { BotManager } from './bots.js';
+import { CombatSystem } from './combat.js';
+import { WorldBoundary } from './boundary.js';
+import { EventEmitter } from './events.js';
+import { Vector2D, Random } from './utils.js';
+
+// Used until a player sends their first input
+const DEFAULT_INPUT = { direction: null, boost: false };
+
+export class World {
+  constructor(options = {}) {
+    this.width = options.width ?? CONFIG.WORLD.WIDTH;
+    this.height = options.height ?? CONFIG.WORLD.HEIGHT;
+
+    // Seed before anything random happens so the whole world is reproducible
+    this.seed = options.seed ?? CONFIG.SIMULATION.SEED ?? Random.createSeed();
+    Random.seed(this.seed);
+
+    this.pelletCount = options.pelletCount ?? CONFIG.WORLD.PELLET_COUNT;
+    this.botCount = options.botCount ?? CONFIG.BOTS.COUNT;
+    this.botDifficulty = options.botDifficulty ?? CONFIG.BOTS.DIFFICULTY;
+    this.boundaryMode = options.boundaryMode ?? CONFIG.WORLD.BOUNDARY_MODE;
+    this.boundary = new WorldBoundary(this.width, this.height, this.boundaryMode);
+
+    this.tick = 0;
+    this.time = 0; // Simulation seconds
+
+    // Events: 'kill' (kill record), 'pellets' ({ snake, pellets }), 'spawn' ({ id, snake, options }),
+    // 'remove' ({ id }), 'bots' ({ avoidPositions })
+    this.events = new EventEmitter();
+
+    this.pelletManager = new PelletManager(this.width, this.height, this.pelletCount, this.boundary);
+    this.combat = new CombatSystem(this.pelletManager, this.boundary);
+    this.botManager = new BotManager(this.width, this.height, this.botCount, this.botDifficulty, this.boundary);
+
+    this.players = new Map();    // id -> Snake (dead snakes stay until respawned or removed)
+    this.lastInputs = new Map(); // id -> last input, reused when a step has none
+  }
+
+  // options: { name, skin, x, y, angle } - position defaults to a random spot away from the edges
+  addPlayer(id, options = {}) {
+    const margin = 400;
+    const position = options.x !== undefined && options.y !== undefined
+      ? new Vector2D(options.x, options.y)
+      : this.boundary.randomPoint(margin);
+    const angle = options.angle ?? Random.range(0, Math.PI * 2);
+
+    const snake = new Snake(position.x, position.y, angle);
+    snake.id = id;
+    if (options.name) snake.name = options.name;
+    if (options.skin) snake.skin = options.skin;
+
+    this.players.set(id, snake);
+    this.lastInputs.set(id, DEFAULT_INPUT);
+    this.events.emit('spawn', { id, snake, options });
+    return snake;
+  }
+
+  // Replace a dead player's snake with a fresh one, keeping the name and skin
+  respawnPlayer(id, options = {}) {
+    const previous = this.players.get(id);
+    return this.addPlayer(id, {
+      name: previous ? previous.name : undefined,
+      skin: previous ? previous.skin : undefined,
+      ...options
+    });
+  }
+
+  removePlayer(id) {
+    if (!this.players.delete(id)) return;
+    this.lastInputs.delete(id);
+    this.events.emit('remove', { id });
+  }
+
+  getPlayer(id) {
+    return this.players.get(id) || null;
+  }
+
+  spawnBots(avoidPositions = this.getPlayerPositions()) {
+    this.botManager.spawnAll(avoidPositions);
+    this.events.emit('bots', { avoidPositions });
+  }
+
+  getPlayerPositions() {
+    const positions = [];
+    for (const snake of this.players.values()) {
+      if (snake.isAlive) positions.push(snake.position);
+    }
+    return positions;
+  }
+
+  // Everything needed to build an identical World (before any players or inputs)
+  getOptions() {
+    return {
+      width: this.width,
+      height: this.height,
+      seed: this.seed,
+      pelletCount: this.pelletCount,
+      botCount: this.botCount,
+      botDifficulty: this.botDifficulty,
+      boundaryMode: this.boundaryMode
+    };
+  }
+
+  // Live players first (in join order), then live bots
+  getAllSnakes() {
+    const snakes = [];
+    for (const snake of this.players.values()) {
+      if (snake.isAlive) snakes.push(snake);
+    }
+    return snakes.concat(this.botManager.getSnakes());
+  }
+
+  // inputs: { [playerId]: { direction: {x, y}, boost } } - missing players repeat their last input.
+  // Returns { tick, kills } for this step
+  step(inputs = {}, deltaTime = 1 / CONFIG.SIMULATION.TICK_RATE) {
+    this.tick++;
+    this.time += deltaTime;
+
+    for (const [id, snake] of this.players) {
+      if (!snake.isAlive) continue;
+
+      const input = inputs[id] || this.lastInputs.get(id);
+      this.lastInputs.set(id, input);
+
+      // No input yet - keep heading straight
+      const direction = input.direction
+        ? new Vector2D(input.direction.x, input.direction.y)
+        : Vector2D.fromAngle(snake.angle);
+      snake.update(deltaTime, direction, input.boost === true);
+    }
+
+    this.botManager.update(deltaTime, {
+      snakes: this.getAllSnakes(),
+      pelletManager: this.pelletManager,
+      worldWidth: this.width,
+      worldHeight: this.height,
+      boundary: this.boundary,
+      avoidPositions: this.getPlayerPositions()
+    });
+
+    // Length burned by boosting comes out of the tails as pellets
+    for (const snake of this.getAllSnakes()) {
+      this.pelletManager.shedFromTail(snake);
+    }
+
+    // Rules: boundaries, then snake-vs-snake
+    const kills = [];
+    for (const snake of this.getAllSnakes()) {
+      const kill = this.combat.checkWorldBoundaries(snake);
+      if (kill) kills.push(kill);
+    }
+    kills.push(...this.combat.resolve(this.getAllSnakes()));
+
+    // Pellets are checked BEFORE the manager removes collected ones
+    for (const snake of this.getAllSnakes()) {
+      const pellets = this.pelletManager.collectForSnake(snake);
+      if (pellets.length > 0) {
+        this.events.emit('pellets', { snake, pellets });
+      }
+    }
+    this.pelletManager.update(deltaTime);
+
+    for (const kill of kills) {
+      this.events.emit('kill', kill);
+    }
+
+    return { tick: this.tick, kills };
+  }
+}